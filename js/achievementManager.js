@@ -0,0 +1,243 @@
+/**
+ * 実績管理クラス
+ * 実績の一覧（条件はゲームイベントごとの判定関数）を持ち、条件を満たしたら解除して通知・保存する
+ * リプレイ再生中は解除しない
+ */
+class AchievementManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.storage = gameEngine.storage;
+        this.storageKey = 'invaderGame_achievements';
+        this.version = 1;
+
+        // 実績の判定に使うゲーム中の記録（レベル開始時に被弾数、敵撃破ごとに弾ごとの撃破数を数える）
+        this.hitsThisLevel = 0;
+        this.laserKills = new WeakMap();
+
+        // レーザー1発で倒す敵の数（レーザーは最大3体貫通するので4体が上限）
+        this.laserPierceTarget = 4;
+        this.accuracyTarget = 0.9;
+        this.minShotsForAccuracy = 20;
+        this.endlessWaveTarget = 10;
+
+        // 実績の一覧（event: 判定するゲームイベント, check: 解除条件）
+        this.definitions = [
+            {
+                id: 'firstKill',
+                title: 'ファーストショット',
+                description: 'はじめて敵を倒す',
+                event: 'enemyKilled',
+                check: () => true
+            },
+            {
+                id: 'noDamageClear',
+                title: 'ノーダメージ',
+                description: '被弾せずにレベルをクリアする',
+                event: 'levelCleared',
+                check: () => this.hitsThisLevel === 0
+            },
+            {
+                id: 'sharpshooter',
+                title: 'スナイパー',
+                description: `命中率${this.accuracyTarget * 100}%以上でレベルをクリアする`,
+                event: 'levelCleared',
+                check: () => this.isAccurateLevel()
+            },
+            {
+                id: 'laserPierce',
+                title: 'ペネトレイター',
+                description: `1発のレーザーで敵を${this.laserPierceTarget}体倒す`,
+                event: 'enemyKilled',
+                check: event => this.countLaserKill(event.source) >= this.laserPierceTarget
+            },
+            {
+                id: 'maxWeapon',
+                title: 'フル装備',
+                description: '武器を最大レベルまで強化する',
+                event: 'pickupCollected',
+                check: event => event.player.weaponManager.weaponLevel >= event.player.weaponManager.maxLevel
+            },
+            {
+                id: 'bossSlayer',
+                title: 'ボスハンター',
+                description: 'ボスを倒す',
+                event: 'enemyKilled',
+                check: event => event.enemy.enemyType === 'boss'
+            },
+            {
+                id: 'campaignClear',
+                title: 'インベーダー撃退',
+                description: 'ノーマルモードを全レベルクリアする',
+                event: 'gameCompleted',
+                check: () => true
+            },
+            {
+                id: 'endlessSurvivor',
+                title: 'サバイバー',
+                description: `エンドレスモードでウェーブ${this.endlessWaveTarget}に到達する`,
+                event: 'levelStarted',
+                check: event => this.gameEngine.levelManager.isEndlessMode() && event.level >= this.endlessWaveTarget
+            }
+        ];
+
+        // 解除済みの実績（id → 解除日時）
+        this.unlocked = {};
+        this.loadUnlocked();
+
+        gameEngine.events.on('levelStarted', () => {
+            this.hitsThisLevel = 0;
+        });
+        gameEngine.events.on('playerHit', () => {
+            this.hitsThisLevel++;
+        });
+
+        // 判定するイベントごとに購読する（記録の更新より後に判定する）
+        [...new Set(this.definitions.map(definition => definition.event))].forEach(name => {
+            gameEngine.events.on(name, event => this.evaluate(name, event));
+        });
+
+        console.log('AchievementManager初期化完了');
+    }
+
+    /**
+     * イベントに対応する実績を判定し、条件を満たした実績を解除
+     * @param {string} eventName - ゲームイベント名
+     * @param {Object} event - ペイロード
+     */
+    evaluate(eventName, event) {
+        if (this.gameEngine.gameStateManager.isReplaying()) return;
+
+        this.definitions
+            .filter(definition => definition.event === eventName)
+            .forEach(definition => {
+                // 弾ごとの撃破数などの記録は解除済みでも数え続ける
+                if (definition.check(event) && !this.isUnlocked(definition.id)) {
+                    this.unlock(definition.id);
+                }
+            });
+    }
+
+    /**
+     * レーザー弾の撃破数を数える
+     * @param {GameObject|null} source - とどめを刺した相手
+     * @returns {number} その弾で倒した敵の数（レーザー以外は0）
+     */
+    countLaserKill(source) {
+        if (!(source instanceof SpecialBullet) || source.bulletType !== 'laser') return 0;
+
+        const kills = (this.laserKills.get(source) || 0) + 1;
+        this.laserKills.set(source, kills);
+        return kills;
+    }
+
+    /**
+     * クリアしたレベルの命中率が目標以上かチェック（発射数が少ない場合は対象外）
+     * @returns {boolean}
+     */
+    isAccurateLevel() {
+        const levelStats = this.gameEngine.levelManager.levelStats;
+        return levelStats.bulletsFired >= this.minShotsForAccuracy && levelStats.accuracy >= this.accuracyTarget;
+    }
+
+    /**
+     * 実績を解除して通知・保存
+     * @param {string} id - 実績ID
+     * @returns {boolean} 新しく解除したかどうか
+     */
+    unlock(id) {
+        const definition = this.getDefinition(id);
+        if (!definition || this.isUnlocked(id)) return false;
+
+        this.unlocked[id] = new Date().toISOString();
+        this.saveUnlocked();
+
+        console.log(`実績解除: ${definition.title}`);
+        if (this.gameEngine.uiSystem) {
+            this.gameEngine.uiSystem.showNotification(`実績解除: ${definition.title}`, 'success', 3000);
+        }
+        return true;
+    }
+
+    /**
+     * 実績の定義を取得
+     * @param {string} id - 実績ID
+     * @returns {Object|null} 定義
+     */
+    getDefinition(id) {
+        return this.definitions.find(definition => definition.id === id) || null;
+    }
+
+    /**
+     * 実績が解除済みかチェック
+     * @param {string} id - 実績ID
+     * @returns {boolean}
+     */
+    isUnlocked(id) {
+        return !!this.unlocked[id];
+    }
+
+    /**
+     * 実績の一覧を解除状況付きで取得
+     * @returns {Array<Object>} {id, title, description, unlocked, unlockedAt}
+     */
+    getAchievements() {
+        return this.definitions.map(definition => ({
+            id: definition.id,
+            title: definition.title,
+            description: definition.description,
+            unlocked: this.isUnlocked(definition.id),
+            unlockedAt: this.unlocked[definition.id] || null
+        }));
+    }
+
+    /**
+     * 解除済みの実績の数を取得
+     * @returns {number}
+     */
+    getUnlockedCount() {
+        return this.definitions.filter(definition => this.isUnlocked(definition.id)).length;
+    }
+
+    /**
+     * 解除状況を消去
+     */
+    clear() {
+        this.unlocked = {};
+        this.saveUnlocked();
+    }
+
+    /**
+     * 解除状況を保存
+     */
+    saveUnlocked() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({ version: this.version, unlocked: this.unlocked }));
+        } catch (error) {
+            console.error('実績の保存に失敗:', error);
+        }
+    }
+
+    /**
+     * 解除状況を読み込み（一覧にない実績や不正な値は読み飛ばす）
+     */
+    loadUnlocked() {
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            if (!saved) return;
+
+            const data = JSON.parse(saved);
+            if (data.version !== this.version || !data.unlocked || typeof data.unlocked !== 'object') {
+                console.warn(`未対応の実績データ: ${data.version}`);
+                return;
+            }
+
+            this.definitions.forEach(definition => {
+                if (typeof data.unlocked[definition.id] === 'string') {
+                    this.unlocked[definition.id] = data.unlocked[definition.id];
+                }
+            });
+        } catch (error) {
+            console.error('実績の読み込みに失敗:', error);
+        }
+    }
+}
@@ -0,0 +1,374 @@
+/**
+ * オーディオ管理クラス
+ * Web Audio API のオシレーターで効果音と編隊の行進音を合成する（音声ファイル不要）
+ */
+class AudioManager {
+    /**
+     * @param {Object} options - {storage, silent}
+     *   storage: 音量設定の保存先（localStorage と同じインターフェース）
+     *   silent: true の場合は音を鳴らさない（ヘッドレスモード用）
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || localStorage;
+        this.silent = !!options.silent;
+        
+        // Web Audio のノード（ユーザー操作後に作成）
+        this.context = null;
+        this.masterGain = null;
+        this.musicGain = null;
+        this.sfxGain = null;
+
+        // 音量設定（storage に保存）
+        this.storageKey = 'invaderGame_audioSettings';
+        this.settings = {
+            masterVolume: 0.7,
+            musicVolume: 0.5,
+            sfxVolume: 0.8,
+            muted: false
+        };
+        this.loadSettings();
+
+        // 行進音（クラシックな4音ループ）
+        this.marchNotes = [55.0, 49.0, 46.25, 41.2]; // A1, G1, F#1, E1
+        this.marchNoteIndex = 0;
+        this.marchTimer = 0;
+        this.marchTempo = {
+            speedFactor: 40000, // 間隔 = speedFactor / 編隊速度（ミリ秒）
+            minInterval: 120,
+            maxInterval: 1000
+        };
+
+        // 効果音定義
+        // type: 波形, frequency → endFrequency へ duration 秒でスライド, noise: ノイズを使用
+        // notes: 指定時は音符の列として順に鳴らす
+        this.soundDefinitions = {
+            shoot_basic: { type: 'square', frequency: 880, endFrequency: 220, duration: 0.12, volume: 0.3 },
+            shoot_rapid: { type: 'square', frequency: 1320, endFrequency: 660, duration: 0.06, volume: 0.2 },
+            shoot_spread: { type: 'sawtooth', frequency: 660, endFrequency: 160, duration: 0.16, volume: 0.25 },
+            shoot_laser: { type: 'sawtooth', frequency: 1800, endFrequency: 300, duration: 0.25, volume: 0.25 },
+            enemyHit: { type: 'square', frequency: 300, endFrequency: 200, duration: 0.05, volume: 0.25 },
+            enemyDeath: { noise: true, frequency: 1200, endFrequency: 200, duration: 0.25, volume: 0.4 },
+            playerHit: { noise: true, frequency: 600, endFrequency: 60, duration: 0.6, volume: 0.6 },
+            pickup: { type: 'triangle', notes: [523.25, 659.25, 783.99, 1046.5], noteDuration: 0.06, volume: 0.35 },
+            levelClear: { type: 'square', notes: [523.25, 659.25, 783.99, 1046.5, 783.99, 1046.5], noteDuration: 0.12, volume: 0.3 },
+            gameOver: { type: 'triangle', notes: [392.0, 329.63, 261.63, 196.0], noteDuration: 0.3, volume: 0.4 }
+        };
+
+        this.setupUnlockListeners();
+
+        console.log('AudioManager初期化完了');
+    }
+
+    /**
+     * ブラウザの自動再生制限のため、最初のユーザー操作で AudioContext を作成する
+     */
+    setupUnlockListeners() {
+        if (this.silent || typeof document === 'undefined') return;
+
+        const unlock = () => {
+            this.ensureContext();
+            if (this.context && this.context.state === 'suspended') {
+                this.context.resume();
+            }
+        };
+
+        document.addEventListener('keydown', unlock);
+        document.addEventListener('pointerdown', unlock);
+    }
+
+    /**
+     * AudioContext とゲインノードを作成
+     * @returns {boolean} 音を鳴らせる状態かどうか
+     */
+    ensureContext() {
+        if (this.context) return true;
+        if (this.silent) return false;
+
+        const AudioContextClass = typeof window !== 'undefined' &&
+            (window.AudioContext || window.webkitAudioContext);
+        if (!AudioContextClass) return false;
+
+        try {
+            this.context = new AudioContextClass();
+
+            this.masterGain = this.context.createGain();
+            this.musicGain = this.context.createGain();
+            this.sfxGain = this.context.createGain();
+
+            this.musicGain.connect(this.masterGain);
+            this.sfxGain.connect(this.masterGain);
+            this.masterGain.connect(this.context.destination);
+
+            this.applyVolumes();
+            return true;
+        } catch (error) {
+            console.error('AudioContextの作成に失敗:', error);
+            this.context = null;
+            return false;
+        }
+    }
+
+    /**
+     * 現在の音量設定をゲインノードに反映
+     */
+    applyVolumes() {
+        if (!this.context) return;
+
+        const master = this.settings.muted ? 0 : this.settings.masterVolume;
+        this.masterGain.gain.value = master;
+        this.musicGain.gain.value = this.settings.musicVolume;
+        this.sfxGain.gain.value = this.settings.sfxVolume;
+    }
+
+    /**
+     * 効果音を再生
+     * @param {string} name - 効果音名（soundDefinitions のキー）
+     */
+    playSound(name) {
+        const sound = this.soundDefinitions[name];
+        if (!sound) {
+            console.warn(`不明な効果音: ${name}`);
+            return;
+        }
+        if (this.settings.muted || !this.ensureContext()) return;
+
+        const startTime = this.context.currentTime;
+
+        if (sound.notes) {
+            sound.notes.forEach((frequency, index) => {
+                this.playTone(this.sfxGain, {
+                    type: sound.type,
+                    frequency: frequency,
+                    duration: sound.noteDuration,
+                    volume: sound.volume
+                }, startTime + index * sound.noteDuration);
+            });
+        } else if (sound.noise) {
+            this.playNoise(this.sfxGain, sound, startTime);
+        } else {
+            this.playTone(this.sfxGain, sound, startTime);
+        }
+    }
+
+    /**
+     * プレイヤーの射撃音を再生（武器タイプごとに音色が異なる）
+     * @param {string} weaponType - 武器タイプ
+     */
+    playPlayerShot(weaponType) {
+        const name = `shoot_${weaponType}`;
+        this.playSound(this.soundDefinitions[name] ? name : 'shoot_basic');
+    }
+
+    /**
+     * ゲームイベントに効果音を割り当てる
+     * @param {GameEventBus} events - ゲームイベントバス
+     */
+    subscribe(events) {
+        events.on('bulletFired', event => this.playPlayerShot(event.weaponType));
+        events.on('enemyKilled', () => this.playSound('enemyDeath'));
+        events.on('playerHit', () => this.playSound('playerHit'));
+        events.on('pickupCollected', () => this.playSound('pickup'));
+        events.on('levelStarted', () => this.resetMarch());
+        events.on('levelCleared', () => this.playSound('levelClear'));
+        events.on('levelFailed', () => this.playSound('gameOver'));
+    }
+
+    /**
+     * オシレーターで単音を鳴らす
+     * @param {GainNode} destination - 出力先
+     * @param {Object} tone - {type, frequency, endFrequency, duration, volume}
+     * @param {number} startTime - 開始時刻（AudioContext の時間）
+     */
+    playTone(destination, tone, startTime) {
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
+        const endTime = startTime + tone.duration;
+
+        oscillator.type = tone.type || 'square';
+        oscillator.frequency.setValueAtTime(tone.frequency, startTime);
+        if (tone.endFrequency) {
+            oscillator.frequency.exponentialRampToValueAtTime(tone.endFrequency, endTime);
+        }
+
+        // 音の終わりでクリックノイズが出ないようにフェードアウト
+        gain.gain.setValueAtTime(tone.volume, startTime);
+        gain.gain.exponentialRampToValueAtTime(0.001, endTime);
+
+        oscillator.connect(gain);
+        gain.connect(destination);
+        oscillator.start(startTime);
+        oscillator.stop(endTime);
+    }
+
+    /**
+     * ノイズで爆発音を鳴らす（ローパスフィルターの周波数をスライド）
+     * @param {GainNode} destination - 出力先
+     * @param {Object} sound - {frequency, endFrequency, duration, volume}
+     * @param {number} startTime - 開始時刻（AudioContext の時間）
+     */
+    playNoise(destination, sound, startTime) {
+        const sampleCount = Math.floor(this.context.sampleRate * sound.duration);
+        const buffer = this.context.createBuffer(1, sampleCount, this.context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < sampleCount; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+
+        const source = this.context.createBufferSource();
+        const filter = this.context.createBiquadFilter();
+        const gain = this.context.createGain();
+        const endTime = startTime + sound.duration;
+
+        source.buffer = buffer;
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(sound.frequency, startTime);
+        filter.frequency.exponentialRampToValueAtTime(sound.endFrequency, endTime);
+
+        gain.gain.setValueAtTime(sound.volume, startTime);
+        gain.gain.exponentialRampToValueAtTime(0.001, endTime);
+
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(destination);
+        source.start(startTime);
+        source.stop(endTime);
+    }
+
+    /**
+     * 行進音の更新（編隊の速度が上がるほどテンポが速くなる）
+     * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+     * @param {number} moveSpeed - 編隊の移動速度（ピクセル/秒）
+     */
+    updateMarch(deltaTime, moveSpeed) {
+        this.marchTimer += deltaTime;
+
+        const interval = this.getMarchInterval(moveSpeed);
+        if (this.marchTimer < interval) return;
+
+        this.marchTimer = 0;
+        this.playMarchNote();
+    }
+
+    /**
+     * 行進音の間隔を計算
+     * @param {number} moveSpeed - 編隊の移動速度（ピクセル/秒）
+     * @returns {number} 音の間隔（ミリ秒）
+     */
+    getMarchInterval(moveSpeed) {
+        const interval = this.marchTempo.speedFactor / Math.max(1, moveSpeed);
+        return Math.max(this.marchTempo.minInterval, Math.min(this.marchTempo.maxInterval, interval));
+    }
+
+    /**
+     * 行進音の次の音を鳴らす
+     */
+    playMarchNote() {
+        const frequency = this.marchNotes[this.marchNoteIndex];
+        this.marchNoteIndex = (this.marchNoteIndex + 1) % this.marchNotes.length;
+
+        if (this.settings.muted || !this.ensureContext()) return;
+
+        this.playTone(this.musicGain, {
+            type: 'square',
+            frequency: frequency,
+            duration: 0.1,
+            volume: 0.5
+        }, this.context.currentTime);
+    }
+
+    /**
+     * 行進音を最初の音に戻す
+     */
+    resetMarch() {
+        this.marchNoteIndex = 0;
+        this.marchTimer = 0;
+    }
+
+    /**
+     * マスター音量を設定
+     * @param {number} volume - 音量（0〜1）
+     */
+    setMasterVolume(volume) {
+        this.setVolume('masterVolume', volume);
+    }
+
+    /**
+     * 音楽音量を設定
+     * @param {number} volume - 音量（0〜1）
+     */
+    setMusicVolume(volume) {
+        this.setVolume('musicVolume', volume);
+    }
+
+    /**
+     * 効果音音量を設定
+     * @param {number} volume - 音量（0〜1）
+     */
+    setSfxVolume(volume) {
+        this.setVolume('sfxVolume', volume);
+    }
+
+    /**
+     * 音量設定を更新して保存
+     * @param {string} key - 設定キー
+     * @param {number} volume - 音量（0〜1）
+     */
+    setVolume(key, volume) {
+        this.settings[key] = Math.max(0, Math.min(1, volume));
+        this.applyVolumes();
+        this.saveSettings();
+    }
+
+    /**
+     * ミュートを切り替え
+     * @returns {boolean} 切り替え後のミュート状態
+     */
+    toggleMute() {
+        this.settings.muted = !this.settings.muted;
+        this.applyVolumes();
+        this.saveSettings();
+        return this.settings.muted;
+    }
+
+    /**
+     * 音量設定を取得
+     * @returns {Object} 音量設定
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * 音量設定を保存
+     */
+    saveSettings() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error('音量設定の保存に失敗:', error);
+        }
+    }
+
+    /**
+     * 音量設定を読み込み
+     */
+    loadSettings() {
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            if (!saved) return;
+
+            // 壊れた値でゲインが NaN にならないよう、音量は有限の数値だけを0〜1に収めて使う
+            const data = JSON.parse(saved) || {};
+            ['masterVolume', 'musicVolume', 'sfxVolume'].forEach(key => {
+                if (Number.isFinite(data[key])) {
+                    this.settings[key] = Math.max(0, Math.min(1, data[key]));
+                }
+            });
+            if (typeof data.muted === 'boolean') {
+                this.settings.muted = data.muted;
+            }
+        } catch (error) {
+            console.error('音量設定の読み込みに失敗:', error);
+        }
+    }
+}
@@ -0,0 +1,237 @@
+/**
+ * ボス敵クラス
+ * 大きな体力と体力しきい値によるフェーズ移行を持つ
+ * 攻撃パターンの実行は EnemyShootingSystem が担当する
+ */
+class Boss extends Enemy {
+    /**
+     * @param {number} x - X座標
+     * @param {number} y - 待機位置のY座標
+     * @param {Object} bossConfig - ボス設定（レベル設定のboss）
+     * @param {SeededRandom} random - 乱数生成器
+     */
+    constructor(x, y, bossConfig = {}, random = null) {
+        super(x, y, 'boss', random);
+
+        // ボス固有の設定
+        this.name = bossConfig.name || 'MOTHERSHIP';
+        this.width = 64;
+        this.height = 40;
+        this.color = bossConfig.color || '#ff00ff';
+        this.maxHealth = bossConfig.health || 60;
+        this.health = this.maxHealth;
+        this.points = bossConfig.points || 5000;
+        this.speed = bossConfig.speed || 60;
+        this.edgeMargin = 40;
+
+        // 通常の敵射撃は行わない（パターン攻撃のみ）
+        this.canShoot = false;
+        this.shootProbability = 0;
+
+        // 登場演出（画面上から待機位置まで降りてくる。登場中はダメージを受けない）
+        this.targetY = y;
+        this.y = -this.height;
+        this.isEntering = true;
+        this.invulnerable = true;
+        this.entrySpeed = 80; // ピクセル/秒
+
+        // フェーズ設定（しきい値の高い順に並べる）
+        this.phases = (bossConfig.phases || this.getDefaultPhases())
+            .slice()
+            .sort((a, b) => b.threshold - a.threshold);
+        this.phaseIndex = 0;
+
+        // 攻撃状態（EnemyShootingSystem が管理）
+        this.attackTimer = 0;
+        this.currentAttack = null;
+        this.minions = [];
+
+        console.log(`ボス作成: ${this.name} 体力${this.maxHealth}`);
+    }
+
+    /**
+     * デフォルトのフェーズ設定
+     * @returns {Array} フェーズ設定の配列
+     */
+    getDefaultPhases() {
+        return [
+            { threshold: 1.0, attackInterval: 2000, patterns: ['spiral'], speedMultiplier: 1.0 },
+            { threshold: 0.66, attackInterval: 1600, patterns: ['spiral', 'beam'], speedMultiplier: 1.3 },
+            { threshold: 0.33, attackInterval: 1200, patterns: ['spiral', 'beam', 'minions'], speedMultiplier: 1.6 }
+        ];
+    }
+
+    /**
+     * 現在のフェーズ設定を取得
+     * @returns {Object} フェーズ設定
+     */
+    getCurrentPhase() {
+        return this.phases[this.phaseIndex];
+    }
+
+    /**
+     * 移動処理
+     * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+     */
+    updateMovement(deltaTime) {
+        // 登場中は真下に移動
+        if (this.isEntering) {
+            this.vx = 0;
+            this.vy = this.entrySpeed;
+            if (this.y >= this.targetY) {
+                this.y = this.targetY;
+                this.vy = 0;
+                this.isEntering = false;
+                this.invulnerable = false;
+                console.log(`${this.name}が戦闘位置に到着`);
+            }
+            return;
+        }
+
+        // 画面端で折り返しながら左右に移動
+        if (this.x - this.width / 2 <= this.edgeMargin && this.direction < 0) {
+            this.direction = 1;
+        } else if (this.x + this.width / 2 >= this.gameEngine.width - this.edgeMargin && this.direction > 0) {
+            this.direction = -1;
+        }
+
+        const phase = this.getCurrentPhase();
+        this.vx = this.speed * (phase.speedMultiplier || 1) * this.direction;
+        this.vy = 0;
+    }
+
+    /**
+     * 射撃処理（パターン攻撃は EnemyShootingSystem で処理）
+     * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+     */
+    updateShooting(deltaTime) {
+        // 通常射撃は行わない
+    }
+
+    /**
+     * ダメージを受ける
+     * @param {number} damage - ダメージ量
+     * @param {GameObject|null} source - ダメージの発生元（命中した弾など）
+     */
+    takeDamage(damage = 1, source = null) {
+        if (!this.active || this.isEntering) return;
+
+        super.takeDamage(damage, source);
+
+        if (this.active) {
+            this.updatePhase();
+        }
+    }
+
+    /**
+     * 体力に応じたフェーズ移行
+     */
+    updatePhase() {
+        const healthRatio = this.health / this.maxHealth;
+        let newPhaseIndex = this.phaseIndex;
+
+        while (newPhaseIndex < this.phases.length - 1 &&
+               healthRatio <= this.phases[newPhaseIndex + 1].threshold) {
+            newPhaseIndex++;
+        }
+
+        if (newPhaseIndex !== this.phaseIndex) {
+            this.phaseIndex = newPhaseIndex;
+            this.onPhaseChange();
+        }
+    }
+
+    /**
+     * フェーズ移行時の処理
+     */
+    onPhaseChange() {
+        console.log(`${this.name} フェーズ${this.phaseIndex + 1}に移行`);
+
+        // 実行中の攻撃を中断して次の攻撃を早める
+        this.currentAttack = null;
+        this.attackTimer = 0;
+
+        if (this.gameEngine && this.gameEngine.uiSystem) {
+            this.gameEngine.uiSystem.showNotification(
+                `${this.name} フェーズ${this.phaseIndex + 1}`, 'warning', 2000
+            );
+        }
+    }
+
+    /**
+     * 死亡時の処理
+     * @param {GameObject|null} source - とどめを刺した相手
+     */
+    onDeath(source = null) {
+        // 残っている手下も一緒に消滅
+        this.minions.forEach(minion => {
+            if (minion.active) {
+                minion.destroy();
+            }
+        });
+        this.minions = [];
+        this.currentAttack = null;
+
+        if (this.gameEngine) {
+            this.gameEngine.damageSystem.createExplosionEffect(this.x, this.y);
+        }
+
+        super.onDeath(source);
+    }
+
+    /**
+     * 描画処理
+     * @param {CanvasRenderingContext2D} ctx - Canvas描画コンテキスト
+     */
+    render(ctx) {
+        if (!this.visible || !this.gameEngine) return;
+
+        const renderer = this.gameEngine.renderer;
+        renderer.drawBoss(this.x, this.y, this.width, this.height, this.color, this.animationFrame);
+        this.renderHealthBar(renderer);
+    }
+
+    /**
+     * 体力バーの描画（画面上部に大きく表示）
+     * @param {Renderer} renderer - レンダラー
+     */
+    renderHealthBar(renderer) {
+        const barWidth = this.gameEngine.width * 0.5;
+        const barHeight = 8;
+        const barX = (this.gameEngine.width - barWidth) / 2;
+        const barY = 48;
+
+        // ボス名
+        renderer.drawTextCentered(this.name, this.gameEngine.width / 2, barY - 14, '#ffffff', '12px Courier New');
+
+        // 背景
+        renderer.drawRect(barX, barY, barWidth, barHeight, '#333333');
+
+        // 体力バー（フェーズが進むほど赤くなる）
+        const healthRatio = Math.max(0, this.health / this.maxHealth);
+        const phaseColors = ['#00ff00', '#ffaa00', '#ff0000'];
+        const healthColor = phaseColors[Math.min(this.phaseIndex, phaseColors.length - 1)];
+        renderer.drawRect(barX, barY, barWidth * healthRatio, barHeight, healthColor);
+
+        // フェーズ移行のしきい値を表示
+        this.phases.forEach(phase => {
+            if (phase.threshold < 1.0) {
+                const markerX = barX + barWidth * phase.threshold;
+                renderer.drawLine(markerX, barY, markerX, barY + barHeight, '#ffffff', 1);
+            }
+        });
+
+        renderer.drawRectOutline(barX, barY, barWidth, barHeight, '#ffffff', 1);
+    }
+
+    /**
+     * 衝突時の処理
+     * @param {GameObject} other - 衝突した相手オブジェクト
+     */
+    onCollision(other) {
+        // プレイヤーの弾丸との衝突のみ処理（体当たりでは倒れない）
+        if (other instanceof Bullet && other.isPlayerBullet) {
+            super.onCollision(other);
+        }
+    }
+}
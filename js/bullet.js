@@ -21,14 +21,18 @@ class Bullet extends GameObject {
             this.color = '#ff0000'; // 敵の弾は赤色
         }
         
-        // ダメージ
+        // ダメージとダメージタイプ（DamageSystem でタイプ別の倍率を掛ける）
         this.damage = 1;
+        this.damageType = 'normal';
         
         // 貫通機能
         this.piercing = false;
         this.maxPierceCount = 0;
         this.pierceCount = 0;
         
+        // 命中したかどうか（命中率の計算用。貫通して何体に当たっても1発として数える）
+        this.hasHit = false;
+        
         // エフェクト用
         this.trail = [];
         this.maxTrailLength = 5;
@@ -129,7 +133,8 @@ class Bullet extends GameObject {
         if (this.isPlayerBullet) {
             if (other instanceof Enemy) {
                 // 敵にダメージを与える
-                other.takeDamage(this.damage);
+                this.notifyHit(other);
+                this.dealDamage(other, this.damage, this.damageType);
                 
                 // 貫通判定
                 if (this.piercing && this.pierceCount < this.maxPierceCount) {
@@ -139,17 +144,36 @@ class Bullet extends GameObject {
                     this.destroy();
                 }
             }
+            else if (other instanceof UFO) {
+                // UFOは1発で撃破（貫通しない）
+                this.notifyHit(other);
+                this.dealDamage(other, this.damage, this.damageType);
+                this.destroy();
+            }
         }
         // 敵の弾丸の場合
         else {
             if (other instanceof Player) {
                 // プレイヤーにダメージを与える
-                other.takeDamage(this.damage);
+                this.dealDamage(other, this.damage, this.damageType);
                 this.destroy();
             }
         }
     }
     
+    /**
+     * 最初の命中だけを通知（発射統計の命中数に反映される）
+     * @param {GameObject} target - 命中した相手
+     */
+    notifyHit(target) {
+        if (this.hasHit) return;
+        
+        this.hasHit = true;
+        if (this.gameEngine) {
+            this.gameEngine.events.emit('bulletHit', { bullet: this, target: target });
+        }
+    }
+    
     /**
      * 画面外に出た時の処理
      */
@@ -190,6 +214,7 @@ class SpecialBullet extends Bullet {
                 
             case 'laser':
                 this.damage = 2;
+                this.damageType = 'laser';
                 this.width = 6;
                 this.height = 12;
                 this.color = this.isPlayerBullet ? '#00ff00' : '#ff0000';
@@ -0,0 +1,348 @@
+/**
+ * 防御壁（バンカー）クラス
+ * ピクセルマスクで形状を持ち、弾が当たるたびにチャンク単位で削れていく
+ */
+class Bunker extends GameObject {
+    /**
+     * @param {number} x - 中心X座標
+     * @param {number} y - 中心Y座標
+     * @param {Array<string>} shapeRows - 形状定義（'#': ブロックあり, '.': 空き）
+     * @param {number} chunkSize - 1チャンクのピクセルサイズ
+     */
+    constructor(x, y, shapeRows, chunkSize = 4) {
+        super(x, y);
+
+        // ピクセルマスクの作成
+        this.chunkSize = chunkSize;
+        this.mask = shapeRows.map(row => row.split('').map(cell => cell === '#'));
+        this.rows = this.mask.length;
+        this.cols = this.mask[0].length;
+        this.remainingChunks = this.countChunks();
+
+        // サイズはマスクから決定
+        this.width = this.cols * this.chunkSize;
+        this.height = this.rows * this.chunkSize;
+        this.color = '#00ff00';
+
+        // 着弾時に削る半径（チャンク数）
+        this.erosionRadius = 1.5;
+
+        console.log(`Bunker作成: (${x}, ${y}) ${this.cols}x${this.rows}`);
+    }
+
+    /**
+     * 残っているチャンク数を数える
+     * @returns {number} チャンク数
+     */
+    countChunks() {
+        let count = 0;
+        this.mask.forEach(row => {
+            row.forEach(cell => {
+                if (cell) count++;
+            });
+        });
+        return count;
+    }
+
+    /**
+     * 境界ボックスと重なるチャンクの範囲を取得
+     * @param {Object} bounds - {left, right, top, bottom} 境界
+     * @returns {Object|null} {startRow, endRow, startCol, endCol} 重ならない場合はnull
+     */
+    getChunkRange(bounds) {
+        const left = this.x - this.width / 2;
+        const top = this.y - this.height / 2;
+
+        const startCol = Math.max(0, Math.floor((bounds.left - left) / this.chunkSize));
+        const endCol = Math.min(this.cols - 1, Math.floor((bounds.right - left) / this.chunkSize));
+        const startRow = Math.max(0, Math.floor((bounds.top - top) / this.chunkSize));
+        const endRow = Math.min(this.rows - 1, Math.floor((bounds.bottom - top) / this.chunkSize));
+
+        if (startCol > endCol || startRow > endRow) return null;
+
+        return { startRow, endRow, startCol, endCol };
+    }
+
+    /**
+     * オブジェクトが残っているチャンクに当たっているかチェック
+     * @param {GameObject} obj - 判定するオブジェクト
+     * @returns {boolean} 当たっているかどうか
+     */
+    isHitBy(obj) {
+        return this.findHitChunk(obj) !== null;
+    }
+
+    /**
+     * オブジェクトが当たっているチャンクを取得
+     * 上向きの弾は下側から、下向きの弾は上側から削れるように探索する
+     * @param {GameObject} obj - 判定するオブジェクト
+     * @returns {Object|null} {row, col} 当たっていない場合はnull
+     */
+    findHitChunk(obj) {
+        if (!this.active) return null;
+
+        const range = this.getChunkRange(obj.getBounds());
+        if (!range) return null;
+
+        const fromBottom = obj.vy < 0;
+        for (let i = 0; i <= range.endRow - range.startRow; i++) {
+            const row = fromBottom ? range.endRow - i : range.startRow + i;
+            for (let col = range.startCol; col <= range.endCol; col++) {
+                if (this.mask[row][col]) {
+                    return { row, col };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 指定チャンクを中心に円形に削る
+     * @param {number} row - 中心の行
+     * @param {number} col - 中心の列
+     * @param {number} radius - 半径（チャンク数）
+     * @returns {number} 削ったチャンク数
+     */
+    erodeAt(row, col, radius = this.erosionRadius) {
+        let removed = 0;
+        const reach = Math.ceil(radius);
+
+        for (let r = row - reach; r <= row + reach; r++) {
+            for (let c = col - reach; c <= col + reach; c++) {
+                if (r < 0 || r >= this.rows || c < 0 || c >= this.cols) continue;
+                if (!this.mask[r][c]) continue;
+
+                const dr = r - row;
+                const dc = c - col;
+                if (dr * dr + dc * dc <= radius * radius) {
+                    this.mask[r][c] = false;
+                    removed++;
+                }
+            }
+        }
+
+        this.onChunksRemoved(removed);
+        return removed;
+    }
+
+    /**
+     * 境界ボックスと重なるチャンクを全て削る（敵の接触用）
+     * @param {Object} bounds - {left, right, top, bottom} 境界
+     * @returns {number} 削ったチャンク数
+     */
+    erodeBounds(bounds) {
+        const range = this.getChunkRange(bounds);
+        if (!range) return 0;
+
+        let removed = 0;
+        for (let row = range.startRow; row <= range.endRow; row++) {
+            for (let col = range.startCol; col <= range.endCol; col++) {
+                if (this.mask[row][col]) {
+                    this.mask[row][col] = false;
+                    removed++;
+                }
+            }
+        }
+
+        this.onChunksRemoved(removed);
+        return removed;
+    }
+
+    /**
+     * チャンクが削られた時の処理
+     * @param {number} removed - 削られたチャンク数
+     */
+    onChunksRemoved(removed) {
+        this.remainingChunks -= removed;
+
+        // 全て削られたら削除
+        if (this.remainingChunks <= 0) {
+            console.log('バンカーが完全に破壊された');
+            this.destroy();
+        }
+    }
+
+    /**
+     * 描画処理
+     * @param {CanvasRenderingContext2D} ctx - Canvas描画コンテキスト
+     */
+    render(ctx) {
+        if (!this.visible || !this.gameEngine) return;
+
+        const renderer = this.gameEngine.renderer;
+        const left = this.x - this.width / 2;
+        const top = this.y - this.height / 2;
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (this.mask[row][col]) {
+                    renderer.drawRect(
+                        left + col * this.chunkSize,
+                        top + row * this.chunkSize,
+                        this.chunkSize,
+                        this.chunkSize,
+                        this.color
+                    );
+                }
+            }
+        }
+    }
+
+    /**
+     * 衝突時の処理
+     * @param {GameObject} other - 衝突した相手オブジェクト
+     */
+    onCollision(other) {
+        // 弾丸（プレイヤー・敵共通）は着弾点を削って消える
+        if (other instanceof Bullet) {
+            const hit = this.findHitChunk(other);
+            if (hit) {
+                this.erodeAt(hit.row, hit.col);
+                other.destroy();
+            }
+        }
+        // 敵が接触した部分は消える
+        else if (other instanceof Enemy) {
+            this.erodeBounds(other.getBounds());
+        }
+    }
+
+    /**
+     * 画面外に出た時の処理（バンカーは移動しないため削除しない）
+     */
+    onOutOfBounds() {
+        // バンカーは削除しない
+    }
+}
+
+/**
+ * バンカー管理クラス
+ * レベル設定に応じたバンカーの配置とリセットを管理
+ */
+class BunkerManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.bunkers = [];
+
+        // 形状定義（'#': ブロックあり, '.': 空き）
+        this.shapes = {
+            classic: [
+                '...######...',
+                '..########..',
+                '.##########.',
+                '############',
+                '############',
+                '############',
+                '############',
+                '####....####',
+                '###......###'
+            ],
+            arch: [
+                '..########..',
+                '.##########.',
+                '############',
+                '############',
+                '###......###',
+                '##........##',
+                '##........##'
+            ],
+            block: [
+                '############',
+                '############',
+                '############',
+                '############',
+                '############',
+                '############'
+            ]
+        };
+
+        // デフォルト設定
+        this.defaultConfig = {
+            count: 4,
+            shape: 'classic',
+            chunkSize: 4,
+            offsetY: 130, // 画面下端からの距離
+            resetEachLevel: false
+        };
+
+        // 現在配置中の設定
+        this.currentConfig = null;
+
+        console.log('BunkerManager初期化完了');
+    }
+
+    /**
+     * レベル開始時のバンカー配置
+     * @param {number} level - レベル番号
+     * @param {Object} bunkerConfig - レベル設定のbunkers（未指定の場合はバンカーなし）
+     */
+    setupBunkers(level, bunkerConfig = null) {
+        if (!bunkerConfig || !bunkerConfig.count) {
+            this.clearBunkers();
+            return;
+        }
+
+        const config = { ...this.defaultConfig, ...bunkerConfig };
+
+        if (!this.shapes[config.shape]) {
+            console.warn(`不明なバンカー形状: ${config.shape}（classicを使用）`);
+            config.shape = 'classic';
+        }
+
+        // リセット指定がなく、同じ配置のバンカーが残っていれば削れた状態を引き継ぐ
+        const hasBunkers = this.bunkers.some(bunker => bunker.active);
+        const sameLayout = this.currentConfig &&
+            this.currentConfig.count === config.count &&
+            this.currentConfig.shape === config.shape;
+
+        if (hasBunkers && sameLayout && !config.resetEachLevel) {
+            console.log(`レベル${level}: バンカーを引き継ぎ`);
+            return;
+        }
+
+        this.createBunkers(config);
+    }
+
+    /**
+     * バンカーを作成して配置
+     * @param {Object} config - バンカー設定
+     */
+    createBunkers(config) {
+        this.clearBunkers();
+
+        const y = this.gameEngine.height - config.offsetY;
+        const shapeRows = this.shapes[config.shape];
+
+        for (let i = 0; i < config.count; i++) {
+            const x = this.gameEngine.width * (i + 1) / (config.count + 1);
+            const bunker = new Bunker(x, y, shapeRows, config.chunkSize);
+            this.bunkers.push(bunker);
+            this.gameEngine.addGameObject(bunker);
+        }
+
+        this.currentConfig = config;
+        console.log(`${config.count}個のバンカーを配置（${config.shape}）`);
+    }
+
+    /**
+     * バンカーをクリア
+     */
+    clearBunkers() {
+        this.bunkers.forEach(bunker => {
+            if (bunker.active) {
+                bunker.destroy();
+            }
+        });
+        this.bunkers = [];
+        this.currentConfig = null;
+    }
+
+    /**
+     * 残っているバンカーを取得
+     * @returns {Array} アクティブなバンカーの配列
+     */
+    getActiveBunkers() {
+        return this.bunkers.filter(bunker => bunker.active);
+    }
+}
@@ -0,0 +1,167 @@
+/**
+ * カメラクラス
+ * ゲーム画面の描画位置をずらして画面を揺らし、大きな命中時にはゲーム内の時間を一瞬止める（ヒットストップ）
+ * 揺れは「トラウマ」値（0〜1）で管理し、時間とともに減衰する。揺れの大きさはトラウマの2乗に比例する
+ * 揺れは見た目だけなので設定で無効にでき、乱数もゲーム展開を決める乱数（gameEngine.random）は使わない
+ */
+class Camera {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.storage = gameEngine.storage;
+        this.storageKey = 'invaderGame_cameraSettings';
+
+        // 画面の揺れ
+        this.trauma = 0;
+        this.traumaDecay = 1.5; // 1秒あたりの減衰量
+        this.maxOffset = 12; // トラウマ1の時の最大のずれ（ピクセル）
+        this.offsetX = 0;
+        this.offsetY = 0;
+
+        // ヒットストップ（残り時間、長く止まりすぎないよう上限を設ける）
+        this.hitStopTimer = 0;
+        this.maxHitStop = 200; // ミリ秒
+
+        // アクセシビリティ設定（OSで視差効果を減らす設定の場合は最初から揺らさない）
+        this.settings = {
+            shakeEnabled: !this.prefersReducedMotion()
+        };
+        this.loadSettings();
+
+        console.log('Camera初期化完了');
+    }
+
+    /**
+     * OSの「視差効果を減らす」設定が有効かチェック
+     * @returns {boolean}
+     */
+    prefersReducedMotion() {
+        return typeof window !== 'undefined' && typeof window.matchMedia === 'function' &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * 画面の揺れを加える
+     * @param {number} amount - 加えるトラウマ（0〜1、合計は1まで）
+     */
+    addTrauma(amount) {
+        this.trauma = Math.max(0, Math.min(1, this.trauma + amount));
+    }
+
+    /**
+     * ヒットストップを開始（実行中の場合は長い方を残す）
+     * @param {number} duration - 止める時間（ミリ秒）
+     */
+    hitStop(duration) {
+        this.hitStopTimer = Math.min(this.maxHitStop, Math.max(this.hitStopTimer, duration));
+    }
+
+    /**
+     * ヒットストップ中かどうか
+     * @returns {boolean}
+     */
+    isHitStopped() {
+        return this.hitStopTimer > 0;
+    }
+
+    /**
+     * ヒットストップの残り時間を消費し、ゲーム内で進める時間を返す
+     * ゲームの進行に関わるため、記録時とリプレイ再生時の両方で同じフレームから呼ぶ
+     * @param {number} deltaTime - 経過時間（ミリ秒）
+     * @returns {number} ゲーム内で進める時間（止まっている間は0）
+     */
+    consumeHitStop(deltaTime) {
+        if (this.hitStopTimer <= 0) return deltaTime;
+
+        const stopped = Math.min(this.hitStopTimer, deltaTime);
+        this.hitStopTimer -= stopped;
+        return deltaTime - stopped;
+    }
+
+    /**
+     * 更新処理（揺れの減衰と描画位置のずれの計算）
+     * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+     */
+    update(deltaTime) {
+        this.trauma = Math.max(0, this.trauma - this.traumaDecay * (deltaTime / 1000));
+
+        if (!this.settings.shakeEnabled || this.trauma === 0) {
+            this.offsetX = 0;
+            this.offsetY = 0;
+            return;
+        }
+
+        const shake = this.trauma * this.trauma;
+        this.offsetX = this.maxOffset * shake * (Math.random() * 2 - 1);
+        this.offsetY = this.maxOffset * shake * (Math.random() * 2 - 1);
+    }
+
+    /**
+     * 描画位置のずれを Canvas に適用（呼び出し側で save / restore する）
+     * @param {CanvasRenderingContext2D} ctx - Canvas描画コンテキスト
+     */
+    apply(ctx) {
+        if (this.offsetX !== 0 || this.offsetY !== 0) {
+            ctx.translate(Math.round(this.offsetX), Math.round(this.offsetY));
+        }
+    }
+
+    /**
+     * 揺れとヒットストップを止める
+     */
+    reset() {
+        this.trauma = 0;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.hitStopTimer = 0;
+    }
+
+    /**
+     * 画面の揺れが有効かどうか
+     * @returns {boolean}
+     */
+    isShakeEnabled() {
+        return this.settings.shakeEnabled;
+    }
+
+    /**
+     * 画面の揺れの有効・無効を切り替えて保存
+     * @returns {boolean} 切り替え後の状態
+     */
+    toggleShake() {
+        this.settings.shakeEnabled = !this.settings.shakeEnabled;
+        if (!this.settings.shakeEnabled) {
+            this.offsetX = 0;
+            this.offsetY = 0;
+        }
+        this.saveSettings();
+        return this.settings.shakeEnabled;
+    }
+
+    /**
+     * カメラ設定を保存
+     */
+    saveSettings() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error('カメラ設定の保存に失敗:', error);
+        }
+    }
+
+    /**
+     * カメラ設定を読み込み
+     */
+    loadSettings() {
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            if (!saved) return;
+
+            const data = JSON.parse(saved);
+            if (typeof data.shakeEnabled === 'boolean') {
+                this.settings.shakeEnabled = data.shakeEnabled;
+            }
+        } catch (error) {
+            console.error('カメラ設定の読み込みに失敗:', error);
+        }
+    }
+}
@@ -68,9 +68,18 @@ class CollisionSystem {
         // 衝突ペアをクリア
         this.collisionPairs.clear();
         
+        // 弾とバンカーの衝突（バンカーに遮られた弾はその先に届かない）
+        this.checkBulletBunkerCollisions();
+        
+        // 敵とバンカーの接触
+        this.checkEnemyBunkerCollisions();
+        
         // プレイヤー弾と敵の衝突
         this.checkPlayerBulletEnemyCollisions();
         
+        // プレイヤー弾とUFOの衝突
+        this.checkPlayerBulletUFOCollisions();
+        
         // 敵弾とプレイヤーの衝突
         this.checkEnemyBulletPlayerCollisions();
         
@@ -86,6 +95,61 @@ class CollisionSystem {
         }
     }
     
+    /**
+     * 弾とバンカーの衝突判定
+     * プレイヤー弾・敵弾の両方がバンカーを削る
+     */
+    checkBulletBunkerCollisions() {
+        const bullets = this.gameEngine.gameObjects.filter(obj => 
+            obj instanceof Bullet && obj.active
+        );
+        const bunkers = this.gameEngine.gameObjects.filter(obj => 
+            obj instanceof Bunker && obj.active
+        );
+        
+        if (bunkers.length === 0) return;
+        
+        bullets.forEach(bullet => {
+            const nearbyBunkers = this.spatialGrid.getNearbyObjects(bullet, bunkers);
+            
+            nearbyBunkers.forEach(bunker => {
+                this.stats.checksPerFrame++;
+                
+                if (this.checkCollision(bullet, bunker)) {
+                    this.handleCollision(bullet, bunker);
+                    this.stats.collisionsPerFrame++;
+                }
+            });
+        });
+    }
+    
+    /**
+     * 敵とバンカーの接触判定
+     */
+    checkEnemyBunkerCollisions() {
+        const enemies = this.gameEngine.gameObjects.filter(obj => 
+            obj instanceof Enemy && obj.active
+        );
+        const bunkers = this.gameEngine.gameObjects.filter(obj => 
+            obj instanceof Bunker && obj.active
+        );
+        
+        if (bunkers.length === 0) return;
+        
+        enemies.forEach(enemy => {
+            const nearbyBunkers = this.spatialGrid.getNearbyObjects(enemy, bunkers);
+            
+            nearbyBunkers.forEach(bunker => {
+                this.stats.checksPerFrame++;
+                
+                if (this.checkCollision(enemy, bunker)) {
+                    this.handleCollision(enemy, bunker);
+                    this.stats.collisionsPerFrame++;
+                }
+            });
+        });
+    }
+    
     /**
      * プレイヤー弾と敵の衝突判定
      */
@@ -112,6 +176,32 @@ class CollisionSystem {
         });
     }
     
+    /**
+     * プレイヤー弾とUFOの衝突判定
+     */
+    checkPlayerBulletUFOCollisions() {
+        const ufos = this.gameEngine.gameObjects.filter(obj => 
+            obj instanceof UFO && obj.active
+        );
+        
+        if (ufos.length === 0) return;
+        
+        const playerBullets = this.gameEngine.gameObjects.filter(obj => 
+            obj instanceof Bullet && obj.isPlayerBullet && obj.active
+        );
+        
+        playerBullets.forEach(bullet => {
+            ufos.forEach(ufo => {
+                this.stats.checksPerFrame++;
+                
+                if (this.checkCollision(bullet, ufo)) {
+                    this.handleCollision(bullet, ufo);
+                    this.stats.collisionsPerFrame++;
+                }
+            });
+        });
+    }
+    
     /**
      * 敵弾とプレイヤーの衝突判定
      */
@@ -234,6 +324,13 @@ class CollisionSystem {
             return this.checkCircleCollision(obj1, obj2);
         }
         
+        // バンカーは矩形判定の後、残っているチャンクとの判定を行う
+        if (obj1 instanceof Bunker || obj2 instanceof Bunker) {
+            const bunker = obj1 instanceof Bunker ? obj1 : obj2;
+            const other = bunker === obj1 ? obj2 : obj1;
+            return this.checkAABBCollision(obj1, obj2) && bunker.isHitBy(other);
+        }
+        
         // その他は矩形衝突判定（AABB）
         return this.checkAABBCollision(obj1, obj2);
     }
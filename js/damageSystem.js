@@ -14,6 +14,19 @@ class DamageSystem {
         this.criticalChance = 0.1; // 10%のクリティカル確率
         this.criticalMultiplier = 2.0;
         
+        // 大きな命中・爆発の演出（画面の揺れの強さ 0〜1 とヒットストップの時間）
+        // レーザーの通常の命中（2 x 1.5 = 3）では揺らさないよう、大きな命中は4ダメージ以上かクリティカル
+        this.bigHitDamage = 4;
+        this.bigHitShake = 0.3;
+        this.bigHitStopDuration = 50; // ミリ秒
+        this.explosionShake = 0.6;
+        this.explosionHitStopDuration = 120; // ミリ秒
+        
+        // ノックバック（押し戻した後、同じ時間をかけて元の位置に戻す）
+        this.knockbacks = [];
+        this.knockbackForce = 50; // ダメージ1あたりの速度（ピクセル/秒）
+        this.knockbackDuration = 100; // 押し戻す時間（ミリ秒）
+        
         console.log('DamageSystem初期化完了');
     }
     
@@ -24,6 +37,9 @@ class DamageSystem {
     update(deltaTime) {
         // ダメージエフェクトの更新
         this.updateDamageEffects(deltaTime);
+        
+        // ノックバックの更新
+        this.updateKnockbacks(deltaTime);
     }
     
     /**
@@ -57,9 +73,9 @@ class DamageSystem {
         // ダメージ計算
         const damageResult = this.calculateDamage(attacker, target, baseDamage, damageType);
         
-        // ダメージを適用
+        // ダメージを適用（攻撃者は撃破した弾の判定などに使う）
         if (target.takeDamage) {
-            target.takeDamage(damageResult.finalDamage);
+            target.takeDamage(damageResult.finalDamage, attacker);
         } else if (target.health !== undefined) {
             target.health -= damageResult.finalDamage;
         }
@@ -77,6 +93,30 @@ class DamageSystem {
         return damageResult;
     }
     
+    /**
+     * 必ず倒すダメージを適用（体当たりなど）
+     * 倍率・クリティカル・防御で生き残らないよう、ダメージ計算を通さずに残り体力の分を与える
+     * @param {GameObject} attacker - 攻撃者
+     * @param {GameObject} target - 対象
+     * @returns {Object} ダメージ結果
+     */
+    applyLethalDamage(attacker, target) {
+        if (!target.active || target.invulnerable) {
+            return { damage: 0, blocked: true };
+        }
+        
+        const damageResult = {
+            baseDamage: target.health,
+            finalDamage: target.health,
+            isCritical: false,
+            damageType: 'normal'
+        };
+        target.takeDamage(damageResult.finalDamage, attacker);
+        this.createDamageEffect(target, damageResult);
+        
+        return damageResult;
+    }
+    
     /**
      * ダメージ計算
      * @param {GameObject} attacker - 攻撃者
@@ -90,7 +130,7 @@ class DamageSystem {
         let isCritical = false;
         
         // クリティカル判定
-        if (Math.random() < this.criticalChance) {
+        if (this.gameEngine.random.chance(this.criticalChance)) {
             finalDamage *= this.criticalMultiplier;
             isCritical = true;
         }
@@ -104,12 +144,12 @@ class DamageSystem {
                 finalDamage *= 2.0; // 爆発は2倍ダメージ
                 break;
             case 'piercing':
-                // 貫通ダメージは防御を無視
+                // 貫通ダメージは防御を無視（下の防御力の計算をしない）
                 break;
         }
         
         // 対象の防御力を考慮（将来の拡張用）
-        if (target.defense) {
+        if (target.defense && damageType !== 'piercing') {
             finalDamage = Math.max(1, finalDamage - target.defense);
         }
         
@@ -143,50 +183,89 @@ class DamageSystem {
         const hitEffect = new HitEffect(target.x, target.y, damageResult.damageType);
         this.damageEffects.push(hitEffect);
         
-        // 画面シェイク（大ダメージの場合）
-        if (damageResult.finalDamage >= 3 || damageResult.isCritical) {
-            this.createScreenShake(5, 200);
+        // 画面シェイクとヒットストップ（大ダメージの場合）
+        if (damageResult.finalDamage >= this.bigHitDamage || damageResult.isCritical) {
+            this.createScreenShake(this.bigHitShake);
+            this.gameEngine.camera.hitStop(this.bigHitStopDuration);
         }
     }
     
+    /**
+     * 爆発エフェクトを作成（自機・ボスの撃墜など）
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     */
+    createExplosionEffect(x, y) {
+        this.damageEffects.push(new HitEffect(x, y, 'explosion'));
+        this.createScreenShake(this.explosionShake);
+        this.gameEngine.camera.hitStop(this.explosionHitStopDuration);
+    }
+    
     /**
      * ノックバック効果を適用
+     * 速度を書き換えると編隊の移動とずれるため、位置を直接動かして元の位置に戻す
      * @param {GameObject} attacker - 攻撃者
      * @param {GameObject} target - 対象
      * @param {Object} damageResult - ダメージ結果
      */
     applyKnockback(attacker, target, damageResult) {
-        if (!target.setVelocity) return;
+        // 倒れた対象は押し戻さない
+        if (!target.active) return;
         
-        const knockbackForce = damageResult.finalDamage * 50;
+        const knockbackForce = damageResult.finalDamage * this.knockbackForce;
         const dx = target.x - attacker.x;
         const dy = target.y - attacker.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
         
         if (distance > 0) {
-            const knockbackX = (dx / distance) * knockbackForce;
-            const knockbackY = (dy / distance) * knockbackForce;
+            this.knockbacks.push({
+                target: target,
+                vx: (dx / distance) * knockbackForce,
+                vy: (dy / distance) * knockbackForce,
+                elapsed: 0
+            });
+        }
+    }
+    
+    /**
+     * ノックバックの更新（ゲーム内の時間で進めるのでリプレイでも同じ位置になる）
+     * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+     */
+    updateKnockbacks(deltaTime) {
+        for (let i = this.knockbacks.length - 1; i >= 0; i--) {
+            const knockback = this.knockbacks[i];
+            const previousOffset = this.getKnockbackOffset(knockback.elapsed);
+            knockback.elapsed = Math.min(knockback.elapsed + deltaTime, this.knockbackDuration * 2);
+            const offset = this.getKnockbackOffset(knockback.elapsed) - previousOffset;
             
-            // 現在の速度にノックバックを追加
-            target.vx += knockbackX;
-            target.vy += knockbackY;
+            if (knockback.target.active) {
+                knockback.target.x += knockback.vx * offset;
+                knockback.target.y += knockback.vy * offset;
+            }
             
-            // ノックバック効果を一定時間後に減衰
-            setTimeout(() => {
-                target.vx *= 0.5;
-                target.vy *= 0.5;
-            }, 100);
+            if (!knockback.target.active || knockback.elapsed >= this.knockbackDuration * 2) {
+                this.knockbacks.splice(i, 1);
+            }
         }
     }
     
     /**
-     * 画面シェイクを作成
-     * @param {number} intensity - 強度
-     * @param {number} duration - 持続時間（ミリ秒）
+     * ノックバック開始からの経過時間に対する押し戻しの量（秒。速度を掛けると移動量になる）
+     * @param {number} elapsed - 経過時間（ミリ秒）
+     * @returns {number}
+     */
+    getKnockbackOffset(elapsed) {
+        const pushed = Math.min(elapsed, this.knockbackDuration);
+        const returned = Math.max(0, elapsed - this.knockbackDuration);
+        return (pushed - returned) / 1000;
+    }
+    
+    /**
+     * 画面シェイクを作成（揺れは時間とともに自然に収まる）
+     * @param {number} trauma - 揺れの強さ（0〜1）
      */
-    createScreenShake(intensity, duration) {
-        // 画面シェイクエフェクト（後でカメラシステムで実装）
-        console.log(`画面シェイク: 強度${intensity}, 持続時間${duration}ms`);
+    createScreenShake(trauma) {
+        this.gameEngine.camera.addTrauma(trauma);
     }
     
     /**
@@ -202,6 +281,14 @@ class DamageSystem {
         });
     }
     
+    /**
+     * ダメージエフェクトとノックバックを消す（ゲームのやり直し時）
+     */
+    clear() {
+        this.damageEffects = [];
+        this.knockbacks = [];
+    }
+    
     /**
      * ダメージ倍率の設定
      * @param {number} multiplier - 倍率
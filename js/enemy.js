@@ -3,9 +3,18 @@
  * インベーダーの移動パターンと基本的な行動を管理
  */
 class Enemy extends GameObject {
-    constructor(x, y, enemyType = 'basic') {
+    /**
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {string} enemyType - 敵タイプ
+     * @param {SeededRandom} random - 乱数生成器（GameEngine.random を渡す。省略時は独自のシード）
+     */
+    constructor(x, y, enemyType = 'basic', random = null) {
         super(x, y);
         
+        // 乱数（射撃間隔・射撃判定・武器ドロップに使用）
+        this.random = random || new SeededRandom();
+        
         // 敵固有の設定
         this.enemyType = enemyType;
         this.width = 16;
@@ -26,7 +35,7 @@ class Enemy extends GameObject {
         // 射撃関連
         this.canShoot = true;
         this.shootCooldown = 0;
-        this.shootCooldownTime = 2000 + Math.random() * 3000; // 2-5秒のランダム
+        this.shootCooldownTime = this.random.range(2000, 5000); // 2-5秒のランダム
         this.shootProbability = 0.001; // 毎フレームの射撃確率
         
         // アニメーション
@@ -65,7 +74,7 @@ class Enemy extends GameObject {
                 this.color = '#ff0088';
                 this.points = 15;
                 this.shootProbability = 0.005;
-                this.shootCooldownTime = 1000 + Math.random() * 2000;
+                this.shootCooldownTime = this.random.range(1000, 3000);
                 break;
                 
             default: // 'basic'
@@ -131,7 +140,7 @@ class Enemy extends GameObject {
         }
         
         // ランダム射撃
-        if (this.canShoot && Math.random() < this.shootProbability) {
+        if (this.canShoot && this.random.chance(this.shootProbability)) {
             this.shoot();
         }
     }
@@ -162,18 +171,23 @@ class Enemy extends GameObject {
     /**
      * ダメージを受ける
      * @param {number} damage - ダメージ量
+     * @param {GameObject|null} source - ダメージの発生元（命中した弾など）
      */
-    takeDamage(damage = 1) {
+    takeDamage(damage = 1, source = null) {
         if (!this.active) return;
         
         this.health -= damage;
         console.log(`敵がダメージを受けた。残り体力: ${this.health}`);
         
         if (this.health <= 0) {
-            this.onDeath();
+            this.onDeath(source);
         } else {
             // ダメージエフェクト（色を一時的に変更）
             this.showDamageEffect();
+            
+            if (this.gameEngine && this.gameEngine.audioManager) {
+                this.gameEngine.audioManager.playSound('enemyHit');
+            }
         }
     }
     
@@ -192,13 +206,18 @@ class Enemy extends GameObject {
     
     /**
      * 死亡時の処理
+     * @param {GameObject|null} source - とどめを刺した相手（命中した弾など）
      */
-    onDeath() {
+    onDeath(source = null) {
         console.log(`${this.enemyType}敵が撃破された。スコア: ${this.points}`);
         
         // スコア加算
         this.addScore(this.points);
         
+        if (this.gameEngine) {
+            this.gameEngine.events.emit('enemyKilled', { enemy: this, points: this.points, source: source });
+        }
+        
         // 武器ドロップの判定
         this.checkWeaponDrop();
         
@@ -214,14 +233,8 @@ class Enemy extends GameObject {
      * @param {number} points - 加算するスコア
      */
     addScore(points) {
-        if (this.gameEngine && this.gameEngine.gameStateManager) {
-            this.gameEngine.gameStateManager.addScore(points);
-            
-            // UISystemに通知
-            if (this.gameEngine.uiSystem) {
-                const totalScore = this.gameEngine.gameStateManager.getGameState().score;
-                this.gameEngine.uiSystem.onScoreAdd(points, totalScore);
-            }
+        if (this.gameEngine && this.gameEngine.scoreService) {
+            this.gameEngine.scoreService.award(points, 'enemyKill', this);
         }
     }
     
@@ -230,19 +243,20 @@ class Enemy extends GameObject {
      */
     checkWeaponDrop() {
         // 20%の確率で武器をドロップ
-        if (Math.random() < 0.2) {
+        if (this.random.chance(0.2)) {
             console.log('武器アイテムをドロップ');
-            const weaponPickup = new WeaponPickup(this.x, this.y);
+            const weaponPickup = new WeaponPickup(this.x, this.y, null, this.random);
             this.gameEngine.addGameObject(weaponPickup);
         }
     }
     
     /**
-     * 爆発エフェクトの作成
+     * 爆発エフェクトの作成（敵の色のパーティクルを飛び散らせる）
      */
     createExplosion() {
-        // Explosion クラスは後で実装
-        console.log(`爆発エフェクト: (${this.x}, ${this.y})`);
+        if (this.gameEngine) {
+            this.gameEngine.particleSystem.emit('enemyDeath', this.x, this.y, { color: this.color });
+        }
     }
     
     /**
@@ -317,14 +331,10 @@ class Enemy extends GameObject {
      * @param {GameObject} other - 衝突した相手オブジェクト
      */
     onCollision(other) {
-        // プレイヤーの弾丸との衝突
-        if (other instanceof Bullet && other.isPlayerBullet) {
-            this.takeDamage(other.damage);
-            other.destroy();
-        }
-        // プレイヤーとの直接衝突
-        else if (other instanceof Player) {
-            this.takeDamage(999); // 敵も破壊される
+        // プレイヤーの弾丸との衝突は、ダメージ・弾の削除とも Bullet 側で処理
+        // プレイヤーとの直接衝突（ダメージ倍率に関係なく敵も破壊される。自機へのダメージは Player 側で処理）
+        if (other instanceof Player) {
+            this.gameEngine.damageSystem.applyLethalDamage(other, this);
         }
     }
     
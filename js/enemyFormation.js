@@ -6,6 +6,7 @@ class EnemyFormation {
     constructor(gameEngine) {
         this.gameEngine = gameEngine;
         this.enemies = [];
+        this.boss = null;
         
         // 編隊移動設定
         this.direction = 1; // 1: 右, -1: 左
@@ -18,26 +19,11 @@ class EnemyFormation {
         this.moveDownTimer = 0;
         this.moveDownDuration = 500; // ミリ秒
         
-        // レベル設定
+        // レベル設定（LevelManager のレベル定義を使用）
         this.currentLevel = 1;
-        this.levelConfigs = {
-            1: {
-                rows: 3,
-                cols: 8,
-                enemyTypes: ['basic', 'basic', 'fast'],
-                spacing: { x: 40, y: 35 },
-                startY: 80,
-                baseSpeed: 50
-            },
-            2: {
-                rows: 4,
-                cols: 10,
-                enemyTypes: ['basic', 'fast', 'shooter', 'strong'],
-                spacing: { x: 35, y: 30 },
-                startY: 60,
-                baseSpeed: 60
-            }
-        };
+        this.formationConfig = null;
+        this.initialEnemyCount = 0;
+        this.isDestroyed = false; // 全滅を通知済みか（編隊ごとに一度だけ通知する）
         
         console.log('EnemyFormation初期化完了');
     }
@@ -45,15 +31,31 @@ class EnemyFormation {
     /**
      * 指定レベルの敵編隊を作成
      * @param {number} level - レベル番号
-     * @param {Object} levelConfig - レベル設定（オプション）
+     * @param {Object} levelConfig - レベル設定
      */
-    createFormation(level, levelConfig = null) {
+    createFormation(level, levelConfig) {
         this.currentLevel = level;
         this.clearFormation();
         
-        // レベル設定を使用（提供されていない場合はデフォルト）
-        const config = levelConfig?.enemyFormation || this.levelConfigs[level] || this.levelConfigs[2];
-        const { rows, cols, enemyTypes, spacing, startY, baseSpeed } = config;
+        const config = levelConfig?.enemyFormation;
+        if (!config) {
+            console.error(`レベル${level}の編隊設定がありません`);
+            return;
+        }
+        
+        this.formationConfig = config;
+        const { spacing, startY, baseSpeed } = config;
+        
+        // 移動状態を初期化（前の編隊の向きを引き継ぐとリプレイが再現できない）
+        this.direction = 1;
+        this.isMovingDown = false;
+        this.moveDownTimer = 0;
+        this.isDestroyed = false;
+        
+        // 配置グリッド（セルごとの敵タイプ、nullは空き）
+        const grid = this.buildGrid(config);
+        const rows = grid.length;
+        const cols = Math.max(0, ...grid.map(gridRow => gridRow.length));
         
         // 基本速度を設定
         this.moveSpeed = baseSpeed || 50;
@@ -66,14 +68,14 @@ class EnemyFormation {
         
         // 敵を配置
         for (let row = 0; row < rows; row++) {
-            for (let col = 0; col < cols; col++) {
+            for (let col = 0; col < grid[row].length; col++) {
+                const enemyType = grid[row][col];
+                if (!enemyType) continue;
+                
                 const x = startX + col * spacing.x;
                 const y = startY + row * spacing.y;
                 
-                // 行に応じて敵タイプを決定
-                const enemyType = enemyTypes[row % enemyTypes.length];
-                
-                const enemy = new Enemy(x, y, enemyType);
+                const enemy = new Enemy(x, y, enemyType, this.gameEngine.random);
                 enemy.setSpeed(this.moveSpeed);
                 
                 // レベルに応じた敵の強化
@@ -84,7 +86,58 @@ class EnemyFormation {
             }
         }
         
+        this.initialEnemyCount = this.enemies.length;
         console.log(`${this.enemies.length}体の敵を配置完了`);
+        
+        // ボス戦の場合はボスを配置
+        if (levelConfig?.boss) {
+            this.spawnBoss(levelConfig.boss);
+        } else if (levelConfig?.clearCondition === 'defeatBoss') {
+            console.warn(`レベル${level}はボス撃破が条件ですがボス設定がありません`);
+        }
+    }
+    
+    /**
+     * 編隊設定から配置グリッドを作成
+     * layout が指定されていればそのまま使い、なければ行ごとに敵タイプを割り当てる
+     * @param {Object} config - 編隊設定
+     * @returns {Array<Array<string|null>>} セルごとの敵タイプ（nullは空き）
+     */
+    buildGrid(config) {
+        if (config.layout) {
+            return config.layout;
+        }
+        
+        const grid = [];
+        for (let row = 0; row < config.rows; row++) {
+            const enemyType = config.enemyTypes[row % config.enemyTypes.length];
+            grid.push(new Array(config.cols).fill(enemyType));
+        }
+        return grid;
+    }
+    
+    /**
+     * ボスを配置
+     * @param {Object} bossConfig - ボス設定
+     */
+    spawnBoss(bossConfig) {
+        const boss = new Boss(this.gameEngine.width / 2, bossConfig.y || 110, bossConfig, this.gameEngine.random);
+        this.boss = boss;
+        this.gameEngine.addGameObject(boss);
+    }
+    
+    /**
+     * 編隊に敵を追加（ボスの手下など途中参加の敵）
+     * @param {Enemy} enemy - 追加する敵
+     */
+    addEnemy(enemy) {
+        enemy.direction = this.isMovingDown ? 0 : this.direction;
+        enemy.setSpeed(this.moveSpeed);
+        this.applyLevelScaling(enemy, this.currentLevel);
+        
+        this.enemies.push(enemy);
+        this.initialEnemyCount = Math.max(this.initialEnemyCount, this.enemies.length);
+        this.gameEngine.addGameObject(enemy);
     }
     
     /**
@@ -106,7 +159,7 @@ class EnemyFormation {
         
         // 射撃頻度の強化
         enemy.shootProbability *= (1 + (level - 1) * 0.1);
-        enemy.shootCooldownTime *= (1 - (level - 1) * 0.1);
+        enemy.shootCooldownTime *= Math.max(0.4, 1 - (level - 1) * 0.1);
     }
     
     /**
@@ -119,6 +172,11 @@ class EnemyFormation {
             }
         });
         this.enemies = [];
+        
+        if (this.boss && this.boss.active) {
+            this.boss.destroy();
+        }
+        this.boss = null;
     }
     
     /**
@@ -130,7 +188,11 @@ class EnemyFormation {
         this.enemies = this.enemies.filter(enemy => enemy.active);
         
         if (this.enemies.length === 0) {
-            this.onFormationDestroyed();
+            // 最初から敵のいない編隊（ボス戦）は全滅として扱わない
+            if (!this.isDestroyed && this.initialEnemyCount > 0) {
+                this.isDestroyed = true;
+                this.onFormationDestroyed();
+            }
             return;
         }
         
@@ -188,8 +250,9 @@ class EnemyFormation {
         this.moveDownTimer = 0;
         this.direction *= -1; // 方向転換
         
-        // 全ての敵を下向きに移動
+        // 全ての敵を下向きに移動（Enemy は毎フレーム向きから横速度を決めるため、降下中は向きを0にする）
         this.enemies.forEach(enemy => {
+            enemy.direction = 0;
             enemy.setVelocity(0, this.dropDistance / (this.moveDownDuration / 1000));
         });
         
@@ -218,13 +281,13 @@ class EnemyFormation {
      * 速度調整（敵が少なくなるほど速くなる）
      */
     updateSpeed() {
-        const config = this.levelConfigs[this.currentLevel] || this.levelConfigs[2];
-        const totalEnemies = config.rows * config.cols;
-        const remainingRatio = this.enemies.length / totalEnemies;
+        if (!this.formationConfig) return;
+        
+        const remainingRatio = this.enemies.length / Math.max(1, this.initialEnemyCount);
         
         // 残り敵数に応じて速度を調整（50%〜150%）
         const speedMultiplier = 1.5 - (remainingRatio * 0.5);
-        const newSpeed = config.baseSpeed;
+        const newSpeed = this.formationConfig.baseSpeed;
         this.moveSpeed = newSpeed * speedMultiplier;
         
         // 敵の速度を更新（下向き移動中は除く）
@@ -250,18 +313,16 @@ class EnemyFormation {
      * 編隊が全滅した時の処理
      */
     onFormationDestroyed() {
+        // レベルクリアの判定は LevelManager が行う
         console.log('編隊が全滅しました');
-        // レベルクリア処理（後でゲーム状態管理で実装）
-        this.gameEngine.onLevelComplete?.();
     }
     
     /**
      * 編隊が画面下部に到達した時の処理
      */
     onFormationReachedBottom() {
+        // ゲームオーバーの判定は LevelManager が行う
         console.log('編隊が画面下部に到達 - ゲームオーバー');
-        // ゲームオーバー処理（後でゲーム状態管理で実装）
-        this.gameEngine.onGameOver?.();
     }
     
     /**
@@ -9,43 +9,56 @@ class EnemyShootingSystem {
         // 射撃設定
         this.globalShootRate = 1.0; // グローバル射撃頻度倍率
         this.maxSimultaneousBullets = 10; // 同時に存在できる敵弾の最大数
+        this.aggressiveness = 1.0; // 狙い撃ちの多さ（1.0を超えると通常の敵も狙ってくる）
         this.currentBulletCount = 0;
         
-        // レベル別設定
-        this.levelSettings = {
-            1: {
-                shootRate: 0.8,
-                maxBullets: 8,
-                aggressiveness: 0.5
+        this.currentLevel = 1;
+        
+        // ボス攻撃パターンの設定
+        this.bossPatternSettings = {
+            spiral: {
+                duration: 1500, // ミリ秒
+                fireInterval: 80,
+                arms: 3, // 同時に発射する方向数
+                rotationStep: 0.3, // 1発ごとの回転角度（ラジアン）
+                bulletSpeed: 160
+            },
+            beam: {
+                duration: 1200,
+                fireInterval: 40,
+                sweepAngle: 0.7, // 真下からの最大角度（ラジアン）
+                bulletSpeed: 320
             },
-            2: {
-                shootRate: 1.2,
-                maxBullets: 12,
-                aggressiveness: 0.8
+            minions: {
+                count: 3,
+                maxMinions: 6,
+                enemyType: 'fast'
             }
         };
         
-        this.currentLevel = 1;
-        
         console.log('EnemyShootingSystem初期化完了');
     }
     
     /**
      * レベル設定の更新
      * @param {number} level - 現在のレベル
-     * @param {Object} levelConfig - レベル設定（オプション）
+     * @param {Object} levelConfig - レベル設定
      */
-    setLevel(level, levelConfig = null) {
+    setLevel(level, levelConfig) {
         this.currentLevel = level;
         
-        // レベル設定を使用（提供されていない場合はデフォルト）
-        const settings = levelConfig?.shootingConfig || this.levelSettings[level] || this.levelSettings[2];
+        const settings = levelConfig?.shootingConfig;
+        if (!settings) {
+            console.error(`レベル${level}の射撃設定がありません`);
+            return;
+        }
         
         this.globalShootRate = settings.shootRate;
         this.maxSimultaneousBullets = settings.maxBullets;
+        this.aggressiveness = settings.aggressiveness;
         
-        // レベルに応じた追加スケーリング
-        const scalingFactor = 1 + (level - 1) * 0.15; // レベルごとに15%強化
+        // レベルに応じた追加スケーリング（エンドレスモードの後半でも上限で止める）
+        const scalingFactor = Math.min(2.0, 1 + (level - 1) * 0.15); // レベルごとに15%強化
         this.globalShootRate *= scalingFactor;
         this.maxSimultaneousBullets = Math.floor(this.maxSimultaneousBullets * scalingFactor);
         
@@ -63,6 +76,9 @@ class EnemyShootingSystem {
         
         // 敵の射撃判定を更新
         this.updateEnemyShooting(deltaTime);
+        
+        // ボスの攻撃パターンを更新
+        this.updateBossAttacks(deltaTime);
     }
     
     /**
@@ -79,7 +95,10 @@ class EnemyShootingSystem {
      * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
      */
     updateEnemyShooting(deltaTime) {
-        const enemies = this.gameEngine.gameObjects.filter(obj => obj instanceof Enemy);
+        // ボスはパターン攻撃のみ行うため通常射撃の対象外
+        const enemies = this.gameEngine.gameObjects.filter(obj => 
+            obj instanceof Enemy && !(obj instanceof Boss)
+        );
         
         if (enemies.length === 0) return;
         
@@ -150,7 +169,7 @@ class EnemyShootingSystem {
         }
         
         // 射撃判定
-        if (Math.random() < shootChance) {
+        if (this.gameEngine.random.chance(shootChance)) {
             this.executeEnemyShoot(enemy, player);
         }
     }
@@ -192,13 +211,12 @@ class EnemyShootingSystem {
     getShootPattern(enemy) {
         switch (enemy.enemyType) {
             case 'shooter':
-                return Math.random() < 0.7 ? 'aimed' : 'straight';
-            case 'fast':
-                return 'straight';
+                return this.gameEngine.random.chance(Math.min(0.9, 0.4 + this.aggressiveness * 0.3)) ? 'aimed' : 'straight';
             case 'strong':
-                return Math.random() < 0.5 ? 'spread' : 'straight';
+                return this.gameEngine.random.chance(0.5) ? 'spread' : 'straight';
             default:
-                return 'straight';
+                // 攻撃性が高いと通常の敵も狙い撃ちしてくる
+                return this.gameEngine.random.chance(Math.max(0, this.aggressiveness - 1) * 0.5) ? 'aimed' : 'straight';
         }
     }
     
@@ -270,6 +288,170 @@ class EnemyShootingSystem {
         this.setBulletCooldown(enemy, 1.5); // 拡散射撃は長めのクールダウン
     }
     
+    /**
+     * ボスの攻撃パターンを更新
+     * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+     */
+    updateBossAttacks(deltaTime) {
+        const bosses = this.gameEngine.gameObjects.filter(obj => 
+            obj instanceof Boss && obj.active && !obj.isEntering
+        );
+        
+        bosses.forEach(boss => {
+            if (boss.currentAttack) {
+                this.continueBossAttack(boss, deltaTime);
+                return;
+            }
+            
+            const phase = boss.getCurrentPhase();
+            boss.attackTimer += deltaTime;
+            
+            if (boss.attackTimer >= phase.attackInterval) {
+                boss.attackTimer = 0;
+                const pattern = this.gameEngine.random.pick(phase.patterns);
+                this.startBossAttack(boss, pattern);
+            }
+        });
+    }
+    
+    /**
+     * ボスの攻撃パターンを開始
+     * @param {Boss} boss - ボス
+     * @param {string} pattern - 攻撃パターン（'spiral', 'beam', 'minions'）
+     */
+    startBossAttack(boss, pattern) {
+        const settings = this.bossPatternSettings[pattern];
+        if (!settings) {
+            console.warn(`不明なボス攻撃パターン: ${pattern}`);
+            return;
+        }
+        
+        console.log(`${boss.name}の攻撃: ${pattern}`);
+        
+        // 手下召喚は一度に実行
+        if (pattern === 'minions') {
+            this.spawnBossMinions(boss, settings);
+            return;
+        }
+        
+        const sweepDirection = this.gameEngine.random.chance(0.5) ? 1 : -1;
+        boss.currentAttack = {
+            pattern: pattern,
+            elapsed: 0,
+            fireTimer: 0,
+            angle: pattern === 'beam' ? -settings.sweepAngle * sweepDirection : 0,
+            sweepDirection: sweepDirection
+        };
+    }
+    
+    /**
+     * 実行中のボス攻撃パターンを継続
+     * @param {Boss} boss - ボス
+     * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+     */
+    continueBossAttack(boss, deltaTime) {
+        const attack = boss.currentAttack;
+        const settings = this.bossPatternSettings[attack.pattern];
+        
+        attack.elapsed += deltaTime;
+        attack.fireTimer += deltaTime;
+        
+        while (attack.fireTimer >= settings.fireInterval) {
+            attack.fireTimer -= settings.fireInterval;
+            
+            switch (attack.pattern) {
+                case 'spiral':
+                    this.shootSpiral(boss, attack, settings);
+                    break;
+                case 'beam':
+                    this.shootBeam(boss, attack, settings);
+                    break;
+            }
+        }
+        
+        if (attack.elapsed >= settings.duration) {
+            boss.currentAttack = null;
+        }
+    }
+    
+    /**
+     * 螺旋射撃（回転しながら複数方向に発射）
+     * @param {Boss} boss - ボス
+     * @param {Object} attack - 攻撃状態
+     * @param {Object} settings - パターン設定
+     */
+    shootSpiral(boss, attack, settings) {
+        for (let arm = 0; arm < settings.arms; arm++) {
+            const angle = attack.angle + (Math.PI * 2 * arm) / settings.arms;
+            this.fireBossBullet(boss, angle, settings.bulletSpeed, '#ff00ff');
+        }
+        attack.angle += settings.rotationStep;
+    }
+    
+    /**
+     * 薙ぎ払いビーム（角度を掃引しながら連射）
+     * @param {Boss} boss - ボス
+     * @param {Object} attack - 攻撃状態
+     * @param {Object} settings - パターン設定
+     */
+    shootBeam(boss, attack, settings) {
+        const bullet = this.fireBossBullet(boss, attack.angle, settings.bulletSpeed, '#00ffff');
+        bullet.width = 6;
+        bullet.height = 12;
+        
+        // 掃引角度を進める
+        const sweepStep = (settings.sweepAngle * 2) / (settings.duration / settings.fireInterval);
+        attack.angle += sweepStep * attack.sweepDirection;
+    }
+    
+    /**
+     * 手下の召喚
+     * @param {Boss} boss - ボス
+     * @param {Object} settings - パターン設定
+     */
+    spawnBossMinions(boss, settings) {
+        boss.minions = boss.minions.filter(minion => minion.active);
+        const count = Math.min(settings.count, settings.maxMinions - boss.minions.length);
+        if (count <= 0) return;
+        
+        const formation = this.gameEngine.enemyFormation;
+        const spacing = 30;
+        const startX = boss.x - ((count - 1) * spacing) / 2;
+        
+        for (let i = 0; i < count; i++) {
+            const minion = new Enemy(startX + i * spacing, boss.y + boss.height / 2 + 30, settings.enemyType, this.gameEngine.random);
+            boss.minions.push(minion);
+            
+            // 編隊に参加させて移動を任せる
+            if (formation) {
+                formation.addEnemy(minion);
+            } else {
+                this.gameEngine.addGameObject(minion);
+            }
+        }
+    }
+    
+    /**
+     * ボスの弾を発射
+     * @param {Boss} boss - ボス
+     * @param {number} angle - 発射角度（ラジアン、0が真下）
+     * @param {number} speed - 弾速
+     * @param {string} color - 弾の色
+     * @returns {Bullet} 発射した弾
+     */
+    fireBossBullet(boss, angle, speed, color) {
+        const bullet = new Bullet(
+            boss.x,
+            boss.y + boss.height / 2,
+            Math.sin(angle) * speed,
+            Math.cos(angle) * speed,
+            false
+        );
+        bullet.color = color;
+        this.gameEngine.addGameObject(bullet);
+        return bullet;
+    }
+    
     /**
      * 敵の射撃クールダウンを設定
      * @param {Enemy} enemy - 敵
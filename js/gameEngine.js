@@ -1,20 +1,35 @@
 /**
  * ゲームエンジンの基本クラス
- * 60FPSでのゲームループ、Canvas描画、基本的なゲーム状態管理を提供
+ * 固定ステップ（60Hz）のゲームループ、Canvas描画、基本的なゲーム状態管理を提供
  */
 class GameEngine {
-    constructor(canvasId) {
-        this.canvas = document.getElementById(canvasId);
-        this.ctx = this.canvas.getContext('2d');
-        this.width = this.canvas.width;
-        this.height = this.canvas.height;
+    /**
+     * @param {string|null} canvasId - 描画先の Canvas 要素のID（ヘッドレスモードでは不要）
+     * @param {Object} options - {headless, width, height}
+     *   headless: true の場合は描画・DOM更新・音声・イベント登録を行わず、Node でもゲームを進められる
+     */
+    constructor(canvasId, options = {}) {
+        // ヘッドレスモード（自動テストやバランス調整のシミュレーション用）
+        this.headless = !!options.headless;
+        
+        this.canvas = this.headless ? null : document.getElementById(canvasId);
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+        this.width = this.canvas ? this.canvas.width : (options.width || 800);
+        this.height = this.canvas ? this.canvas.height : (options.height || 600);
+        
+        // 設定・記録の保存先（ヘッドレスモードではメモリ上に保存し、ブラウザの記録を汚さない）
+        this.storage = this.headless ? new MemoryStorage() : localStorage;
         
         // ゲーム状態
         this.isRunning = false;
         this.isPaused = false;
         this.lastTime = 0;
         this.targetFPS = 60;
-        this.frameInterval = 1000 / this.targetFPS;
+        
+        // 固定ステップ（画面のリフレッシュレートに関係なく、ゲームは常にこの間隔で進める）
+        this.fixedTimeStep = 1000 / this.targetFPS;
+        this.accumulator = 0; // まだ進めていない経過時間
+        this.maxFrameTime = 250; // 1フレームで進める時間の上限（処理落ち時に更新が追いつかなくなるのを防ぐ）
         
         // FPS計測
         this.frameCount = 0;
@@ -24,33 +39,75 @@ class GameEngine {
         // ゲームオブジェクト管理
         this.gameObjects = [];
         
+        // ゲーム時間で発火する予約イベント（setTimeout と違い、一時停止・リプレイ・ヘッドレスでも時間がずれない）
+        this.scheduledEvents = [];
+        
+        // ゲームプレイ用の乱数（全システムで共有し、シードからプレイを再現できるようにする）
+        this.random = new SeededRandom();
+        this.fixedSeed = null; // 次のゲームで使うシード（nullの場合は毎回ランダム）
+        
         // レンダリング設定
         this.smoothing = true;
         
+        // ゲームイベントバス（各システムはここを通して連携する）
+        this.events = new GameEventBus();
+        
         // 入力管理
-        this.inputManager = new InputManager();
+        this.inputManager = new InputManager(this);
+        
+        // オーディオ管理
+        this.audioManager = new AudioManager({ storage: this.storage, silent: this.headless });
+        
+        // レンダラー（ヘッドレスモードでは描画しない）
+        this.renderer = this.headless ? null : new Renderer(this.ctx, this.width, this.height);
         
-        // レンダラー
-        this.renderer = new Renderer(this.ctx, this.width, this.height);
+        // カメラ（画面の揺れとヒットストップ）
+        this.camera = new Camera(this);
         
         // 衝突判定システム
         this.collisionSystem = new CollisionSystem(this);
         
+        // バンカー管理システム
+        this.bunkerManager = new BunkerManager(this);
+        
         // ダメージシステム
         this.damageSystem = new DamageSystem(this);
         
+        // パーティクルシステム（撃墜・アイテムの演出）
+        this.particleSystem = new ParticleSystem(this);
+        
+        // スコア管理サービス（スコア加算はすべてここを通す）
+        this.scoreService = new ScoreService(this);
+        
+        // 残機管理システム（被弾・復活・エクステンド）
+        this.lifeManager = new LifeManager(this);
+        
         // レベル管理システム
         this.levelManager = new LevelManager(this);
         
         // ゲーム状態管理システム
         this.gameStateManager = new GameStateManager(this);
         
+        // 通算統計（セッションをまたいで集計）
+        this.lifetimeStats = new LifetimeStats(this);
+        
+        // 実績管理システム
+        this.achievementManager = new AchievementManager(this);
+        
         // UIシステム
         this.uiSystem = new UISystem(this);
         
         // シーン管理システム
         this.sceneManager = new SceneManager(this);
         
+        // 敵システム（main.js の initGame で設定）
+        this.enemyFormation = null;
+        this.enemyShootingSystem = null;
+        this.ufoSpawner = null;
+        
+        // ゲームイベントの購読
+        this.subscribeEvents();
+        
         // 初期化
         this.init();
     }
@@ -59,9 +116,10 @@ class GameEngine {
      * ゲームエンジンの初期化
      */
     init() {
-        // Canvas設定の最適化
-        this.ctx.imageSmoothingEnabled = this.smoothing;
-        this.ctx.textBaseline = 'top';
+        if (this.headless) {
+            console.log(`ゲームエンジン初期化完了（ヘッドレス ${this.width}x${this.height}）`);
+            return;
+        }
         
         // エラーハンドリング
         if (!this.canvas) {
@@ -71,11 +129,28 @@ class GameEngine {
             throw new Error('Canvas 2Dコンテキストの取得に失敗しました');
         }
         
+        // Canvas設定の最適化
+        this.ctx.imageSmoothingEnabled = this.smoothing;
+        this.ctx.textBaseline = 'top';
+        
         console.log('ゲームエンジン初期化完了');
         console.log(`Canvas サイズ: ${this.width}x${this.height}`);
         console.log(`目標FPS: ${this.targetFPS}`);
     }
     
+    /**
+     * ゲームイベントの購読
+     * レベルの進行に合わせてエンジン自身の処理と効果音をつなぐ
+     */
+    subscribeEvents() {
+        this.audioManager.subscribe(this.events);
+        
+        this.events.on('levelStarted', event => this.onLevelStart(event.level, event.config));
+        this.events.on('levelCleared', event => this.onLevelClear(event.level, event.bonusScore));
+        this.events.on('levelFailed', event => this.onGameOver(event.level));
+        this.events.on('gameCompleted', event => this.onGameComplete(event.completionBonus));
+    }
+    
     /**
      * ゲームループの開始
      */
@@ -85,6 +160,7 @@ class GameEngine {
         this.isRunning = true;
         this.isPaused = false;
         this.lastTime = performance.now();
+        this.accumulator = 0;
         this.fpsTimer = 0;
         this.frameCount = 0;
         this.gameLoop();
@@ -109,44 +185,75 @@ class GameEngine {
     
     /**
      * メインゲームループ
+     * 経過時間を貯めて固定ステップ単位で更新し、余りの時間で描画位置を補間する
      */
     gameLoop() {
         if (!this.isRunning) return;
         
         const currentTime = performance.now();
-        const deltaTime = currentTime - this.lastTime;
+        const frameTime = currentTime - this.lastTime;
+        this.lastTime = currentTime;
         
-        if (deltaTime >= this.frameInterval) {
-            // FPS計測
-            this.frameCount++;
-            this.fpsTimer += deltaTime;
-            
-            if (this.fpsTimer >= 1000) {
-                this.currentFPS = this.frameCount;
-                this.frameCount = 0;
-                this.fpsTimer = 0;
-            }
-            
-            // 一時停止の入力処理は常に行う
-            this.handlePauseInput();
-            
-            // ゲーム更新（一時停止中は更新しない）
-            if (!this.isPaused) {
-                this.update(deltaTime);
-            } else {
-                // 一時停止中でも入力管理の更新は必要
-                this.inputManager.update();
-            }
-            
-            // 描画は常に実行
-            this.render();
-            
-            this.lastTime = currentTime - (deltaTime % this.frameInterval);
+        // FPS計測（描画フレーム数）
+        this.frameCount++;
+        this.fpsTimer += frameTime;
+        
+        if (this.fpsTimer >= 1000) {
+            this.currentFPS = this.frameCount;
+            this.frameCount = 0;
+            this.fpsTimer = 0;
         }
         
+        // タブ切り替えや処理落ちで時間が飛んだ場合は上限で切り詰める（その分ゲームは遅れる）
+        this.accumulator += Math.min(frameTime, this.maxFrameTime);
+        
+        while (this.accumulator >= this.fixedTimeStep) {
+            this.step(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+        }
+        
+        // 描画は常に実行（前ステップと現在の位置の間を補間）
+        this.render(this.accumulator / this.fixedTimeStep);
+        
         requestAnimationFrame(() => this.gameLoop());
     }
     
+    /**
+     * 指定ステップ数だけゲームを進める
+     * ヘッドレスモードで待ち時間なしに最大速度でシミュレーションする用
+     * @param {number} stepCount - 進めるステップ数
+     */
+    advance(stepCount = 1) {
+        for (let i = 0; i < stepCount; i++) {
+            this.step(this.fixedTimeStep);
+        }
+    }
+    
+    /**
+     * 固定ステップ1回分の処理
+     * @param {number} deltaTime - ステップの時間（ミリ秒）
+     */
+    step(deltaTime) {
+        // 描画補間の起点として、更新前の位置を保存
+        for (const obj of this.gameObjects) {
+            if (obj.savePreviousPosition) {
+                obj.savePreviousPosition();
+            }
+        }
+        
+        // 一時停止・ミュートの入力処理は常に行う
+        this.handlePauseInput();
+        this.handleAudioInput();
+        
+        // ゲーム更新（一時停止中は更新しない）
+        if (!this.isPaused) {
+            this.update(deltaTime);
+        } else {
+            // 一時停止中でも入力管理の更新は必要
+            this.inputManager.update();
+        }
+    }
+    
     /**
      * ゲーム状態の更新
      * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
@@ -155,7 +262,60 @@ class GameEngine {
         // 入力処理
         this.handleInput();
         
-        // ゲームオブジェクトの更新
+        if (this.sceneManager.isReplaying()) {
+            // リプレイ再生中はシーン管理が記録したフレーム単位でゲームを進める
+            this.sceneManager.update(deltaTime);
+        } else {
+            // プレイ中のフレームは入力を記録（リプレイ用）
+            if (this.sceneManager.isInGame() && !this.sceneManager.isTransitioning) {
+                this.inputManager.recordFrame(deltaTime);
+            }
+            
+            // ヒットストップ中はゲーム内の時間を止める
+            const gameDeltaTime = this.camera.consumeHitStop(deltaTime);
+            if (gameDeltaTime > 0) {
+                this.updateGameObjects(gameDeltaTime);
+            }
+            
+            // シーン管理の更新
+            this.sceneManager.update(deltaTime);
+            
+            // ゲーム中のみ他のシステムを更新
+            if (this.sceneManager.isInGame() && gameDeltaTime > 0) {
+                this.updateGameSystems(gameDeltaTime);
+            }
+            
+            this.gameStateManager.update(deltaTime);
+        }
+        
+        // 常に更新するシステム
+        this.uiSystem.update(deltaTime);
+        this.camera.update(deltaTime);
+        
+        // 入力管理の更新
+        this.inputManager.update();
+    }
+    
+    /**
+     * 記録した1フレーム分のゲームを進める（リプレイ再生用）
+     * 入力は InputManager.setReplayFrame() で設定しておく
+     * @param {number} deltaTime - 記録時の経過時間（ミリ秒）
+     */
+    stepReplayFrame(deltaTime) {
+        // 記録時と同じフレームでヒットストップを消費する
+        const gameDeltaTime = this.camera.consumeHitStop(deltaTime);
+        if (gameDeltaTime > 0) {
+            this.updateGameObjects(gameDeltaTime);
+            this.updateGameSystems(gameDeltaTime);
+        }
+        this.gameStateManager.update(deltaTime);
+    }
+    
+    /**
+     * ゲームオブジェクトの更新
+     * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+     */
+    updateGameObjects(deltaTime) {
         for (let i = this.gameObjects.length - 1; i >= 0; i--) {
             const obj = this.gameObjects[i];
             if (obj.update) {
@@ -167,23 +327,46 @@ class GameEngine {
                 this.gameObjects.splice(i, 1);
             }
         }
+    }
+    
+    /**
+     * ゲーム中のみ動くシステムの更新
+     * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+     */
+    updateGameSystems(deltaTime) {
+        this.collisionSystem.update(deltaTime);
+        this.damageSystem.update(deltaTime);
+        this.particleSystem.update(deltaTime);
+        this.lifeManager.update(deltaTime);
+        this.levelManager.update(deltaTime);
+        this.updateScheduledEvents(deltaTime);
+    }
+    
+    /**
+     * ゲーム時間で処理を予約
+     * @param {number} delay - 遅延時間（ミリ秒）
+     * @param {Function} callback - 実行する処理
+     */
+    schedule(delay, callback) {
+        this.scheduledEvents.push({ remaining: delay, callback: callback });
+    }
+    
+    /**
+     * 予約イベントの更新（時間が来たものを実行）
+     * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+     */
+    updateScheduledEvents(deltaTime) {
+        const dueEvents = [];
+        this.scheduledEvents = this.scheduledEvents.filter(event => {
+            event.remaining -= deltaTime;
+            if (event.remaining <= 0) {
+                dueEvents.push(event);
+                return false;
+            }
+            return true;
+        });
         
-        // シーン管理の更新
-        this.sceneManager.update(deltaTime);
-        
-        // ゲーム中のみ他のシステムを更新
-        if (this.sceneManager.isInGame()) {
-            this.collisionSystem.update(deltaTime);
-            this.damageSystem.update(deltaTime);
-            this.levelManager.update(deltaTime);
-        }
-        
-        // 常に更新するシステム
-        this.gameStateManager.update(deltaTime);
-        this.uiSystem.update(deltaTime);
-        
-        // 入力管理の更新
-        this.inputManager.update();
+        dueEvents.forEach(event => event.callback());
     }
     
     /**
@@ -199,36 +382,67 @@ class GameEngine {
      * 一時停止中でも常に処理される
      */
     handlePauseInput() {
+        // リプレイ再生中は再生の一時停止として SceneManager が処理する
+        if (this.sceneManager.isReplaying()) return;
+        
         if (this.inputManager.isPausePressed()) {
             this.pause();
         }
     }
     
+    /**
+     * ミュート切り替え入力の処理
+     */
+    handleAudioInput() {
+        if (this.inputManager.isMutePressed()) {
+            const muted = this.audioManager.toggleMute();
+            this.uiSystem.showNotification(muted ? 'サウンド: OFF' : 'サウンド: ON', 'info', 1500);
+        }
+    }
+    
     /**
      * 描画処理
+     * @param {number} alpha - 描画位置の補間係数（0: 前ステップの位置, 1: 現在の位置）
      */
-    render() {
+    render(alpha = 1) {
+        if (this.headless) return;
+        
         // 画面クリア
         this.clearScreen();
         
-        // ゲーム中のみゲームオブジェクトを描画
+        // ゲーム中のみゲームオブジェクトを描画（画面の揺れはゲーム画面だけに適用する）
         if (this.sceneManager.isInGame()) {
+            this.ctx.save();
+            this.camera.apply(this.ctx);
+            
             for (const obj of this.gameObjects) {
                 if (obj.render) {
                     this.ctx.save();
-                    obj.render(this.ctx);
+                    if (obj.renderInterpolated) {
+                        obj.renderInterpolated(this.ctx, alpha);
+                    } else {
+                        obj.render(this.ctx);
+                    }
                     this.ctx.restore();
                 }
             }
             
             // システムの描画
             this.damageSystem.render(this.renderer);
+            this.particleSystem.render(this.renderer);
             this.levelManager.render(this.renderer);
+            
+            this.ctx.restore();
         }
         
         // シーンの描画
         this.sceneManager.render(this.renderer);
         
+        // タッチ操作ボタンの描画（タッチ端末のみ）
+        if (this.inputManager.touchControls) {
+            this.inputManager.touchControls.render(this.renderer);
+        }
+        
         // デバッグモードの場合のみ衝突判定の描画
         if (this.collisionSystem.debugMode) {
             this.collisionSystem.renderDebug(this.renderer);
@@ -277,6 +491,11 @@ class GameEngine {
         if (gameObject.setGameEngine) {
             gameObject.setGameEngine(this);
         }
+        
+        // 生成後に移動された位置から補間が始まるよう、現在の位置を前ステップの位置にする
+        if (gameObject.savePreviousPosition) {
+            gameObject.savePreviousPosition();
+        }
     }
     
     /**
@@ -290,6 +509,16 @@ class GameEngine {
         }
     }
     
+    /**
+     * DOM要素を取得（ヘッドレスモードでは常にnull）
+     * @param {string} id - 要素のID
+     * @returns {HTMLElement|null} 要素
+     */
+    getElement(id) {
+        if (this.headless) return null;
+        return document.getElementById(id);
+    }
+    
     /**
      * Canvas上の座標が境界内かチェック
      * @param {number} x - X座標
@@ -318,12 +547,18 @@ class GameEngine {
         }
         
         // 新しい編隊を作成
-        if (window.enemyFormation) {
-            window.enemyFormation.createFormation(level, config);
+        if (this.enemyFormation) {
+            this.enemyFormation.createFormation(level, config);
         }
-        if (window.enemyShootingSystem) {
-            window.enemyShootingSystem.setLevel(level, config);
+        if (this.enemyShootingSystem) {
+            this.enemyShootingSystem.setLevel(level, config);
         }
+        if (this.ufoSpawner) {
+            this.ufoSpawner.setLevel(level, config);
+        }
+        
+        // バンカーを配置（設定に応じて前のレベルから引き継ぐ）
+        this.bunkerManager.setupBunkers(level, config.bunkers);
         
         // ゲーム状態を更新
         if (this.gameStateManager) {
@@ -339,16 +574,11 @@ class GameEngine {
     onLevelClear(level, bonusScore) {
         console.log(`レベル${level}クリア！ボーナス: ${bonusScore}点`);
         
-        // UIに通知
-        if (this.uiSystem) {
-            this.uiSystem.onLevelClear(level);
-        }
-        
-        // 最終レベルの場合は勝利画面へ
-        if (level >= this.levelManager.maxLevel) {
-            setTimeout(() => {
+        // 最終レベルの場合は勝利画面へ（エンドレスモードは終わりなし）
+        if (!this.levelManager.isEndlessMode() && level >= this.levelManager.maxLevel) {
+            this.schedule(2000, () => {
                 this.sceneManager.showVictory();
-            }, 2000);
+            });
         }
     }
     
@@ -359,15 +589,10 @@ class GameEngine {
     onGameOver(level) {
         console.log(`ゲームオーバー - レベル${level}`);
         
-        // UIに通知
-        if (this.uiSystem) {
-            this.uiSystem.onGameOver();
-        }
-        
         // ゲームオーバー画面に遷移
-        setTimeout(() => {
+        this.schedule(1000, () => {
             this.sceneManager.showGameOver();
-        }, 1000);
+        });
     }
     
     /**
@@ -381,12 +606,83 @@ class GameEngine {
         this.sceneManager.showVictory();
     }
     
+    /**
+     * 次のゲームで使うシードを設定
+     * @param {number|null} seed - シード（nullの場合は毎回ランダム）
+     */
+    setFixedSeed(seed) {
+        this.fixedSeed = seed === null ? null : seed >>> 0;
+    }
+    
     /**
      * ゲームリスタート
      */
     restartGame() {
-        // 全ゲームオブジェクトをクリア
-        this.gameObjects = [];
+        const seed = this.fixedSeed !== null ? this.fixedSeed : SeededRandom.createSeed();
+        this.resetGame(seed, 1);
+        
+        // このゲームの入力を記録（ゲームオーバー画面から再生・保存できる）
+        this.inputManager.startRecording(new Replay({
+            seed: seed,
+            mode: this.levelManager.gameMode,
+            level: 1
+        }));
+    }
+    
+    /**
+     * セーブデータから続きを始める
+     * 保存したレベルの編隊を作り直し、スコア・残機・武器を復元する
+     * 開始時の状態をリプレイで再現できないため、続きからのプレイは記録しない
+     * @returns {boolean} 再開できたかどうか
+     */
+    continueGame() {
+        const saveData = this.gameStateManager.readSaveData();
+        if (!saveData) return false;
+        
+        this.levelManager.setGameMode(saveData.mode);
+        this.inputManager.discardRecording();
+        this.resetGame(SeededRandom.createSeed(), saveData.gameState.level);
+        
+        this.gameStateManager.loadGameState();
+        this.lifeManager.skipExtraLivesUpTo(saveData.gameState.score);
+        
+        const player = this.gameObjects.find(obj => obj instanceof Player);
+        player.weaponManager.restore(saveData.weapon.type, saveData.weapon.level);
+        
+        console.log(`続きから再開: レベル${saveData.gameState.level} スコア${saveData.gameState.score}`);
+        return true;
+    }
+    
+    /**
+     * リプレイの再生を開始
+     * 記録時と同じシード・モード・レベルでゲームを作り直し、入力を記録した操作に切り替える
+     * @param {Replay} replay - リプレイ
+     */
+    startReplay(replay) {
+        this.levelManager.setGameMode(replay.mode);
+        this.inputManager.stopRecording();
+        this.inputManager.startReplayInput();
+        this.resetGame(replay.seed, replay.level);
+    }
+    
+    /**
+     * ゲームを初期状態に戻して指定レベルを開始
+     * @param {number} seed - 乱数シード（同じシードなら同じ展開になる）
+     * @param {number} level - 開始レベル
+     */
+    resetGame(seed, level) {
+        this.random.setSeed(seed);
+        console.log(`シード: ${this.random.getSeed()}`);
+        
+        // 前のゲームの予約イベントと演出は破棄
+        this.scheduledEvents = [];
+        this.damageSystem.clear();
+        this.particleSystem.clear();
+        this.camera.reset();
+        
+        // 全ゲームオブジェクトをクリア（システム管理オブジェクトは残す）
+        this.gameObjects = this.gameObjects.filter(obj => !(obj instanceof GameObject));
+        this.bunkerManager.clearBunkers();
         
         // プレイヤーを再作成
         const player = new Player(this.width / 2, this.height - 50);
@@ -397,10 +693,12 @@ class GameEngine {
         if (this.gameStateManager) {
             this.gameStateManager.resetGameState();
         }
+        this.scoreService.reset();
+        this.lifeManager.reset();
         
-        // レベル1を開始
+        // レベルを開始
         if (this.levelManager) {
-            this.levelManager.startLevel(1);
+            this.levelManager.startLevel(level);
         }
     }
 }
\ No newline at end of file
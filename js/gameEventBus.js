@@ -0,0 +1,91 @@
+/**
+ * ゲームイベントバス
+ * エンジンの各システムは互いを直接呼ばずに、名前付きイベントを発行・購読して連携する
+ * イベント名は固定の一覧から選び、綴り間違いは購読・発行の時点でエラーにする
+ */
+class GameEventBus {
+    constructor() {
+        // イベント名とペイロードの内容
+        this.eventTypes = {
+            enemyKilled: '{enemy, points, source}',
+            bulletFired: '{player, bullets, weaponType}',
+            bulletHit: '{bullet, target}',
+            playerHit: '{player, lives}',
+            pickupCollected: '{player, pickup, weaponType}',
+            levelStarted: '{level, config}',
+            levelCleared: '{level, bonusScore}',
+            levelFailed: '{level}',
+            gameCompleted: '{completionBonus}',
+            scoreAwarded: '{points, reason, label, score, source}',
+            gameStarted: '{mode, level, continued}',
+            gameEnded: '{result, score, level}',
+            sceneChanged: '{from, to}'
+        };
+
+        // イベント名ごとのリスナー
+        this.listeners = {};
+        Object.keys(this.eventTypes).forEach(name => {
+            this.listeners[name] = [];
+        });
+
+        console.log('GameEventBus初期化完了');
+    }
+
+    /**
+     * イベント名が一覧にあるかチェック
+     * @param {string} name - イベント名
+     * @returns {boolean}
+     */
+    isKnownEvent(name) {
+        if (this.eventTypes[name]) return true;
+
+        console.error(`不明なゲームイベント: ${name}`);
+        return false;
+    }
+
+    /**
+     * イベントを購読
+     * @param {string} name - イベント名
+     * @param {Function} listener - リスナー関数（引数はペイロード）
+     * @returns {Function} 購読を解除する関数
+     */
+    on(name, listener) {
+        if (!this.isKnownEvent(name)) return () => {};
+
+        this.listeners[name].push(listener);
+        return () => this.off(name, listener);
+    }
+
+    /**
+     * 購読を解除
+     * @param {string} name - イベント名
+     * @param {Function} listener - リスナー関数
+     */
+    off(name, listener) {
+        if (!this.isKnownEvent(name)) return;
+
+        const index = this.listeners[name].indexOf(listener);
+        if (index > -1) {
+            this.listeners[name].splice(index, 1);
+        }
+    }
+
+    /**
+     * イベントを発行
+     * リスナーは購読した順に呼ばれ、1つのリスナーのエラーは他のリスナーに影響しない
+     * @param {string} name - イベント名
+     * @param {Object} payload - ペイロード
+     */
+    emit(name, payload = {}) {
+        if (!this.isKnownEvent(name)) return;
+
+        // 発行中の購読・解除で呼び出し順が崩れないように複製してから呼ぶ
+        [...this.listeners[name]].forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`ゲームイベントリスナーエラー (${name}):`, error);
+            }
+        });
+    }
+}
@@ -15,6 +15,10 @@ class GameObject {
         this.vx = 0;
         this.vy = 0;
         
+        // 前ステップの位置（描画補間用）
+        this.previousX = x;
+        this.previousY = y;
+        
         // サイズ（衝突判定用）
         this.width = 20;
         this.height = 20;
@@ -73,6 +77,31 @@ class GameObject {
         }
     }
     
+    /**
+     * 現在の位置を前ステップの位置として保存（固定ステップの更新前に呼ばれる）
+     */
+    savePreviousPosition() {
+        this.previousX = this.x;
+        this.previousY = this.y;
+    }
+    
+    /**
+     * 前ステップと現在の位置の間を補間した位置で描画
+     * @param {CanvasRenderingContext2D} ctx - Canvas描画コンテキスト
+     * @param {number} alpha - 補間係数（0: 前ステップの位置, 1: 現在の位置）
+     */
+    renderInterpolated(ctx, alpha) {
+        const x = this.x;
+        const y = this.y;
+        
+        this.x = this.previousX + (x - this.previousX) * alpha;
+        this.y = this.previousY + (y - this.previousY) * alpha;
+        this.render(ctx);
+        
+        this.x = x;
+        this.y = y;
+    }
+    
     /**
      * 境界チェック
      */
@@ -138,6 +167,21 @@ class GameObject {
         // デフォルトでは何もしない
     }
     
+    /**
+     * 他のオブジェクトにダメージを与える
+     * クリティカル・ダメージタイプ・ノックバックなどは DamageSystem でまとめて計算する
+     * @param {GameObject} target - ダメージを与える相手
+     * @param {number} damage - 基本ダメージ
+     * @param {string} damageType - ダメージタイプ（normal, laser, piercing, explosion）
+     */
+    dealDamage(target, damage, damageType = 'normal') {
+        if (this.gameEngine && this.gameEngine.damageSystem) {
+            this.gameEngine.damageSystem.applyDamage(this, target, damage, damageType);
+        } else {
+            target.takeDamage(damage, this);
+        }
+    }
+    
     /**
      * 中心座標を取得
      * @returns {Object} {x, y} 座標
@@ -9,7 +9,7 @@ class GameStateManager {
         // ゲーム状態
         this.gameState = {
             score: 0,
-            lives: 3,
+            lives: this.gameEngine.lifeManager.startingLives,
             level: 1,
             weaponLevel: 1,
             gameStatus: 'menu' // 'menu', 'playing', 'paused', 'gameOver', 'victory'
@@ -18,14 +18,21 @@ class GameStateManager {
         // 統計情報
         this.gameStats = {
             totalEnemiesDestroyed: 0,
-            totalBulletsShot: 0,
-            totalAccuracy: 0,
+            totalBulletsShot: 0, // 発射した弾の数
+            totalBulletsHit: 0, // 命中した弾の数
+            totalAccuracy: 0, // 命中した弾の割合（0〜1）
             totalPlayTime: 0,
             levelsCompleted: 0,
             weaponsCollected: 0,
-            highScore: this.loadHighScore()
+            highScore: this.loadHighScore(),
+            // エンドレスモードはハイスコアを別管理
+            endlessHighScore: this.loadHighScore('invaderGame_endlessHighScore'),
+            endlessBestWave: this.loadHighScore('invaderGame_endlessBestWave')
         };
         
+        // ランキング（モードごとの上位10件）
+        this.leaderboard = new Leaderboard(gameEngine.storage);
+        
         // 状態変更リスナー
         this.stateChangeListeners = [];
         
@@ -33,6 +40,22 @@ class GameStateManager {
         this.autoSaveInterval = 5000; // 5秒ごと
         this.lastSaveTime = 0;
         
+        // セーブデータ（続きから遊ぶためのプレイ中の状態）
+        this.saveDataKey = 'invaderGame_saveData';
+        this.saveVersion = 2;
+        
+        // セーブデータに含めるプレイ中の統計（ハイスコアなどは別のキーで管理）
+        this.savedStatKeys = [
+            'totalEnemiesDestroyed', 'totalBulletsShot', 'totalBulletsHit', 'totalAccuracy',
+            'totalPlayTime', 'levelsCompleted', 'weaponsCollected'
+        ];
+        
+        // 統計はゲームイベントから更新
+        gameEngine.events.on('enemyKilled', () => this.onEnemyDestroyed());
+        gameEngine.events.on('bulletFired', event => this.onBulletShot(event.bullets.length));
+        gameEngine.events.on('bulletHit', () => this.onBulletHit());
+        gameEngine.events.on('pickupCollected', () => this.onWeaponCollected());
+        
         console.log('GameStateManager初期化完了');
         this.initializeGame();
     }
@@ -65,6 +88,7 @@ class GameStateManager {
     
     /**
      * スコアを加算
+     * ゲーム中のスコア加算は ScoreService.award() から呼ばれる（直接呼ぶとイベントが通知されない）
      * @param {number} points - 加算するスコア
      */
     addScore(points) {
@@ -72,9 +96,10 @@ class GameStateManager {
         this.updateScoreUI();
         this.notifyStateChange('score', this.gameState.score);
         
-        // ハイスコア更新チェック
-        if (this.gameState.score > this.gameStats.highScore) {
-            this.gameStats.highScore = this.gameState.score;
+        // ハイスコア更新チェック（モードごとに別管理、リプレイ再生中は記録しない）
+        const highScoreKey = this.isEndlessMode() ? 'endlessHighScore' : 'highScore';
+        if (!this.isReplaying() && this.gameState.score > this.gameStats[highScoreKey]) {
+            this.gameStats[highScoreKey] = this.gameState.score;
             this.saveHighScore();
         }
     }
@@ -111,6 +136,69 @@ class GameStateManager {
         this.gameState.level = level;
         this.updateLevelUI();
         this.notifyStateChange('level', level);
+        
+        // エンドレスモードの到達ウェーブ記録
+        if (!this.isReplaying() && this.isEndlessMode() && level > this.gameStats.endlessBestWave) {
+            this.gameStats.endlessBestWave = level;
+            this.saveHighScore();
+        }
+    }
+    
+    /**
+     * エンドレスモードでプレイ中かどうか
+     * @returns {boolean} エンドレスモードかどうか
+     */
+    isEndlessMode() {
+        return !!(this.gameEngine && this.gameEngine.levelManager && this.gameEngine.levelManager.isEndlessMode());
+    }
+    
+    /**
+     * リプレイ再生中かどうか（再生中のスコアや統計は保存しない）
+     * @returns {boolean} リプレイ再生中かどうか
+     */
+    isReplaying() {
+        return !!(this.gameEngine && this.gameEngine.sceneManager && this.gameEngine.sceneManager.isReplaying());
+    }
+    
+    /**
+     * 現在のモードのハイスコアを取得
+     * @returns {number} ハイスコア
+     */
+    getHighScore() {
+        return this.isEndlessMode() ? this.gameStats.endlessHighScore : this.gameStats.highScore;
+    }
+    
+    /**
+     * 現在のスコアがランキングに入るかチェック（リプレイ再生中は登録しない）
+     * @returns {boolean}
+     */
+    isLeaderboardScore() {
+        return !this.isReplaying() && this.leaderboard.isRankIn(this.gameState.score, this.getGameMode());
+    }
+    
+    /**
+     * 現在のスコアをランキングに登録
+     * @param {string} name - 名前（3文字）
+     * @returns {number} 登録した順位（ランク外の場合は0）
+     */
+    submitScore(name) {
+        if (this.isReplaying()) return 0;
+        
+        return this.leaderboard.addEntry({
+            name: name,
+            score: this.gameState.score,
+            level: this.gameState.level,
+            accuracy: this.gameStats.totalAccuracy,
+            mode: this.getGameMode()
+        });
+    }
+    
+    /**
+     * 現在のゲームモードを取得
+     * @returns {string} 'campaign' または 'endless'
+     */
+    getGameMode() {
+        return this.isEndlessMode() ? 'endless' : 'campaign';
     }
     
     /**
@@ -181,6 +269,8 @@ class GameStateManager {
         console.log('ゲームオーバー');
         this.gameStats.levelsCompleted = this.gameState.level - 1;
         this.saveGameStats();
+        this.clearSavedGame();
+        this.notifyGameEnded('gameOver');
     }
     
     /**
@@ -190,6 +280,22 @@ class GameStateManager {
         console.log('ゲーム勝利');
         this.gameStats.levelsCompleted = this.gameState.level;
         this.saveGameStats();
+        this.clearSavedGame();
+        this.notifyGameEnded('victory');
+    }
+    
+    /**
+     * ゲームの終了を通知（リプレイ再生中は通知しない）
+     * @param {string} result - 'gameOver', 'victory', 'quit'（中断）
+     */
+    notifyGameEnded(result) {
+        if (this.isReplaying()) return;
+        
+        this.gameEngine.events.emit('gameEnded', {
+            result: result,
+            score: this.gameState.score,
+            level: this.gameState.level
+        });
     }
     
     /**
@@ -197,14 +303,22 @@ class GameStateManager {
      */
     onEnemyDestroyed() {
         this.gameStats.totalEnemiesDestroyed++;
-        this.updateAccuracy();
     }
     
     /**
      * 弾発射時の統計更新
+     * @param {number} bulletCount - 発射した弾の数
+     */
+    onBulletShot(bulletCount) {
+        this.gameStats.totalBulletsShot += bulletCount;
+        this.updateAccuracy();
+    }
+    
+    /**
+     * 弾命中時の統計更新
      */
-    onBulletShot() {
-        this.gameStats.totalBulletsShot++;
+    onBulletHit() {
+        this.gameStats.totalBulletsHit++;
         this.updateAccuracy();
     }
     
@@ -220,7 +334,7 @@ class GameStateManager {
      */
     updateAccuracy() {
         if (this.gameStats.totalBulletsShot > 0) {
-            this.gameStats.totalAccuracy = this.gameStats.totalEnemiesDestroyed / this.gameStats.totalBulletsShot;
+            this.gameStats.totalAccuracy = this.gameStats.totalBulletsHit / this.gameStats.totalBulletsShot;
         }
     }
     
@@ -230,7 +344,7 @@ class GameStateManager {
     resetGameState() {
         this.gameState = {
             score: 0,
-            lives: 3,
+            lives: this.gameEngine.lifeManager.startingLives,
             level: 1,
             weaponLevel: 1,
             gameStatus: 'menu'
@@ -239,6 +353,7 @@ class GameStateManager {
         // 統計情報の一部をリセット
         this.gameStats.totalEnemiesDestroyed = 0;
         this.gameStats.totalBulletsShot = 0;
+        this.gameStats.totalBulletsHit = 0;
         this.gameStats.totalAccuracy = 0;
         this.gameStats.totalPlayTime = 0;
         this.gameStats.levelsCompleted = 0;
@@ -261,9 +376,9 @@ class GameStateManager {
      * スコアUIを更新
      */
     updateScoreUI() {
-        const scoreElement = document.getElementById('score');
+        const scoreElement = this.gameEngine.getElement('score');
         if (scoreElement) {
-            scoreElement.textContent = `スコア: ${this.gameState.score}`;
+            scoreElement.textContent = `スコア: ${this.gameState.score.toLocaleString()}`;
         }
     }
     
@@ -271,7 +386,7 @@ class GameStateManager {
      * ライフUIを更新
      */
     updateLivesUI() {
-        const livesElement = document.getElementById('lives');
+        const livesElement = this.gameEngine.getElement('lives');
         if (livesElement) {
             livesElement.textContent = `ライフ: ${this.gameState.lives}`;
         }
@@ -281,9 +396,10 @@ class GameStateManager {
      * レベルUIを更新
      */
     updateLevelUI() {
-        const levelElement = document.getElementById('level');
+        const levelElement = this.gameEngine.getElement('level');
         if (levelElement) {
-            levelElement.textContent = `レベル: ${this.gameState.level}`;
+            levelElement.textContent = this.isEndlessMode() ?
+                `ウェーブ: ${this.gameState.level}` : `レベル: ${this.gameState.level}`;
         }
     }
     
@@ -291,7 +407,7 @@ class GameStateManager {
      * 武器UIを更新
      */
     updateWeaponUI() {
-        const weaponElement = document.getElementById('weapon');
+        const weaponElement = this.gameEngine.getElement('weapon');
         if (weaponElement) {
             const weaponNames = ['Basic', 'Rapid', 'Spread', 'Laser'];
             const weaponName = weaponNames[this.gameState.weaponLevel - 1] || 'Unknown';
@@ -337,36 +453,158 @@ class GameStateManager {
      * ゲーム状態を保存
      */
     saveGameState() {
+        if (this.isReplaying()) return;
+        
         try {
+            const gameStats = {};
+            this.savedStatKeys.forEach(key => {
+                gameStats[key] = this.gameStats[key];
+            });
+            
             const saveData = {
-                gameState: this.gameState,
-                gameStats: this.gameStats,
+                version: this.saveVersion,
+                mode: this.getGameMode(),
+                gameState: {
+                    score: this.gameState.score,
+                    lives: this.gameState.lives,
+                    level: this.gameState.level,
+                    weaponLevel: this.gameState.weaponLevel
+                },
+                weapon: this.getPlayerWeapon(),
+                gameStats: gameStats,
                 timestamp: Date.now()
             };
-            localStorage.setItem('invaderGame_saveData', JSON.stringify(saveData));
+            this.gameEngine.storage.setItem(this.saveDataKey, JSON.stringify(saveData));
         } catch (error) {
             console.error('ゲーム状態の保存に失敗:', error);
         }
     }
     
     /**
-     * ゲーム状態を読み込み
+     * 自機の武器を取得（撃墜後の復活待ちで自機がいない場合は初期武器）
+     * @returns {Object} {type, level}
+     */
+    getPlayerWeapon() {
+        const player = this.gameEngine.gameObjects.find(obj => obj instanceof Player && obj.active);
+        if (!player || !player.weaponManager) {
+            return { type: 'basic', level: 1 };
+        }
+        return player.weaponManager.getSaveData();
+    }
+    
+    /**
+     * ゲーム状態を読み込み（武器・モードの復元は GameEngine.continueGame() が行う）
      * @returns {boolean} 読み込み成功かどうか
      */
     loadGameState() {
-        try {
-            const saveData = localStorage.getItem('invaderGame_saveData');
-            if (saveData) {
-                const data = JSON.parse(saveData);
-                this.gameState = { ...this.gameState, ...data.gameState };
-                this.gameStats = { ...this.gameStats, ...data.gameStats };
-                this.updateAllUI();
-                return true;
+        const data = this.readSaveData();
+        if (!data) return false;
+        
+        this.gameState = { ...this.gameState, ...data.gameState };
+        this.savedStatKeys.forEach(key => {
+            if (typeof data.gameStats[key] === 'number') {
+                this.gameStats[key] = data.gameStats[key];
             }
+        });
+        this.updateAllUI();
+        return true;
+    }
+    
+    /**
+     * セーブデータを読み込み、現在のバージョンに移行して検証する
+     * 壊れたデータや対応していないバージョンのデータは削除する
+     * @returns {Object|null} セーブデータ（ない場合・不正な場合はnull）
+     */
+    readSaveData() {
+        let saved;
+        try {
+            saved = this.gameEngine.storage.getItem(this.saveDataKey);
         } catch (error) {
             console.error('ゲーム状態の読み込みに失敗:', error);
+            return null;
+        }
+        if (!saved) return null;
+        
+        try {
+            const data = this.migrateSaveData(JSON.parse(saved));
+            this.validateSaveData(data);
+            return data;
+        } catch (error) {
+            console.warn(`セーブデータを破棄しました: ${error.message}`);
+            this.clearSavedGame();
+            return null;
+        }
+    }
+    
+    /**
+     * 古いバージョンのセーブデータを現在のバージョンに移行
+     * @param {Object} data - 保存されていたデータ
+     * @returns {Object} 現在のバージョンのセーブデータ
+     */
+    migrateSaveData(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('セーブデータの形式が不正です');
+        }
+        
+        // バージョン1（番号なし）: モードと武器を保存していなかったため、キャンペーン・初期武器として扱う
+        if (data.version === undefined) {
+            data = { ...data, version: 2, mode: 'campaign', weapon: { type: 'basic', level: 1 } };
+        }
+        
+        if (data.version !== this.saveVersion) {
+            throw new Error(`対応していないセーブデータのバージョンです: ${data.version}`);
+        }
+        return data;
+    }
+    
+    /**
+     * セーブデータの内容を検証（不正な場合は Error を投げる）
+     * @param {Object} data - 現在のバージョンのセーブデータ
+     */
+    validateSaveData(data) {
+        if (!['campaign', 'endless'].includes(data.mode)) {
+            throw new Error(`セーブデータのモードが不正です: ${data.mode}`);
+        }
+        
+        const state = data.gameState || {};
+        const maxLevel = this.gameEngine.levelManager ? this.gameEngine.levelManager.maxLevel : 0;
+        if (!Number.isInteger(state.level) || state.level < 1 ||
+            (data.mode === 'campaign' && maxLevel > 0 && state.level > maxLevel)) {
+            throw new Error(`セーブデータのレベルが不正です: ${state.level}`);
+        }
+        if (!Number.isInteger(state.lives) || state.lives < 1 || state.lives > this.gameEngine.lifeManager.maxLives) {
+            throw new Error(`セーブデータの残機が不正です: ${state.lives}`);
+        }
+        if (!Number.isInteger(state.score) || state.score < 0) {
+            throw new Error(`セーブデータのスコアが不正です: ${state.score}`);
+        }
+        if (!data.weapon || typeof data.weapon.type !== 'string' || !Number.isInteger(data.weapon.level)) {
+            throw new Error('セーブデータの武器が不正です');
+        }
+        if (!data.gameStats || typeof data.gameStats !== 'object') {
+            data.gameStats = {};
+        }
+    }
+    
+    /**
+     * 続きから遊べるセーブデータがあるかチェック
+     * @returns {boolean}
+     */
+    hasSavedGame() {
+        return this.readSaveData() !== null;
+    }
+    
+    /**
+     * セーブデータを削除（ゲームが終わったら続きからは遊べない）
+     */
+    clearSavedGame() {
+        if (this.isReplaying()) return;
+        
+        try {
+            this.gameEngine.storage.removeItem(this.saveDataKey);
+        } catch (error) {
+            console.error('セーブデータの削除に失敗:', error);
         }
-        return false;
     }
     
     /**
@@ -374,7 +612,9 @@ class GameStateManager {
      */
     saveHighScore() {
         try {
-            localStorage.setItem('invaderGame_highScore', this.gameStats.highScore.toString());
+            this.gameEngine.storage.setItem('invaderGame_highScore', this.gameStats.highScore.toString());
+            this.gameEngine.storage.setItem('invaderGame_endlessHighScore', this.gameStats.endlessHighScore.toString());
+            this.gameEngine.storage.setItem('invaderGame_endlessBestWave', this.gameStats.endlessBestWave.toString());
         } catch (error) {
             console.error('ハイスコアの保存に失敗:', error);
         }
@@ -382,11 +622,12 @@ class GameStateManager {
     
     /**
      * ハイスコアを読み込み
+     * @param {string} storageKey - 保存キー
      * @returns {number} ハイスコア
      */
-    loadHighScore() {
+    loadHighScore(storageKey = 'invaderGame_highScore') {
         try {
-            const highScore = localStorage.getItem('invaderGame_highScore');
+            const highScore = this.gameEngine.storage.getItem(storageKey);
             return highScore ? parseInt(highScore) : 0;
         } catch (error) {
             console.error('ハイスコアの読み込みに失敗:', error);
@@ -395,11 +636,13 @@ class GameStateManager {
     }
     
     /**
-     * ゲーム統計を保存
+     * 直前のゲームの統計を保存（セッションをまたいだ集計は LifetimeStats が行う）
      */
     saveGameStats() {
+        if (this.isReplaying()) return;
+        
         try {
-            localStorage.setItem('invaderGame_stats', JSON.stringify(this.gameStats));
+            this.gameEngine.storage.setItem('invaderGame_stats', JSON.stringify(this.gameStats));
         } catch (error) {
             console.error('ゲーム統計の保存に失敗:', error);
         }
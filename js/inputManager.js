@@ -1,29 +1,63 @@
 /**
  * 入力管理クラス
- * キーボード入力の検出と処理を行う
+ * キーボード・ゲームパッド・タッチの入力を検出し、論理的な操作（移動・射撃など）として提供する
  */
 class InputManager {
-    constructor() {
+    constructor(gameEngine = null) {
+        this.gameEngine = gameEngine;
+        
         // キーの状態管理
         this.keys = {};
         this.keysPressed = {};
         this.keysReleased = {};
         
-        // キーコードの定義
-        this.KEY_CODES = {
-            LEFT: 'ArrowLeft',
-            RIGHT: 'ArrowRight',
-            UP: 'ArrowUp',
-            DOWN: 'ArrowDown',
-            SPACE: ' ',
-            ENTER: 'Enter',
-            ESCAPE: 'Escape',
-            P: 'p',
-            P_UPPER: 'P'
+        // このフレームで最後に押されたキー（キー設定画面の入力待ち用）
+        this.lastKeyPressed = null;
+        
+        // 論理操作とキーの割り当て
+        this.keyBindings = new KeyBindings(gameEngine ? gameEngine.storage : localStorage);
+        
+        // ゲームパッドのボタン割り当て（Standard Gamepad のボタン番号）
+        this.GAMEPAD_BUTTONS = {
+            shoot: [0, 2], // A, X
+            enter: [0, 9], // A, Start
+            escape: [1, 8], // B, Back
+            pause: [9], // Start
+            up: [12],
+            down: [13],
+            left: [14],
+            right: [15]
         };
         
-        // イベントリスナーの設定
-        this.setupEventListeners();
+        // アナログスティックの設定
+        this.gamepadDeadzone = 0.25; // これ未満の傾きは無視
+        this.gamepadAxisThreshold = 0.3; // デッドゾーン補正後、この値以上で入力とみなす
+        
+        // ゲームパッドの状態管理（論理操作ごと）
+        this.gamepadActions = {};
+        this.gamepadActionsPressed = {};
+        this.connectedGamepads = {};
+        
+        // タッチ操作（キャンバス上の仮想ボタン）
+        this.touchControls = gameEngine && gameEngine.canvas ? new TouchControls(gameEngine.canvas) : null;
+        this.touchActions = {};
+        this.touchActionsPressed = {};
+        
+        // リプレイに記録する論理操作（ゲーム展開に影響する操作のみ）
+        // 1操作につき「押している」「押された瞬間」の2ビットを使う
+        this.recordedActions = ['left', 'right', 'shoot'];
+        this.recording = null;
+        this.lastRecording = null;
+        
+        // リプレイ再生中の入力（再生中は記録した操作を実際の入力の代わりに使う）
+        this.isReplayInput = false;
+        this.replayActions = {};
+        this.replayActionsPressed = {};
+        
+        // イベントリスナーの設定（ヘッドレスモードでは setActionDown() で操作する）
+        if (!gameEngine || !gameEngine.headless) {
+            this.setupEventListeners();
+        }
         
         console.log('InputManager初期化完了');
     }
@@ -34,12 +68,17 @@ class InputManager {
     setupEventListeners() {
         // キーダウンイベント
         document.addEventListener('keydown', (event) => {
-            event.preventDefault();
-            const key = event.key;
+            const key = this.keyBindings.normalizeKey(event.key);
+            
+            // ゲームで使うキーのみブラウザの既定動作（スクロール等）を止める
+            if (this.isGameKey(key)) {
+                event.preventDefault();
+            }
             
             // 新しく押されたキーを記録
             if (!this.keys[key]) {
                 this.keysPressed[key] = true;
+                this.lastKeyPressed = key;
             }
             
             this.keys[key] = true;
@@ -47,8 +86,11 @@ class InputManager {
         
         // キーアップイベント
         document.addEventListener('keyup', (event) => {
-            event.preventDefault();
-            const key = event.key;
+            const key = this.keyBindings.normalizeKey(event.key);
+            
+            if (this.isGameKey(key)) {
+                event.preventDefault();
+            }
             
             this.keys[key] = false;
             this.keysReleased[key] = true;
@@ -58,16 +100,348 @@ class InputManager {
         window.addEventListener('blur', () => {
             this.clearAllKeys();
         });
+        
+        // ゲームパッドの接続・切断
+        window.addEventListener('gamepadconnected', (event) => {
+            this.onGamepadConnected(event.gamepad);
+        });
+        window.addEventListener('gamepaddisconnected', (event) => {
+            this.onGamepadDisconnected(event.gamepad);
+        });
     }
     
     /**
      * フレーム更新処理
-     * 毎フレーム呼び出してキー状態をリセット
+     * 毎フレーム呼び出してキー状態をリセットし、ゲームパッドを読み取る
      */
     update() {
         // 押された瞬間とリリースされた瞬間の状態をクリア
         this.keysPressed = {};
         this.keysReleased = {};
+        this.lastKeyPressed = null;
+        
+        // ゲームパッドはイベントがないため毎フレーム読み取る
+        this.pollGamepads();
+        
+        // タッチ操作の読み取り
+        this.pollTouchControls();
+    }
+    
+    /**
+     * 操作の入力状態を設定（ヘッドレスモードやテストでプログラムから操作する用）
+     * 操作に割り当てられた最初のキーを押した・離したものとして扱う
+     * @param {string} action - 論理操作名
+     * @param {boolean} isDown - 押しているかどうか
+     */
+    setActionDown(action, isDown) {
+        const key = this.keyBindings.getKeys(action)[0];
+        if (!key) return;
+        
+        if (isDown && !this.keys[key]) {
+            this.keysPressed[key] = true;
+            this.lastKeyPressed = key;
+        }
+        if (!isDown && this.keys[key]) {
+            this.keysReleased[key] = true;
+        }
+        this.keys[key] = isDown;
+    }
+    
+    /**
+     * ゲームで使用するキーかチェック
+     * @param {string} key - キー
+     * @returns {boolean}
+     */
+    isGameKey(key) {
+        return this.keyBindings.isBound(key);
+    }
+    
+    /**
+     * タッチ操作の状態を読み取り、論理操作に変換
+     */
+    pollTouchControls() {
+        if (!this.touchControls) return;
+        
+        const actions = this.touchControls.getHeldActions();
+        const pressed = this.touchControls.consumePresses();
+        
+        // ジョイスティックを倒した瞬間も「押された瞬間」として扱う（メニュー選択用）
+        Object.keys(actions).forEach(action => {
+            if (!this.touchActions[action]) {
+                pressed[action] = true;
+            }
+        });
+        
+        this.touchActions = actions;
+        this.touchActionsPressed = pressed;
+    }
+    
+    /**
+     * ゲームパッドの状態を読み取り、論理操作に変換
+     */
+    pollGamepads() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return;
+        
+        const actions = {};
+        
+        for (const gamepad of navigator.getGamepads()) {
+            if (!gamepad || !gamepad.connected) continue;
+            
+            // イベント非対応のブラウザ向けに、読み取り時にも接続を検出
+            if (!this.connectedGamepads[gamepad.index]) {
+                this.onGamepadConnected(gamepad);
+            }
+            
+            // ボタン
+            Object.entries(this.GAMEPAD_BUTTONS).forEach(([action, buttonIndexes]) => {
+                if (buttonIndexes.some(index => gamepad.buttons[index] && gamepad.buttons[index].pressed)) {
+                    actions[action] = true;
+                }
+            });
+            
+            // 左スティック
+            const axisX = this.applyDeadzone(gamepad.axes[0] || 0);
+            const axisY = this.applyDeadzone(gamepad.axes[1] || 0);
+            if (axisX <= -this.gamepadAxisThreshold) actions.left = true;
+            if (axisX >= this.gamepadAxisThreshold) actions.right = true;
+            if (axisY <= -this.gamepadAxisThreshold) actions.up = true;
+            if (axisY >= this.gamepadAxisThreshold) actions.down = true;
+        }
+        
+        // 押された瞬間を記録
+        this.gamepadActionsPressed = {};
+        Object.keys(actions).forEach(action => {
+            if (!this.gamepadActions[action]) {
+                this.gamepadActionsPressed[action] = true;
+            }
+        });
+        
+        this.gamepadActions = actions;
+    }
+    
+    /**
+     * スティック入力にデッドゾーンを適用
+     * デッドゾーン外の値は 0〜1 に再スケールする
+     * @param {number} value - 軸の値（-1〜1）
+     * @returns {number} 補正後の値
+     */
+    applyDeadzone(value) {
+        const magnitude = Math.abs(value);
+        if (magnitude < this.gamepadDeadzone) return 0;
+        
+        const scaled = (magnitude - this.gamepadDeadzone) / (1 - this.gamepadDeadzone);
+        return Math.sign(value) * Math.min(1, scaled);
+    }
+    
+    /**
+     * ゲームパッド接続時の処理
+     * @param {Gamepad} gamepad - 接続されたゲームパッド
+     */
+    onGamepadConnected(gamepad) {
+        if (this.connectedGamepads[gamepad.index]) return;
+        
+        this.connectedGamepads[gamepad.index] = gamepad.id;
+        console.log(`ゲームパッド接続: ${gamepad.id}`);
+        this.notify('コントローラーが接続されました', 'success');
+    }
+    
+    /**
+     * ゲームパッド切断時の処理
+     * @param {Gamepad} gamepad - 切断されたゲームパッド
+     */
+    onGamepadDisconnected(gamepad) {
+        if (!this.connectedGamepads[gamepad.index]) return;
+        
+        delete this.connectedGamepads[gamepad.index];
+        this.gamepadActions = {};
+        this.gamepadActionsPressed = {};
+        console.log(`ゲームパッド切断: ${gamepad.id}`);
+        this.notify('コントローラーが切断されました', 'warning');
+    }
+    
+    /**
+     * UISystem に通知を表示
+     * @param {string} message - 通知メッセージ
+     * @param {string} type - 通知タイプ
+     */
+    notify(message, type) {
+        if (this.gameEngine && this.gameEngine.uiSystem) {
+            this.gameEngine.uiSystem.showNotification(message, type);
+        }
+    }
+    
+    /**
+     * ゲームパッドまたはタッチで操作が入力されているかチェック
+     * @param {string} action - 論理操作名
+     * @returns {boolean}
+     */
+    isDeviceActionDown(action) {
+        return !!(this.gamepadActions[action] || this.touchActions[action]);
+    }
+    
+    /**
+     * ゲームパッドまたはタッチで操作が入力された瞬間かチェック
+     * @param {string} action - 論理操作名
+     * @returns {boolean}
+     */
+    isDeviceActionPressed(action) {
+        return !!(this.gamepadActionsPressed[action] || this.touchActionsPressed[action]);
+    }
+    
+    /**
+     * ゲーム操作が入力されているかチェック（リプレイ再生中は記録した入力）
+     * @param {string} action - 論理操作名
+     * @returns {boolean}
+     */
+    isGameplayActionDown(action) {
+        if (this.isReplayInput) {
+            return !!this.replayActions[action];
+        }
+        return this.isActionKeyDown(action) || this.isDeviceActionDown(action);
+    }
+    
+    /**
+     * ゲーム操作が入力された瞬間かチェック（リプレイ再生中は記録した入力）
+     * @param {string} action - 論理操作名
+     * @returns {boolean}
+     */
+    isGameplayActionPressed(action) {
+        if (this.isReplayInput) {
+            return !!this.replayActionsPressed[action];
+        }
+        return this.isActionKeyPressed(action) || this.isDeviceActionPressed(action);
+    }
+    
+    /**
+     * 記録を開始
+     * @param {Replay} replay - 記録先のリプレイ（シード・モード・開始レベルを設定済み）
+     */
+    startRecording(replay) {
+        this.recording = replay;
+    }
+    
+    /**
+     * 1フレーム分の入力を記録
+     * ゲームの更新前に呼び出し、そのフレームで使われる入力を経過時間と一緒に残す
+     * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+     */
+    recordFrame(deltaTime) {
+        if (!this.recording) return;
+        this.recording.addFrame(deltaTime, this.getInputBits());
+    }
+    
+    /**
+     * 記録を終了
+     * @returns {Replay|null} 記録したリプレイ（記録がない場合はnull）
+     */
+    stopRecording() {
+        const replay = this.recording;
+        this.recording = null;
+        
+        if (replay && replay.getFrameCount() > 0) {
+            this.lastRecording = replay;
+            console.log(`入力の記録を終了: ${replay.getFrameCount()}フレーム`);
+            return replay;
+        }
+        return null;
+    }
+    
+    /**
+     * 記録を破棄（直前のプレイの記録も含む）
+     */
+    discardRecording() {
+        this.recording = null;
+        this.lastRecording = null;
+    }
+    
+    /**
+     * 記録中かどうか
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.recording !== null;
+    }
+    
+    /**
+     * 最後に記録したリプレイを取得
+     * @returns {Replay|null}
+     */
+    getLastRecording() {
+        return this.lastRecording;
+    }
+    
+    /**
+     * 現在の入力をビット列に変換
+     * @returns {number} 論理操作のビット列
+     */
+    getInputBits() {
+        return this.recordedActions.reduce((bits, action, index) => {
+            if (this.isActionKeyDown(action) || this.isDeviceActionDown(action)) {
+                bits |= 1 << (index * 2);
+            }
+            if (this.isActionKeyPressed(action) || this.isDeviceActionPressed(action)) {
+                bits |= 1 << (index * 2 + 1);
+            }
+            return bits;
+        }, 0);
+    }
+    
+    /**
+     * リプレイ再生用の入力に切り替え
+     */
+    startReplayInput() {
+        this.isReplayInput = true;
+        this.replayActions = {};
+        this.replayActionsPressed = {};
+    }
+    
+    /**
+     * 記録した1フレーム分の入力を設定
+     * @param {number} inputBits - 論理操作のビット列
+     */
+    setReplayFrame(inputBits) {
+        this.replayActions = {};
+        this.replayActionsPressed = {};
+        
+        this.recordedActions.forEach((action, index) => {
+            if (inputBits & (1 << (index * 2))) this.replayActions[action] = true;
+            if (inputBits & (1 << (index * 2 + 1))) this.replayActionsPressed[action] = true;
+        });
+    }
+    
+    /**
+     * 実際の入力に戻す
+     */
+    stopReplayInput() {
+        this.isReplayInput = false;
+        this.replayActions = {};
+        this.replayActionsPressed = {};
+    }
+    
+    /**
+     * 操作に割り当てられたキーのいずれかが押されているかチェック
+     * @param {string} action - 論理操作名
+     * @returns {boolean}
+     */
+    isActionKeyDown(action) {
+        return this.keyBindings.getKeys(action).some(key => this.isKeyDown(key));
+    }
+    
+    /**
+     * 操作に割り当てられたキーのいずれかが押された瞬間かチェック
+     * @param {string} action - 論理操作名
+     * @returns {boolean}
+     */
+    isActionKeyPressed(action) {
+        return this.keyBindings.getKeys(action).some(key => this.isKeyPressed(key));
+    }
+    
+    /**
+     * このフレームで押されたキーを取得（キー設定画面用）
+     * @returns {string|null} キー（押されていない場合はnull）
+     */
+    getLastPressedKey() {
+        return this.lastKeyPressed;
     }
     
     /**
@@ -98,51 +472,75 @@ class InputManager {
     }
     
     /**
-     * 左矢印キーが押されているかチェック
+     * 左移動が入力されているかチェック（左移動キー / 十字キー・左スティック / タッチ）
      * @returns {boolean}
      */
     isLeftPressed() {
-        return this.isKeyDown(this.KEY_CODES.LEFT);
+        return this.isGameplayActionDown('left');
     }
     
     /**
-     * 右矢印キーが押されているかチェック
+     * 右移動が入力されているかチェック（右移動キー / 十字キー・左スティック / タッチ）
      * @returns {boolean}
      */
     isRightPressed() {
-        return this.isKeyDown(this.KEY_CODES.RIGHT);
+        return this.isGameplayActionDown('right');
+    }
+    
+    /**
+     * 上が押された瞬間かチェック（メニュー選択用、上矢印キー / 十字キー・左スティック）
+     * @returns {boolean}
+     */
+    isUpPressed() {
+        return this.isActionKeyPressed('up') || this.isDeviceActionPressed('up');
     }
     
     /**
-     * スペースキーが押された瞬間かチェック
+     * 下が押された瞬間かチェック（メニュー選択用、下矢印キー / 十字キー・左スティック）
+     * @returns {boolean}
+     */
+    isDownPressed() {
+        return this.isActionKeyPressed('down') || this.isDeviceActionPressed('down');
+    }
+    
+    /**
+     * 射撃が押された瞬間かチェック（射撃キー / A・Xボタン / FIREボタン）
      * @returns {boolean}
      */
     isShootPressed() {
-        return this.isKeyPressed(this.KEY_CODES.SPACE);
+        return this.isGameplayActionPressed('shoot');
     }
     
     /**
-     * Pキーが押された瞬間かチェック（一時停止用）
+     * 一時停止が押された瞬間かチェック（一時停止キー / Startボタン / 一時停止ボタン）
      * @returns {boolean}
      */
     isPausePressed() {
-        return this.isKeyPressed(this.KEY_CODES.P) || this.isKeyPressed(this.KEY_CODES.P_UPPER);
+        return this.isActionKeyPressed('pause') || this.isDeviceActionPressed('pause');
+    }
+    
+    /**
+     * ミュートが押された瞬間かチェック（ミュートキー）
+     * @returns {boolean}
+     */
+    isMutePressed() {
+        return this.isActionKeyPressed('mute');
     }
     
     /**
-     * Enterキーが押された瞬間かチェック
+     * 決定が押された瞬間かチェック（Enterキー / A・Startボタン / タップ）
      * @returns {boolean}
      */
     isEnterPressed() {
-        return this.isKeyPressed(this.KEY_CODES.ENTER);
+        return this.isActionKeyPressed('enter') || this.isDeviceActionPressed('enter');
     }
     
     /**
-     * Escapeキーが押された瞬間かチェック
+     * 戻るが押された瞬間かチェック（Escapeキー / B・Backボタン）
      * @returns {boolean}
      */
     isEscapePressed() {
-        return this.isKeyPressed(this.KEY_CODES.ESCAPE);
+        return this.isActionKeyPressed('escape') || this.isDeviceActionPressed('escape');
     }
     
     /**
@@ -0,0 +1,240 @@
+/**
+ * キー割り当て管理クラス
+ * 論理操作ごとに複数のキーを割り当て、変更内容を保存する
+ */
+class KeyBindings {
+    /**
+     * @param {Storage} storage - 保存先（localStorage と同じインターフェース）
+     */
+    constructor(storage = localStorage) {
+        this.storage = storage;
+        this.storageKey = 'invaderGame_keyBindings';
+
+        // 1つの操作に割り当てられるキーの最大数
+        this.maxBindingsPerAction = 2;
+
+        // 変更可能な操作と表示名（設定画面の表示順）
+        this.actionLabels = {
+            left: '左移動',
+            right: '右移動',
+            shoot: '射撃',
+            pause: '一時停止',
+            mute: 'ミュート'
+        };
+
+        // デフォルトの割り当て（文字キーは小文字で保持）
+        this.defaultBindings = {
+            left: ['ArrowLeft', 'a'],
+            right: ['ArrowRight', 'd'],
+            shoot: [' ', 'w'],
+            pause: ['p'],
+            mute: ['m']
+        };
+
+        // メニュー・リプレイ操作用の固定キー（変更不可・他の操作には割り当てられない）
+        this.fixedBindings = {
+            up: ['ArrowUp'],
+            down: ['ArrowDown'],
+            enter: ['Enter'],
+            escape: ['Escape'],
+            replayPlay: ['r'],
+            replaySave: ['s'],
+            replayFastForward: ['f'],
+            replayStep: ['n']
+        };
+
+        this.bindings = this.cloneBindings(this.defaultBindings);
+        this.loadBindings();
+
+        console.log('KeyBindings初期化完了');
+    }
+
+    /**
+     * キーを比較用に正規化（Shift や CapsLock で大文字になった文字キーを小文字に揃える）
+     * @param {string} key - KeyboardEvent.key
+     * @returns {string} 正規化したキー
+     */
+    normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    /**
+     * 操作に割り当てられたキーを取得
+     * @param {string} action - 論理操作名
+     * @returns {Array<string>} キーの配列
+     */
+    getKeys(action) {
+        return this.bindings[action] || this.fixedBindings[action] || [];
+    }
+
+    /**
+     * キーがいずれかの操作に割り当てられているかチェック
+     * @param {string} key - キー
+     * @returns {boolean}
+     */
+    isBound(key) {
+        return this.findAction(key) !== null;
+    }
+
+    /**
+     * キーが割り当てられている操作を検索
+     * @param {string} key - キー
+     * @returns {string|null} 論理操作名（未割り当ての場合はnull）
+     */
+    findAction(key) {
+        const normalized = this.normalizeKey(key);
+        const allBindings = { ...this.fixedBindings, ...this.bindings };
+
+        for (const [action, keys] of Object.entries(allBindings)) {
+            if (keys.includes(normalized)) {
+                return action;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * キーを割り当て
+     * 他の操作で使用中のキーは割り当てずに競合として返す
+     * @param {string} action - 論理操作名
+     * @param {number} slot - 割り当て枠（0から）
+     * @param {string} key - キー
+     * @returns {Object} {success, conflict} conflict は競合した操作名
+     */
+    setBinding(action, slot, key) {
+        if (!this.actionLabels[action] || slot < 0 || slot >= this.maxBindingsPerAction) {
+            return { success: false, conflict: null };
+        }
+
+        const normalized = this.normalizeKey(key);
+        const owner = this.findAction(normalized);
+        if (owner && owner !== action) {
+            return { success: false, conflict: owner };
+        }
+
+        const keys = this.bindings[action].filter(existing => existing !== normalized);
+        keys.splice(Math.min(slot, keys.length), 1, normalized);
+        this.bindings[action] = keys.slice(0, this.maxBindingsPerAction);
+
+        this.saveBindings();
+        return { success: true, conflict: null };
+    }
+
+    /**
+     * 割り当てを解除（各操作に最低1つのキーは残す）
+     * @param {string} action - 論理操作名
+     * @param {number} slot - 割り当て枠（0から）
+     * @returns {boolean} 解除できたかどうか
+     */
+    clearBinding(action, slot) {
+        const keys = this.bindings[action];
+        if (!keys || keys.length <= 1 || slot >= keys.length) {
+            return false;
+        }
+
+        keys.splice(slot, 1);
+        this.saveBindings();
+        return true;
+    }
+
+    /**
+     * デフォルトの割り当てに戻す
+     */
+    resetToDefaults() {
+        this.bindings = this.cloneBindings(this.defaultBindings);
+        this.saveBindings();
+    }
+
+    /**
+     * 操作名の表示用ラベルを取得
+     * @param {string} action - 論理操作名
+     * @returns {string} 表示名
+     */
+    getActionLabel(action) {
+        const menuLabels = {
+            up: 'メニュー上',
+            down: 'メニュー下',
+            enter: '決定',
+            escape: '戻る',
+            replayPlay: 'リプレイ再生',
+            replaySave: 'リプレイ保存',
+            replayFastForward: '早送り',
+            replayStep: 'コマ送り'
+        };
+        return this.actionLabels[action] || menuLabels[action] || action;
+    }
+
+    /**
+     * キーの表示名を取得
+     * @param {string} key - キー
+     * @returns {string} 表示名
+     */
+    getKeyLabel(key) {
+        const keyLabels = {
+            ' ': 'Space',
+            ArrowLeft: '←',
+            ArrowRight: '→',
+            ArrowUp: '↑',
+            ArrowDown: '↓'
+        };
+        if (keyLabels[key]) return keyLabels[key];
+        return key.length === 1 ? key.toUpperCase() : key;
+    }
+
+    /**
+     * 割り当てをコピー
+     * @param {Object} bindings - 割り当て
+     * @returns {Object} コピーした割り当て
+     */
+    cloneBindings(bindings) {
+        const cloned = {};
+        Object.entries(bindings).forEach(([action, keys]) => {
+            cloned[action] = [...keys];
+        });
+        return cloned;
+    }
+
+    /**
+     * 割り当てを保存
+     */
+    saveBindings() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.error('キー割り当ての保存に失敗:', error);
+        }
+    }
+
+    /**
+     * 割り当てを読み込み
+     * 不正な値や重複したキーはデフォルトの割り当てを使う
+     */
+    loadBindings() {
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            if (!saved) return;
+
+            const data = JSON.parse(saved);
+            const usedKeys = new Set(Object.values(this.fixedBindings).flat());
+
+            Object.keys(this.actionLabels).forEach(action => {
+                const keys = Array.isArray(data[action]) ?
+                    data[action]
+                        .filter(key => typeof key === 'string' && key.length > 0)
+                        .map(key => this.normalizeKey(key))
+                        .filter(key => !usedKeys.has(key))
+                        .slice(0, this.maxBindingsPerAction) :
+                    [];
+
+                const validKeys = keys.length > 0 ?
+                    keys : this.defaultBindings[action].filter(key => !usedKeys.has(key));
+                if (validKeys.length > 0) {
+                    this.bindings[action] = validKeys;
+                }
+                this.bindings[action].forEach(key => usedKeys.add(key));
+            });
+        } catch (error) {
+            console.error('キー割り当ての読み込みに失敗:', error);
+        }
+    }
+}
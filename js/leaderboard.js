@@ -0,0 +1,155 @@
+/**
+ * ランキング管理クラス
+ * モードごとに上位10件（名前・スコア・到達レベル・命中率・日付）を保存する
+ */
+class Leaderboard {
+    /**
+     * @param {Storage} storage - 保存先（localStorage と同じインターフェース）
+     */
+    constructor(storage = localStorage) {
+        this.storage = storage;
+        this.storageKey = 'invaderGame_leaderboard';
+
+        // モードごとの最大件数
+        this.maxEntries = 10;
+
+        // 名前の文字数と使える文字（アーケード風に1文字ずつ選ぶ）
+        this.nameLength = 3;
+        this.nameCharacters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789.';
+
+        // ランキングを分けるモード
+        this.modes = ['campaign', 'endless'];
+
+        this.entries = {};
+        this.modes.forEach(mode => {
+            this.entries[mode] = [];
+        });
+        this.loadEntries();
+
+        console.log('Leaderboard初期化完了');
+    }
+
+    /**
+     * モードのランキングを取得
+     * @param {string} mode - ゲームモード
+     * @returns {Array<Object>} 順位順のエントリ {name, score, level, accuracy, date, mode}
+     */
+    getEntries(mode) {
+        return (this.entries[mode] || []).map(entry => ({ ...entry }));
+    }
+
+    /**
+     * スコアが入る順位を取得（同点の場合は先に登録したエントリが上）
+     * @param {number} score - スコア
+     * @param {string} mode - ゲームモード
+     * @returns {number} 順位（1から、ランク外・0点の場合は0）
+     */
+    getRank(score, mode) {
+        if (!this.entries[mode] || !(score > 0)) return 0;
+
+        const rank = this.entries[mode].filter(entry => entry.score >= score).length + 1;
+        return rank <= this.maxEntries ? rank : 0;
+    }
+
+    /**
+     * スコアがランキングに入るかチェック
+     * @param {number} score - スコア
+     * @param {string} mode - ゲームモード
+     * @returns {boolean}
+     */
+    isRankIn(score, mode) {
+        return this.getRank(score, mode) > 0;
+    }
+
+    /**
+     * エントリを登録
+     * @param {Object} entry - {name, score, level, accuracy, mode, date}（date省略時は現在時刻）
+     * @returns {number} 登録した順位（ランク外の場合は0）
+     */
+    addEntry(entry) {
+        const rank = this.getRank(entry.score, entry.mode);
+        if (rank === 0) return 0;
+
+        const list = this.entries[entry.mode];
+        list.splice(rank - 1, 0, {
+            name: this.normalizeName(entry.name),
+            score: Math.floor(entry.score),
+            level: entry.level || 1,
+            accuracy: Math.max(0, Math.min(1, entry.accuracy || 0)),
+            date: entry.date || new Date().toISOString(),
+            mode: entry.mode
+        });
+        list.length = Math.min(list.length, this.maxEntries);
+
+        this.saveEntries();
+        console.log(`ランキング登録: ${entry.mode} ${rank}位 ${list[rank - 1].name} ${list[rank - 1].score}`);
+        return rank;
+    }
+
+    /**
+     * 名前を正規化（使えない文字は除き、足りない分は "." で埋める）
+     * @param {string} name - 名前
+     * @returns {string} 正規化した名前
+     */
+    normalizeName(name) {
+        const characters = String(name || '')
+            .toUpperCase()
+            .split('')
+            .filter(character => this.nameCharacters.includes(character))
+            .slice(0, this.nameLength)
+            .join('');
+        return characters.padEnd(this.nameLength, '.');
+    }
+
+    /**
+     * ランキングを消去
+     */
+    clear() {
+        this.modes.forEach(mode => {
+            this.entries[mode] = [];
+        });
+        this.saveEntries();
+    }
+
+    /**
+     * ランキングを保存
+     */
+    saveEntries() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.error('ランキングの保存に失敗:', error);
+        }
+    }
+
+    /**
+     * ランキングを読み込み
+     * 不正なエントリは読み飛ばし、スコア順に並べ直す
+     */
+    loadEntries() {
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            if (!saved) return;
+
+            const data = JSON.parse(saved);
+            this.modes.forEach(mode => {
+                if (!Array.isArray(data[mode])) return;
+
+                this.entries[mode] = data[mode]
+                    .filter(entry => entry && Number.isFinite(entry.score) && entry.score > 0)
+                    .map(entry => ({
+                        name: this.normalizeName(entry.name),
+                        score: Math.floor(entry.score),
+                        level: Number.isInteger(entry.level) && entry.level > 0 ? entry.level : 1,
+                        accuracy: Number.isFinite(entry.accuracy) ? Math.max(0, Math.min(1, entry.accuracy)) : 0,
+                        date: typeof entry.date === 'string' ? entry.date : '',
+                        mode: mode
+                    }))
+                    .sort((a, b) => b.score - a.score)
+                    .slice(0, this.maxEntries);
+            });
+        } catch (error) {
+            console.error('ランキングの読み込みに失敗:', error);
+        }
+    }
+}
@@ -0,0 +1,543 @@
+/**
+ * レベル定義の検証エラー
+ * 問題箇所をまとめて読みやすいメッセージにする
+ */
+class LevelValidationError extends Error {
+    /**
+     * @param {string} source - 定義ファイル名
+     * @param {Array<string>} errors - エラー内容の配列
+     */
+    constructor(source, errors) {
+        super(`${source} のレベル定義が不正です:\n- ${errors.join('\n- ')}`);
+        this.name = 'LevelValidationError';
+        this.source = source;
+        this.errors = errors;
+    }
+}
+
+/**
+ * レベル定義ローダー
+ * JSONファイルからレベル定義を読み込み、スキーマ検証とデフォルト値の補完を行う
+ */
+class LevelLoader {
+    /**
+     * @param {GameEngine} gameEngine - ゲームエンジン
+     * @param {string} basePath - レベル定義ファイルのディレクトリ
+     */
+    constructor(gameEngine, basePath = 'levels/') {
+        this.gameEngine = gameEngine;
+        this.basePath = basePath;
+        this.manifestFile = 'index.json';
+
+        // スキーマで許可される値
+        this.enemyTypes = ['basic', 'fast', 'shooter', 'strong'];
+        this.clearConditions = ['destroyAllEnemies', 'defeatBoss'];
+        this.bossPatterns = ['spiral', 'beam', 'minions'];
+        this.ufoScoringModes = ['shotCount', 'random'];
+        this.maxAggressiveness = 1.5; // 1を超えると通常の敵も狙い撃ちする（WaveGenerator の上限と同じ）
+        
+        // 文字列レイアウトの凡例（レベル定義の legend で上書き・追加できる）
+        this.defaultLegend = {
+            B: 'basic',
+            F: 'fast',
+            S: 'shooter',
+            X: 'strong'
+        };
+        this.emptyCells = ['.', ' '];
+
+        console.log('LevelLoader初期化完了');
+    }
+
+    /**
+     * マニフェストに列挙された全レベルを読み込む
+     * @returns {Promise<Object>} レベル番号をキーとするレベル設定
+     */
+    async loadAll() {
+        const manifestPath = this.basePath + this.manifestFile;
+        const manifest = await this.fetchJSON(manifestPath);
+
+        if (!manifest || !Array.isArray(manifest.levels) || manifest.levels.length === 0) {
+            throw new LevelValidationError(manifestPath, ['levels: レベル定義ファイル名の配列を指定してください']);
+        }
+
+        const levelDataList = await Promise.all(
+            manifest.levels.map(file => this.fetchJSON(this.basePath + file))
+        );
+
+        return this.parseLevels(levelDataList, manifest.levels);
+    }
+
+    /**
+     * JSONファイルを取得
+     * @param {string} path - ファイルパス
+     * @returns {Promise<Object>} 解析済みのJSON
+     */
+    async fetchJSON(path) {
+        let response;
+        try {
+            response = await fetch(path);
+        } catch (error) {
+            throw new Error(`${path} の読み込みに失敗しました: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            throw new Error(`${path} の読み込みに失敗しました (HTTP ${response.status})`);
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new Error(`${path} のJSON形式が不正です: ${error.message}`);
+        }
+    }
+
+    /**
+     * 読み込んだレベル定義を検証してレベル設定に変換
+     * @param {Array<Object>} levelDataList - レベル定義の配列（順番がレベル番号になる）
+     * @param {Array<string>} sources - エラー表示用の定義ファイル名
+     * @returns {Object} レベル番号をキーとするレベル設定
+     */
+    parseLevels(levelDataList, sources = []) {
+        const levelConfigs = {};
+
+        levelDataList.forEach((data, index) => {
+            const source = sources[index] || `レベル${index + 1}`;
+            this.validateLevel(data, source);
+            levelConfigs[index + 1] = this.normalizeLevel(data);
+        });
+
+        return levelConfigs;
+    }
+
+    /**
+     * レベル定義の検証（問題があれば LevelValidationError を投げる）
+     * @param {Object} data - レベル定義
+     * @param {string} source - 定義ファイル名
+     */
+    validateLevel(data, source) {
+        const errors = [];
+
+        if (!this.isObject(data)) {
+            throw new LevelValidationError(source, ['レベル定義はオブジェクトで指定してください']);
+        }
+
+        this.checkString(errors, data, 'name');
+        this.checkOptional(data, 'description', () => this.checkString(errors, data, 'description'));
+        const formationErrorCount = errors.length;
+        this.validateFormation(errors, data.enemyFormation);
+        const isFormationValid = errors.length === formationErrorCount;
+        this.validateShootingConfig(errors, data.shootingConfig);
+        this.checkOneOf(errors, data, 'clearCondition', this.clearConditions);
+        this.checkOptional(data, 'timeLimit', () => this.checkNumber(errors, data, 'timeLimit', 1));
+        this.checkOptional(data, 'bonusPoints', () => this.checkNumber(errors, data, 'bonusPoints', 0));
+        this.checkOptional(data, 'bunkers', () => this.validateBunkers(errors, data.bunkers));
+        this.checkOptional(data, 'ufo', () => this.validateUFO(errors, data.ufo));
+        this.checkOptional(data, 'boss', () => this.validateBoss(errors, data.boss));
+
+        if (data.clearCondition === 'defeatBoss' && data.boss == null) {
+            errors.push('boss: clearCondition が defeatBoss の場合はボス設定が必要です');
+        }
+
+        // 敵のいない編隊は開始直後にクリアになるため、ボス戦以外では認めない
+        const isBossLevel = data.clearCondition === 'defeatBoss' && data.boss != null;
+        if (isFormationValid && !isBossLevel && this.countFormationEnemies(data.enemyFormation) === 0) {
+            errors.push('enemyFormation: 敵が1体もいない編隊はボス戦（clearCondition が defeatBoss でボス設定あり）でのみ指定できます');
+        }
+
+        if (errors.length > 0) {
+            throw new LevelValidationError(source, errors);
+        }
+    }
+
+    /**
+     * 編隊設定の検証
+     * @param {Array<string>} errors - エラー格納先
+     * @param {Object} formation - 編隊設定
+     */
+    validateFormation(errors, formation) {
+        if (!this.isObject(formation)) {
+            errors.push('enemyFormation: 編隊設定を指定してください');
+            return;
+        }
+
+        // layout 指定時は行・列・敵タイプはレイアウトから決まる
+        if (formation.layout !== undefined) {
+            this.validateLayout(errors, formation);
+        } else {
+            this.checkInteger(errors, formation, 'rows', 0, 'enemyFormation');
+            this.checkInteger(errors, formation, 'cols', 0, 'enemyFormation');
+            this.checkEnemyTypeList(errors, formation, 'enemyTypes', 'enemyFormation');
+        }
+        
+        this.checkNumber(errors, formation, 'startY', 0, 'enemyFormation');
+        this.checkNumber(errors, formation, 'baseSpeed', 1, 'enemyFormation');
+
+        if (!this.isObject(formation.spacing)) {
+            errors.push('enemyFormation.spacing: {"x": 数値, "y": 数値} を指定してください');
+        } else {
+            this.checkNumber(errors, formation.spacing, 'x', 1, 'enemyFormation.spacing');
+            this.checkNumber(errors, formation.spacing, 'y', 1, 'enemyFormation.spacing');
+        }
+    }
+
+    /**
+     * 編隊レイアウトの検証
+     * 文字列の配列（ASCIIマップ）または敵タイプの2次元配列を受け付ける
+     * @param {Array<string>} errors - エラー格納先
+     * @param {Object} formation - 編隊設定
+     */
+    validateLayout(errors, formation) {
+        const layout = formation.layout;
+        
+        if (!Array.isArray(layout) || layout.length === 0) {
+            errors.push('enemyFormation.layout: 文字列の配列または敵タイプの2次元配列を指定してください');
+            return;
+        }
+        
+        const isAscii = layout.every(row => typeof row === 'string');
+        const isGrid = layout.every(row => Array.isArray(row));
+        
+        if (!isAscii && !isGrid) {
+            errors.push('enemyFormation.layout: 文字列の行と配列の行を混在させることはできません');
+            return;
+        }
+        
+        if (isGrid) {
+            if (formation.legend !== undefined) {
+                errors.push('enemyFormation.legend: 2次元配列のレイアウトでは legend は使用できません');
+            }
+            
+            layout.forEach((row, rowIndex) => {
+                row.forEach((cell, colIndex) => {
+                    if (cell !== null && cell !== '' && !this.enemyTypes.includes(cell)) {
+                        errors.push(`enemyFormation.layout[${rowIndex}][${colIndex}]: 不明な敵タイプ "${cell}"（空きは null）`);
+                    }
+                });
+            });
+            return;
+        }
+        
+        // 凡例の検証
+        if (formation.legend !== undefined) {
+            if (!this.isObject(formation.legend)) {
+                errors.push('enemyFormation.legend: {"文字": "敵タイプ"} の形式で指定してください');
+                return;
+            }
+            
+            Object.entries(formation.legend).forEach(([symbol, enemyType]) => {
+                if (symbol.length !== 1 || this.emptyCells.includes(symbol)) {
+                    errors.push(`enemyFormation.legend: "${symbol}" は1文字の記号で指定してください（"." と空白は空き）`);
+                }
+                if (!this.enemyTypes.includes(enemyType)) {
+                    errors.push(`enemyFormation.legend.${symbol}: 不明な敵タイプ "${enemyType}"（${this.enemyTypes.join(', ')}）`);
+                }
+            });
+        }
+        
+        const legend = this.getLegend(formation);
+        layout.forEach((row, rowIndex) => {
+            row.split('').forEach((symbol, colIndex) => {
+                if (!this.emptyCells.includes(symbol) && !legend[symbol]) {
+                    errors.push(`enemyFormation.layout[${rowIndex}]: ${colIndex + 1}文字目の "${symbol}" は凡例にありません（${Object.keys(legend).join(', ')}）`);
+                }
+            });
+        });
+    }
+    
+    /**
+     * 文字列レイアウトの凡例を取得
+     * @param {Object} formation - 編隊設定
+     * @returns {Object} 記号から敵タイプへの対応表
+     */
+    getLegend(formation) {
+        return { ...this.defaultLegend, ...(this.isObject(formation.legend) ? formation.legend : {}) };
+    }
+    
+    /**
+     * 編隊設定をグリッド形式に統一
+     * @param {Object} formation - 検証済みの編隊設定
+     * @returns {Object} 編隊設定（layout は敵タイプの2次元配列、空きはnull）
+     */
+    normalizeFormation(formation) {
+        if (formation.layout === undefined) {
+            return { ...formation };
+        }
+        
+        let layout;
+        if (typeof formation.layout[0] === 'string') {
+            const legend = this.getLegend(formation);
+            layout = formation.layout.map(row =>
+                row.split('').map(symbol => legend[symbol] || null)
+            );
+        } else {
+            layout = formation.layout.map(row => row.map(cell => cell || null));
+        }
+        
+        const { legend, ...rest } = formation;
+        return {
+            ...rest,
+            layout: layout,
+            rows: layout.length,
+            cols: Math.max(...layout.map(row => row.length))
+        };
+    }
+    
+    /**
+     * 編隊の敵の数を取得
+     * @param {Object} formation - 検証済みの編隊設定
+     * @returns {number} 敵の数（空きは数えない）
+     */
+    countFormationEnemies(formation) {
+        const normalized = this.normalizeFormation(formation);
+        if (normalized.layout === undefined) {
+            return normalized.rows * normalized.cols;
+        }
+        return normalized.layout.flat().filter(cell => cell !== null).length;
+    }
+    
+    /**
+     * 射撃設定の検証
+     * @param {Array<string>} errors - エラー格納先
+     * @param {Object} shootingConfig - 射撃設定
+     */
+    validateShootingConfig(errors, shootingConfig) {
+        if (!this.isObject(shootingConfig)) {
+            errors.push('shootingConfig: 射撃設定を指定してください');
+            return;
+        }
+
+        this.checkNumber(errors, shootingConfig, 'shootRate', 0, 'shootingConfig');
+        this.checkInteger(errors, shootingConfig, 'maxBullets', 0, 'shootingConfig');
+        this.checkNumber(errors, shootingConfig, 'aggressiveness', 0, 'shootingConfig', this.maxAggressiveness);
+    }
+
+    /**
+     * バンカー設定の検証
+     * @param {Array<string>} errors - エラー格納先
+     * @param {Object} bunkers - バンカー設定
+     */
+    validateBunkers(errors, bunkers) {
+        if (!this.isObject(bunkers)) {
+            errors.push('bunkers: バンカー設定はオブジェクトで指定してください');
+            return;
+        }
+
+        const shapes = Object.keys(this.gameEngine.bunkerManager.shapes);
+        this.checkInteger(errors, bunkers, 'count', 0, 'bunkers');
+        this.checkOptional(bunkers, 'shape', () => this.checkOneOf(errors, bunkers, 'shape', shapes, 'bunkers'));
+        this.checkOptional(bunkers, 'resetEachLevel', () => this.checkBoolean(errors, bunkers, 'resetEachLevel', 'bunkers'));
+    }
+
+    /**
+     * UFO設定の検証
+     * @param {Array<string>} errors - エラー格納先
+     * @param {Object} ufo - UFO設定
+     */
+    validateUFO(errors, ufo) {
+        if (!this.isObject(ufo)) {
+            errors.push('ufo: UFO設定はオブジェクトで指定してください');
+            return;
+        }
+
+        this.checkNumber(errors, ufo, 'spawnInterval', 1, 'ufo');
+        this.checkOptional(ufo, 'spawnVariance', () => this.checkNumber(errors, ufo, 'spawnVariance', 0, 'ufo'));
+        this.checkOptional(ufo, 'speed', () => this.checkNumber(errors, ufo, 'speed', 1, 'ufo'));
+        this.checkOptional(ufo, 'minEnemies', () => this.checkInteger(errors, ufo, 'minEnemies', 0, 'ufo'));
+        this.checkOptional(ufo, 'scoring', () => this.checkOneOf(errors, ufo, 'scoring', this.ufoScoringModes, 'ufo'));
+        this.checkOptional(ufo, 'scoreTable', () => {
+            if (!Array.isArray(ufo.scoreTable) || ufo.scoreTable.length === 0 ||
+                ufo.scoreTable.some(points => typeof points !== 'number' || points < 0)) {
+                errors.push('ufo.scoreTable: 0以上の数値の配列を指定してください');
+            }
+        });
+    }
+
+    /**
+     * ボス設定の検証
+     * @param {Array<string>} errors - エラー格納先
+     * @param {Object} boss - ボス設定
+     */
+    validateBoss(errors, boss) {
+        if (!this.isObject(boss)) {
+            errors.push('boss: ボス設定はオブジェクトで指定してください');
+            return;
+        }
+
+        this.checkOptional(boss, 'name', () => this.checkString(errors, boss, 'name', 'boss'));
+        this.checkInteger(errors, boss, 'health', 1, 'boss');
+        this.checkOptional(boss, 'points', () => this.checkNumber(errors, boss, 'points', 0, 'boss'));
+        this.checkOptional(boss, 'speed', () => this.checkNumber(errors, boss, 'speed', 0, 'boss'));
+        this.checkOptional(boss, 'y', () => this.checkNumber(errors, boss, 'y', 0, 'boss'));
+
+        if (boss.phases === undefined) return;
+
+        if (!Array.isArray(boss.phases) || boss.phases.length === 0) {
+            errors.push('boss.phases: フェーズ設定の配列を指定してください');
+            return;
+        }
+
+        boss.phases.forEach((phase, index) => {
+            const path = `boss.phases[${index}]`;
+            if (!this.isObject(phase)) {
+                errors.push(`${path}: フェーズ設定はオブジェクトで指定してください`);
+                return;
+            }
+
+            this.checkNumber(errors, phase, 'threshold', 0, path, 1);
+            this.checkNumber(errors, phase, 'attackInterval', 1, path);
+            this.checkOptional(phase, 'speedMultiplier', () => this.checkNumber(errors, phase, 'speedMultiplier', 0, path));
+
+            if (!Array.isArray(phase.patterns) || phase.patterns.length === 0) {
+                errors.push(`${path}.patterns: 攻撃パターンの配列を指定してください（${this.bossPatterns.join(', ')}）`);
+            } else {
+                phase.patterns.forEach(pattern => {
+                    if (!this.bossPatterns.includes(pattern)) {
+                        errors.push(`${path}.patterns: 不明な攻撃パターン "${pattern}"（${this.bossPatterns.join(', ')}）`);
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * デフォルト値を補完したレベル設定を作成
+     * @param {Object} data - 検証済みのレベル定義
+     * @returns {Object} レベル設定
+     */
+    normalizeLevel(data) {
+        return {
+            description: '',
+            timeLimit: null,
+            bonusPoints: 0,
+            bunkers: null,
+            ufo: null,
+            boss: null,
+            ...data,
+            enemyFormation: this.normalizeFormation(data.enemyFormation)
+        };
+    }
+
+    /**
+     * オブジェクトかどうか
+     * @param {*} value - 判定する値
+     * @returns {boolean} オブジェクトかどうか
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * 値が指定されている場合のみ検証を実行（nullも未指定として扱う）
+     * @param {Object} target - 検証対象
+     * @param {string} key - プロパティ名
+     * @param {Function} check - 検証処理
+     */
+    checkOptional(target, key, check) {
+        if (target[key] !== undefined && target[key] !== null) {
+            check();
+        }
+    }
+
+    /**
+     * エラー表示用のプロパティパスを作成
+     * @param {string} prefix - 親のパス
+     * @param {string} key - プロパティ名
+     * @returns {string} プロパティパス
+     */
+    path(prefix, key) {
+        return prefix ? `${prefix}.${key}` : key;
+    }
+
+    /**
+     * 文字列の検証
+     * @param {Array<string>} errors - エラー格納先
+     * @param {Object} target - 検証対象
+     * @param {string} key - プロパティ名
+     * @param {string} prefix - 親のパス
+     */
+    checkString(errors, target, key, prefix = '') {
+        if (typeof target[key] !== 'string' || target[key].length === 0) {
+            errors.push(`${this.path(prefix, key)}: 文字列を指定してください (値: ${JSON.stringify(target[key])})`);
+        }
+    }
+
+    /**
+     * 真偽値の検証
+     * @param {Array<string>} errors - エラー格納先
+     * @param {Object} target - 検証対象
+     * @param {string} key - プロパティ名
+     * @param {string} prefix - 親のパス
+     */
+    checkBoolean(errors, target, key, prefix = '') {
+        if (typeof target[key] !== 'boolean') {
+            errors.push(`${this.path(prefix, key)}: true または false を指定してください (値: ${JSON.stringify(target[key])})`);
+        }
+    }
+
+    /**
+     * 数値の検証
+     * @param {Array<string>} errors - エラー格納先
+     * @param {Object} target - 検証対象
+     * @param {string} key - プロパティ名
+     * @param {number} min - 最小値
+     * @param {string} prefix - 親のパス
+     * @param {number} max - 最大値
+     */
+    checkNumber(errors, target, key, min, prefix = '', max = Infinity) {
+        const value = target[key];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            const range = max === Infinity ? `${min}以上` : `${min}〜${max}`;
+            errors.push(`${this.path(prefix, key)}: ${range}の数値を指定してください (値: ${JSON.stringify(value)})`);
+        }
+    }
+
+    /**
+     * 整数の検証
+     * @param {Array<string>} errors - エラー格納先
+     * @param {Object} target - 検証対象
+     * @param {string} key - プロパティ名
+     * @param {number} min - 最小値
+     * @param {string} prefix - 親のパス
+     */
+    checkInteger(errors, target, key, min, prefix = '') {
+        const value = target[key];
+        if (!Number.isInteger(value) || value < min) {
+            errors.push(`${this.path(prefix, key)}: ${min}以上の整数を指定してください (値: ${JSON.stringify(value)})`);
+        }
+    }
+
+    /**
+     * 選択肢の検証
+     * @param {Array<string>} errors - エラー格納先
+     * @param {Object} target - 検証対象
+     * @param {string} key - プロパティ名
+     * @param {Array<string>} options - 許可される値
+     * @param {string} prefix - 親のパス
+     */
+    checkOneOf(errors, target, key, options, prefix = '') {
+        if (!options.includes(target[key])) {
+            errors.push(`${this.path(prefix, key)}: ${options.join(', ')} のいずれかを指定してください (値: ${JSON.stringify(target[key])})`);
+        }
+    }
+
+    /**
+     * 敵タイプ配列の検証
+     * @param {Array<string>} errors - エラー格納先
+     * @param {Object} target - 検証対象
+     * @param {string} key - プロパティ名
+     * @param {string} prefix - 親のパス
+     */
+    checkEnemyTypeList(errors, target, key, prefix = '') {
+        const value = target[key];
+        if (!Array.isArray(value) || value.length === 0) {
+            errors.push(`${this.path(prefix, key)}: 敵タイプの配列を指定してください（${this.enemyTypes.join(', ')}）`);
+            return;
+        }
+
+        value.forEach(enemyType => {
+            if (!this.enemyTypes.includes(enemyType)) {
+                errors.push(`${this.path(prefix, key)}: 不明な敵タイプ "${enemyType}"（${this.enemyTypes.join(', ')}）`);
+            }
+        });
+    }
+}
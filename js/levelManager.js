@@ -8,7 +8,7 @@ class LevelManager {
         
         // レベル状態
         this.currentLevel = 1;
-        this.maxLevel = 2;
+        this.maxLevel = 0; // レベル定義の読み込み後に決まる
         this.levelStartTime = 0;
         this.levelClearTime = 0;
         
@@ -17,61 +17,95 @@ class LevelManager {
         this.transitionDelay = 2000; // レベル間の遷移時間（ミリ秒）
         this.transitionTimer = 0;
         
-        // レベル設定
-        this.levelConfigs = {
-            1: {
-                name: 'レベル1',
-                description: '基本的な敵編隊',
-                enemyFormation: {
-                    rows: 3,
-                    cols: 8,
-                    enemyTypes: ['basic', 'basic', 'fast'],
-                    spacing: { x: 40, y: 35 },
-                    startY: 80,
-                    baseSpeed: 50
-                },
-                shootingConfig: {
-                    shootRate: 0.8,
-                    maxBullets: 8,
-                    aggressiveness: 0.5
-                },
-                clearCondition: 'destroyAllEnemies',
-                timeLimit: null, // 時間制限なし
-                bonusPoints: 500
-            },
-            2: {
-                name: 'レベル2',
-                description: '強化された敵編隊',
-                enemyFormation: {
-                    rows: 4,
-                    cols: 10,
-                    enemyTypes: ['basic', 'fast', 'shooter', 'strong'],
-                    spacing: { x: 35, y: 30 },
-                    startY: 60,
-                    baseSpeed: 60
-                },
-                shootingConfig: {
-                    shootRate: 1.2,
-                    maxBullets: 12,
-                    aggressiveness: 0.8
-                },
-                clearCondition: 'destroyAllEnemies',
-                timeLimit: null,
-                bonusPoints: 1000
-            }
-        };
+        // レベル設定（levels/ のJSON定義から読み込む）
+        this.levelConfigs = {};
+        this.levelLoader = new LevelLoader(gameEngine);
+        
+        // ゲームモード（'campaign': レベル定義を順に進む, 'endless': ウェーブを自動生成）
+        this.gameMode = 'campaign';
+        this.waveGenerator = new WaveGenerator(gameEngine);
+        this.endlessConfigs = {}; // 生成済みのウェーブ設定
         
         // 統計情報
         this.levelStats = {
             enemiesDestroyed: 0,
-            bulletsShot: 0,
-            accuracy: 0,
+            bulletsShot: 0, // 発射の回数（UFOのスコア決定に使用）
+            bulletsFired: 0, // 発射した弾の数（拡散弾は1回で複数）
+            bulletsHit: 0, // 命中した弾の数
+            accuracy: 0, // 命中した弾の割合（0〜1）
             timeElapsed: 0
         };
         
+        // 撃破数・発射数・命中数はゲームイベントから数える
+        gameEngine.events.on('enemyKilled', () => this.onEnemyDestroyed());
+        gameEngine.events.on('bulletFired', event => this.onBulletShot(event.bullets.length));
+        gameEngine.events.on('bulletHit', () => this.onBulletHit());
+        
         console.log('LevelManager初期化完了');
     }
     
+    /**
+     * レベル定義の読み込み
+     * @returns {Promise<Object>} 読み込んだレベル設定
+     */
+    async loadLevels() {
+        const levelConfigs = await this.levelLoader.loadAll();
+        this.setLevelConfigs(levelConfigs);
+        return levelConfigs;
+    }
+    
+    /**
+     * レベル設定を登録
+     * @param {Object} levelConfigs - レベル番号をキーとするレベル設定
+     */
+    setLevelConfigs(levelConfigs) {
+        this.levelConfigs = levelConfigs;
+        this.maxLevel = Object.keys(levelConfigs).length;
+        console.log(`レベル定義を読み込みました: ${this.maxLevel}レベル`);
+    }
+    
+    /**
+     * ゲームモードを設定
+     * @param {string} mode - 'campaign' または 'endless'
+     */
+    setGameMode(mode) {
+        this.gameMode = mode === 'endless' ? 'endless' : 'campaign';
+        console.log(`ゲームモード: ${this.gameMode}`);
+    }
+    
+    /**
+     * エンドレスモードかどうか
+     * @returns {boolean} エンドレスモードかどうか
+     */
+    isEndlessMode() {
+        return this.gameMode === 'endless';
+    }
+    
+    /**
+     * 指定レベルの設定を取得（エンドレスモードではウェーブを生成）
+     * @param {number} level - レベル番号（エンドレスモードではウェーブ番号）
+     * @returns {Object} レベル設定
+     */
+    getLevelConfig(level) {
+        if (!this.isEndlessMode()) {
+            return this.levelConfigs[level];
+        }
+        
+        if (!this.endlessConfigs[level]) {
+            this.endlessConfigs[level] = this.waveGenerator.generateWave(level);
+        }
+        return this.endlessConfigs[level];
+    }
+    
+    /**
+     * 表示用のレベル名を取得
+     * @param {number} level - レベル番号
+     * @returns {string} 「レベルN」または「ウェーブN」
+     */
+    getLevelLabel(level = this.currentLevel) {
+        return this.isEndlessMode() ? `ウェーブ${level}` : `レベル${level}`;
+    }
+    
     /**
      * 更新処理
      * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
@@ -123,7 +157,7 @@ class LevelManager {
      * レベルクリア条件のチェック
      */
     checkLevelClearCondition() {
-        const config = this.levelConfigs[this.currentLevel];
+        const config = this.getLevelConfig(this.currentLevel);
         if (!config) return;
         
         switch (config.clearCondition) {
@@ -135,6 +169,15 @@ class LevelManager {
                     this.onLevelClear();
                 }
                 break;
+                
+            case 'defeatBoss':
+                const bosses = this.gameEngine.gameObjects.filter(obj => 
+                    obj instanceof Boss && obj.active
+                );
+                if (bosses.length === 0) {
+                    this.onLevelClear();
+                }
+                break;
         }
     }
     
@@ -142,12 +185,8 @@ class LevelManager {
      * ゲームオーバー条件のチェック
      */
     checkGameOverCondition() {
-        const player = this.gameEngine.gameObjects.find(obj => 
-            obj instanceof Player && obj.active
-        );
-        
-        // プレイヤーが死亡した場合
-        if (!player || player.health <= 0) {
+        // 残機がなくなった場合（撃墜後の復活待ちは自機がいなくても続行）
+        if (this.gameEngine.gameStateManager.getGameState().lives <= 0) {
             this.onGameOver();
             return;
         }
@@ -170,7 +209,7 @@ class LevelManager {
      * 時間制限のチェック
      */
     checkTimeLimit() {
-        const config = this.levelConfigs[this.currentLevel];
+        const config = this.getLevelConfig(this.currentLevel);
         if (!config || !config.timeLimit) return;
         
         if (this.levelStats.timeElapsed >= config.timeLimit) {
@@ -189,14 +228,14 @@ class LevelManager {
         this.levelClearTime = this.levelStats.timeElapsed;
         
         // ボーナススコアの計算と加算
-        const config = this.levelConfigs[this.currentLevel];
+        const config = this.getLevelConfig(this.currentLevel);
         const bonusScore = this.calculateBonusScore(config);
-        this.addScore(bonusScore);
+        this.gameEngine.scoreService.award(bonusScore, 'levelBonus');
         
         console.log(`レベル${this.currentLevel}クリア！ボーナス: ${bonusScore}点`);
         
-        // レベルクリアイベントを発火
-        this.gameEngine.onLevelClear?.(this.currentLevel, bonusScore);
+        // レベルクリアイベントを発行
+        this.gameEngine.events.emit('levelCleared', { level: this.currentLevel, bonusScore: bonusScore });
     }
     
     /**
@@ -210,15 +249,15 @@ class LevelManager {
         
         console.log(`ゲームオーバー - レベル${this.currentLevel}`);
         
-        // ゲームオーバーイベントを発火
-        this.gameEngine.onGameOver?.(this.currentLevel);
+        // ゲームオーバーイベントを発行
+        this.gameEngine.events.emit('levelFailed', { level: this.currentLevel });
     }
     
     /**
      * 次のレベルに進む
      */
     proceedToNextLevel() {
-        if (this.currentLevel >= this.maxLevel) {
+        if (!this.isEndlessMode() && this.currentLevel >= this.maxLevel) {
             // 全レベルクリア
             this.onGameComplete();
         } else {
@@ -240,6 +279,11 @@ class LevelManager {
      * @param {number} level - 開始するレベル
      */
     startLevel(level) {
+        // 新しいゲームでは前回生成したウェーブを使わない
+        if (level === 1) {
+            this.endlessConfigs = {};
+        }
+        
         this.currentLevel = level;
         this.levelState = 'playing';
         this.transitionTimer = 0;
@@ -249,11 +293,13 @@ class LevelManager {
         this.levelStats = {
             enemiesDestroyed: 0,
             bulletsShot: 0,
+            bulletsFired: 0,
+            bulletsHit: 0,
             accuracy: 0,
             timeElapsed: 0
         };
         
-        const config = this.levelConfigs[level];
+        const config = this.getLevelConfig(level);
         if (!config) {
             console.error(`レベル${level}の設定が見つかりません`);
             return;
@@ -261,8 +307,8 @@ class LevelManager {
         
         console.log(`${config.name}開始: ${config.description}`);
         
-        // レベル開始イベントを発火
-        this.gameEngine.onLevelStart?.(level, config);
+        // レベル開始イベントを発行
+        this.gameEngine.events.emit('levelStarted', { level: level, config: config });
         
         // UIの更新
         this.updateLevelUI();
@@ -276,10 +322,10 @@ class LevelManager {
         
         // 完全クリアボーナス
         const completionBonus = 5000;
-        this.addScore(completionBonus);
+        this.gameEngine.scoreService.award(completionBonus, 'completionBonus');
         
-        // ゲーム完了イベントを発火
-        this.gameEngine.onGameComplete?.(completionBonus);
+        // ゲーム完了イベントを発行
+        this.gameEngine.events.emit('gameCompleted', { completionBonus: completionBonus });
     }
     
     /**
@@ -301,41 +347,37 @@ class LevelManager {
         return bonus;
     }
     
-    /**
-     * スコア加算
-     * @param {number} points - 加算するスコア
-     */
-    addScore(points) {
-        const scoreElement = document.getElementById('score');
-        if (scoreElement) {
-            const currentScore = parseInt(scoreElement.textContent.replace('スコア: ', '')) || 0;
-            const newScore = currentScore + points;
-            scoreElement.textContent = `スコア: ${newScore}`;
-        }
-    }
-    
     /**
      * 敵撃破時の統計更新
      */
     onEnemyDestroyed() {
         this.levelStats.enemiesDestroyed++;
-        this.updateAccuracy();
     }
     
     /**
      * 弾発射時の統計更新
+     * @param {number} bulletCount - 発射した弾の数
      */
-    onBulletShot() {
+    onBulletShot(bulletCount) {
         this.levelStats.bulletsShot++;
+        this.levelStats.bulletsFired += bulletCount;
+        this.updateAccuracy();
+    }
+    
+    /**
+     * 弾命中時の統計更新
+     */
+    onBulletHit() {
+        this.levelStats.bulletsHit++;
         this.updateAccuracy();
     }
     
     /**
-     * 精度の更新
+     * 精度の更新（貫通しても1発は1回の命中なので1を超えない）
      */
     updateAccuracy() {
-        if (this.levelStats.bulletsShot > 0) {
-            this.levelStats.accuracy = this.levelStats.enemiesDestroyed / this.levelStats.bulletsShot;
+        if (this.levelStats.bulletsFired > 0) {
+            this.levelStats.accuracy = this.levelStats.bulletsHit / this.levelStats.bulletsFired;
         }
     }
     
@@ -343,9 +385,10 @@ class LevelManager {
      * レベルUIの更新
      */
     updateLevelUI() {
-        const levelElement = document.getElementById('level');
+        const levelElement = this.gameEngine.getElement('level');
         if (levelElement) {
-            levelElement.textContent = `レベル: ${this.currentLevel}`;
+            levelElement.textContent = this.isEndlessMode() ?
+                `ウェーブ: ${this.currentLevel}` : `レベル: ${this.currentLevel}`;
         }
     }
     
@@ -354,7 +397,7 @@ class LevelManager {
      * @returns {Object} レベル設定
      */
     getCurrentLevelConfig() {
-        return this.levelConfigs[this.currentLevel];
+        return this.getLevelConfig(this.currentLevel);
     }
     
     /**
@@ -378,8 +421,8 @@ class LevelManager {
         }
         
         // デバッグ描画（敵編隊の境界表示）
-        if (this.levelState === 'playing' && window.enemyFormation) {
-            window.enemyFormation.renderDebug(renderer);
+        if (this.levelState === 'playing' && this.gameEngine.enemyFormation) {
+            this.gameEngine.enemyFormation.renderDebug(renderer);
         }
     }
     
@@ -398,14 +441,16 @@ class LevelManager {
         renderer.drawTextCentered('LEVEL CLEAR!', centerX, centerY - 60, '#00ff00', '48px Courier New');
         
         // 統計情報
-        const config = this.levelConfigs[this.currentLevel];
+        const config = this.getLevelConfig(this.currentLevel);
         const bonusScore = this.calculateBonusScore(config);
         
-        renderer.drawTextCentered(`レベル${this.currentLevel}クリア`, centerX, centerY - 10, '#ffffff', '24px Courier New');
+        renderer.drawTextCentered(`${this.getLevelLabel()}クリア`, centerX, centerY - 10, '#ffffff', '24px Courier New');
         renderer.drawTextCentered(`ボーナス: ${bonusScore}点`, centerX, centerY + 20, '#ffff00', '20px Courier New');
         renderer.drawTextCentered(`精度: ${(this.levelStats.accuracy * 100).toFixed(1)}%`, centerX, centerY + 50, '#ffffff', '16px Courier New');
         
-        if (this.currentLevel < this.maxLevel) {
+        if (this.isEndlessMode()) {
+            renderer.drawTextCentered('次のウェーブが接近中...', centerX, centerY + 80, '#ffffff', '16px Courier New');
+        } else if (this.currentLevel < this.maxLevel) {
             renderer.drawTextCentered('次のレベルに進みます...', centerX, centerY + 80, '#ffffff', '16px Courier New');
         } else {
             renderer.drawTextCentered('ゲーム完全クリア！', centerX, centerY + 80, '#00ff00', '20px Courier New');
@@ -425,7 +470,7 @@ class LevelManager {
         
         // ゲームオーバーテキスト
         renderer.drawTextCentered('GAME OVER', centerX, centerY - 40, '#ff0000', '48px Courier New');
-        renderer.drawTextCentered(`レベル${this.currentLevel}で終了`, centerX, centerY + 10, '#ffffff', '20px Courier New');
+        renderer.drawTextCentered(`${this.getLevelLabel()}で終了`, centerX, centerY + 10, '#ffffff', '20px Courier New');
         renderer.drawTextCentered('リスタートします...', centerX, centerY + 40, '#ffffff', '16px Courier New');
     }
 }
\ No newline at end of file
@@ -0,0 +1,158 @@
+/**
+ * 残機管理クラス
+ * 残機数は GameStateManager の gameState.lives だけを正とし、
+ * 被弾時の爆発・復活待ち・新しい自機の配置・無敵時間・エクステンド（残機追加）をまとめて扱う
+ */
+class LifeManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+
+        // 残機の設定
+        this.startingLives = 3;
+        this.maxLives = 9;
+
+        // 被弾してから次の自機が出るまでの時間と、出た直後の無敵時間（ミリ秒）
+        this.respawnDelay = 1500;
+        this.invulnerabilityDuration = 2000;
+
+        // エクステンドするスコア（最後の値の後は extraLifeInterval ごと、0なら追加なし）
+        this.extraLifeScores = [10000, 30000];
+        this.extraLifeInterval = 50000;
+
+        // 復活待ちの状態
+        this.isRespawning = false;
+        this.respawnTimer = 0;
+
+        // 次のエクステンド
+        this.extraLifeIndex = 0;
+        this.nextExtraLifeScore = this.getExtraLifeScore(0);
+
+        // スコアが増えるたびにエクステンドを判定
+        gameEngine.events.on('scoreAwarded', event => this.checkExtraLife(event.score));
+
+        console.log('LifeManager初期化完了');
+    }
+
+    /**
+     * 新しいゲームのために状態をリセット
+     */
+    reset() {
+        this.isRespawning = false;
+        this.respawnTimer = 0;
+        this.extraLifeIndex = 0;
+        this.nextExtraLifeScore = this.getExtraLifeScore(0);
+    }
+
+    /**
+     * 続きから再開した時に、スコアまでのエクステンドを済んだものにする
+     * @param {number} score - 再開時のスコア
+     */
+    skipExtraLivesUpTo(score) {
+        while (score >= this.nextExtraLifeScore) {
+            this.extraLifeIndex++;
+            this.nextExtraLifeScore = this.getExtraLifeScore(this.extraLifeIndex);
+        }
+    }
+
+    /**
+     * エクステンドするスコアを設定
+     * @param {Array<number>} scores - エクステンドするスコア（昇順）
+     * @param {number} interval - 最後のスコアの後にエクステンドする間隔（0なら追加なし）
+     */
+    setExtraLifeScores(scores, interval = 0) {
+        this.extraLifeScores = [...scores].sort((a, b) => a - b);
+        this.extraLifeInterval = interval;
+        this.nextExtraLifeScore = this.getExtraLifeScore(this.extraLifeIndex);
+    }
+
+    /**
+     * n番目のエクステンドのスコアを取得
+     * @param {number} index - 何番目のエクステンドか（0から）
+     * @returns {number} スコア（これ以上エクステンドしない場合は Infinity）
+     */
+    getExtraLifeScore(index) {
+        const scores = this.extraLifeScores;
+        if (index < scores.length) {
+            return scores[index];
+        }
+        if (!(this.extraLifeInterval > 0)) {
+            return Infinity;
+        }
+        const lastScore = scores.length > 0 ? scores[scores.length - 1] : 0;
+        return lastScore + (index - scores.length + 1) * this.extraLifeInterval;
+    }
+
+    /**
+     * 更新処理（復活待ちの時間を進める）
+     * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+     */
+    update(deltaTime) {
+        if (!this.isRespawning) return;
+
+        this.respawnTimer -= deltaTime;
+        if (this.respawnTimer <= 0) {
+            this.respawn();
+        }
+    }
+
+    /**
+     * 自機が被弾した時の処理
+     * 残機を1つ減らして自機を爆発させ、残機が残っていれば復活を待つ
+     * @param {Player} player - 被弾した自機
+     */
+    onPlayerHit(player) {
+        if (!player.active || player.invulnerable || this.isRespawning) return;
+
+        const gameStateManager = this.gameEngine.gameStateManager;
+        gameStateManager.loseLife(1);
+        const lives = gameStateManager.getGameState().lives;
+        console.log(`自機が撃墜された。残機: ${lives}`);
+
+        this.gameEngine.damageSystem.createExplosionEffect(player.x, player.y);
+        this.gameEngine.particleSystem.emit('playerDeath', player.x, player.y);
+        this.gameEngine.events.emit('playerHit', { player: player, lives: lives });
+
+        player.destroy();
+
+        // 残機がなければ LevelManager がゲームオーバーにする
+        if (lives > 0) {
+            this.isRespawning = true;
+            this.respawnTimer = this.respawnDelay;
+        }
+    }
+
+    /**
+     * 新しい自機を配置（しばらく無敵）
+     */
+    respawn() {
+        this.isRespawning = false;
+        this.respawnTimer = 0;
+
+        const player = new Player(this.gameEngine.width / 2, this.gameEngine.height - 50);
+        player.initWeaponSystem();
+        player.setInvulnerable(this.invulnerabilityDuration);
+        this.gameEngine.addGameObject(player);
+
+        console.log('自機が復活');
+    }
+
+    /**
+     * エクステンドの判定
+     * @param {number} score - 現在のスコア
+     */
+    checkExtraLife(score) {
+        while (score >= this.nextExtraLifeScore) {
+            this.extraLifeIndex++;
+            this.nextExtraLifeScore = this.getExtraLifeScore(this.extraLifeIndex);
+
+            const gameStateManager = this.gameEngine.gameStateManager;
+            if (gameStateManager.getGameState().lives >= this.maxLives) continue;
+
+            gameStateManager.gainLife(1);
+            this.gameEngine.uiSystem.updateLives(gameStateManager.getGameState().lives, true);
+            this.gameEngine.uiSystem.showNotification('エクステンド！ 残機+1', 'success', 2000);
+            this.gameEngine.audioManager.playSound('pickup');
+            console.log(`エクステンド: スコア${score}`);
+        }
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * 通算統計クラス
+ * すべてのセッションをまたいでプレイ回数・敵タイプ別の撃破数・武器別の発射数・
+ * 最高命中率・最長プレイ・合計プレイ時間を集計する
+ * 1ゲーム分の数はゲーム中に数えておき、ゲームの終了（中断を含む）時に通算へ加える
+ */
+class LifetimeStats {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.storage = gameEngine.storage;
+        this.storageKey = 'invaderGame_lifetimeStats';
+        this.version = 1;
+
+        // 最高命中率を記録する最低発射数（数発だけのゲームで100%にならないように）
+        this.minShotsForAccuracy = 20;
+
+        this.stats = this.createEmptyStats();
+        this.loadStats();
+
+        // プレイ中のゲームの集計（ゲーム外・リプレイ再生中は null）
+        this.currentRun = null;
+
+        gameEngine.events.on('gameStarted', event => this.onGameStarted(event.continued));
+        gameEngine.events.on('gameEnded', event => this.onGameEnded(event.result));
+        gameEngine.events.on('enemyKilled', event => this.countKill(event.enemy.enemyType));
+        gameEngine.events.on('bulletFired', event => this.countShot(event.weaponType));
+
+        // UFOは編隊の敵ではないので、スコアの加算理由から数える
+        gameEngine.events.on('scoreAwarded', event => {
+            if (event.reason === 'ufo') {
+                this.countKill('ufo');
+            }
+        });
+
+        console.log('LifetimeStats初期化完了');
+    }
+
+    /**
+     * 空の通算統計を作成
+     * @returns {Object} {gamesPlayed, totalPlayTime, longestRun, bestAccuracy, enemiesKilled, shotsFired}
+     */
+    createEmptyStats() {
+        return {
+            gamesPlayed: 0,
+            totalPlayTime: 0, // ミリ秒
+            longestRun: 0, // 1ゲームの最長プレイ時間（ミリ秒）
+            bestAccuracy: 0, // 0〜1
+            enemiesKilled: {}, // 敵タイプ → 撃破数
+            shotsFired: {} // 武器タイプ → 発射数
+        };
+    }
+
+    /**
+     * ゲーム開始時の処理
+     * @param {boolean} continued - セーブデータから続きを始めたか（プレイ回数は増やさない）
+     */
+    onGameStarted(continued) {
+        const gameStateManager = this.gameEngine.gameStateManager;
+        if (gameStateManager.isReplaying()) return;
+
+        // 終了を通知せずに始め直した場合は、前のゲームを中断として集計する
+        if (this.currentRun) {
+            this.onGameEnded('quit');
+        }
+
+        if (!continued) {
+            this.stats.gamesPlayed++;
+            this.saveStats();
+        }
+
+        // 続きからの場合はセーブデータのプレイ時間から数え始める
+        this.currentRun = {
+            startPlayTime: gameStateManager.gameStats.totalPlayTime,
+            enemiesKilled: {},
+            shotsFired: {}
+        };
+    }
+
+    /**
+     * ゲーム終了時の処理（プレイ中のゲームを通算に加えて保存）
+     * @param {string} result - 'gameOver', 'victory', 'quit'
+     */
+    onGameEnded(result) {
+        if (!this.currentRun) return;
+
+        const run = this.currentRun;
+        const gameStats = this.gameEngine.gameStateManager.gameStats;
+        this.currentRun = null;
+
+        this.addCounts(this.stats.enemiesKilled, run.enemiesKilled);
+        this.addCounts(this.stats.shotsFired, run.shotsFired);
+        this.stats.totalPlayTime += Math.max(0, gameStats.totalPlayTime - run.startPlayTime);
+        this.stats.longestRun = Math.max(this.stats.longestRun, gameStats.totalPlayTime);
+
+        if (gameStats.totalBulletsShot >= this.minShotsForAccuracy) {
+            this.stats.bestAccuracy = Math.max(this.stats.bestAccuracy, gameStats.totalAccuracy);
+        }
+
+        this.saveStats();
+        console.log(`通算統計を更新 (${result}): ${this.stats.gamesPlayed}ゲーム`);
+    }
+
+    /**
+     * 敵の撃破を数える
+     * @param {string} enemyType - 敵タイプ（'ufo' を含む）
+     */
+    countKill(enemyType) {
+        if (!this.currentRun) return;
+        this.currentRun.enemiesKilled[enemyType] = (this.currentRun.enemiesKilled[enemyType] || 0) + 1;
+    }
+
+    /**
+     * 射撃を数える
+     * @param {string} weaponType - 武器タイプ
+     */
+    countShot(weaponType) {
+        if (!this.currentRun) return;
+        this.currentRun.shotsFired[weaponType] = (this.currentRun.shotsFired[weaponType] || 0) + 1;
+    }
+
+    /**
+     * タイプ別の数を加算
+     * @param {Object} target - 加算先
+     * @param {Object} counts - 加算する数
+     */
+    addCounts(target, counts) {
+        Object.keys(counts).forEach(key => {
+            target[key] = (target[key] || 0) + counts[key];
+        });
+    }
+
+    /**
+     * 通算統計を取得
+     * @returns {Object} 通算統計（totalKills, totalShots を含む）
+     */
+    getStats() {
+        const sum = counts => Object.values(counts).reduce((total, count) => total + count, 0);
+        return {
+            ...this.stats,
+            enemiesKilled: { ...this.stats.enemiesKilled },
+            shotsFired: { ...this.stats.shotsFired },
+            totalKills: sum(this.stats.enemiesKilled),
+            totalShots: sum(this.stats.shotsFired)
+        };
+    }
+
+    /**
+     * 通算統計を消去
+     */
+    clear() {
+        this.stats = this.createEmptyStats();
+        this.saveStats();
+    }
+
+    /**
+     * 通算統計を保存
+     */
+    saveStats() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({ version: this.version, ...this.stats }));
+        } catch (error) {
+            console.error('通算統計の保存に失敗:', error);
+        }
+    }
+
+    /**
+     * 通算統計を読み込み
+     * 不正な値は読み飛ばし、その項目は0から数え直す
+     */
+    loadStats() {
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            if (!saved) return;
+
+            const data = JSON.parse(saved);
+            if (data.version !== this.version) {
+                console.warn(`未対応の通算統計のバージョン: ${data.version}`);
+                return;
+            }
+
+            const isCount = value => Number.isFinite(value) && value >= 0;
+            ['gamesPlayed', 'totalPlayTime', 'longestRun'].forEach(key => {
+                if (isCount(data[key])) {
+                    this.stats[key] = data[key];
+                }
+            });
+            if (isCount(data.bestAccuracy)) {
+                this.stats.bestAccuracy = Math.min(1, data.bestAccuracy);
+            }
+            ['enemiesKilled', 'shotsFired'].forEach(key => {
+                if (!data[key] || typeof data[key] !== 'object') return;
+                Object.keys(data[key])
+                    .filter(type => isCount(data[key][type]))
+                    .forEach(type => {
+                        this.stats[key][type] = data[key][type];
+                    });
+            });
+        } catch (error) {
+            console.error('通算統計の読み込みに失敗:', error);
+        }
+    }
+}
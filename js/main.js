@@ -7,29 +7,42 @@ let gameEngine;
 let player;
 let enemyFormation;
 let enemyShootingSystem;
+let ufoSpawner;
 
 /**
  * ページ読み込み完了時の初期化
+ * ブラウザ以外（tools/headless.js）から読み込まれた場合は何もしない
  */
-document.addEventListener('DOMContentLoaded', function() {
-    try {
-        console.log('インベーダーゲーム初期化開始');
-        
-        // ゲームエンジンの初期化
-        gameEngine = new GameEngine('gameCanvas');
-        
-        // ゲーム初期化
-        initGame();
-        
-        // ゲームエンジン開始
-        gameEngine.start();
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        try {
+            console.log('インベーダーゲーム初期化開始');
+            
+            // ゲームエンジンの初期化
+            gameEngine = new GameEngine('gameCanvas');
+            
+            // ゲーム初期化
+            initGame();
+        } catch (error) {
+            console.error('ゲーム初期化エラー:', error);
+            alert('ゲームの初期化に失敗しました。コンソールを確認してください。');
+            return;
+        }
         
-        console.log('ゲーム初期化完了');
-    } catch (error) {
-        console.error('ゲーム初期化エラー:', error);
-        alert('ゲームの初期化に失敗しました。コンソールを確認してください。');
-    }
-});
+        // レベル定義を読み込んでからゲームエンジン開始
+        gameEngine.levelManager.loadLevels()
+            .then(() => {
+                gameEngine.start();
+                console.log('ゲーム初期化完了');
+            })
+            .catch(error => {
+                console.error('レベル定義の読み込みエラー:', error);
+                const hint = location.protocol === 'file:' ?
+                    '\n\nレベル定義はJSONファイルから読み込むため、ローカルサーバー経由で開いてください。' : '';
+                alert(`レベル定義の読み込みに失敗しました。\n\n${error.message}${hint}`);
+            });
+    });
+}
 
 /**
  * ゲームの初期化
@@ -38,10 +51,12 @@ function initGame() {
     // 敵システムの初期化
     enemyFormation = new EnemyFormation(gameEngine);
     enemyShootingSystem = new EnemyShootingSystem(gameEngine);
+    ufoSpawner = new UFOSpawner(gameEngine);
     
-    // グローバル変数として設定（GameEngineから参照するため）
-    window.enemyFormation = enemyFormation;
-    window.enemyShootingSystem = enemyShootingSystem;
+    // レベル開始時の編隊作成や手下の召喚で参照するためエンジンに登録
+    gameEngine.enemyFormation = enemyFormation;
+    gameEngine.enemyShootingSystem = enemyShootingSystem;
+    gameEngine.ufoSpawner = ufoSpawner;
     
     // ゲームシステム管理オブジェクト
     const gameSystemManager = {
@@ -50,6 +65,12 @@ function initGame() {
             if (gameEngine.sceneManager.isInGame()) {
                 enemyFormation.update(deltaTime);
                 enemyShootingSystem.update(deltaTime);
+                ufoSpawner.update(deltaTime);
+                
+                // 編隊が動いている間は行進音を鳴らす（テンポは編隊速度に連動）
+                if (enemyFormation.enemies.length > 0 && gameEngine.levelManager.levelState === 'playing') {
+                    gameEngine.audioManager.updateMarch(deltaTime, enemyFormation.moveSpeed);
+                }
             }
         },
         
@@ -59,16 +80,16 @@ function initGame() {
                 const renderer = gameEngine.renderer;
                 
                 // 現在のレベル表示
-                const currentLevel = gameEngine.levelManager ? gameEngine.levelManager.currentLevel : 1;
+                const levelLabel = gameEngine.levelManager ? gameEngine.levelManager.getLevelLabel() : 'レベル1';
                 renderer.drawTextCentered(
-                    `インベーダーゲーム - レベル${currentLevel}`, 
+                    `インベーダーゲーム - ${levelLabel}`, 
                     gameEngine.width / 2, 20, 
                     '#00ff00', '20px Courier New'
                 );
                 
                 // 操作説明（小さく表示）
                 renderer.drawText(
-                    '矢印キー: 移動, スペース: 射撃, P: 一時停止', 
+                    gameEngine.sceneManager.getControlInstructions().join(', '), 
                     10, gameEngine.height - 50, 
                     '#ffffff', '12px Courier New'
                 );
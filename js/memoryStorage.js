@@ -0,0 +1,42 @@
+/**
+ * メモリ上のストレージクラス
+ * localStorage と同じインターフェースで、ページを閉じると消える（ヘッドレスモード・テスト用）
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    /**
+     * 値を取得
+     * @param {string} key - キー
+     * @returns {string|null} 値（存在しない場合はnull）
+     */
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    /**
+     * 値を保存（localStorage と同じく文字列に変換する）
+     * @param {string} key - キー
+     * @param {*} value - 値
+     */
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    /**
+     * 値を削除
+     * @param {string} key - キー
+     */
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    /**
+     * すべての値を削除
+     */
+    clear() {
+        this.items.clear();
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * パーティクルシステム
+ * 敵・自機の撃墜や武器アイテムの取得・消失の演出用パーティクルを管理する
+ * パーティクルは起動時に上限数まで作成して使い回し、上限を超える分は発生させない（激しい戦闘でも重くならないように）
+ * 見た目だけの演出なので、ゲーム展開を決める乱数（gameEngine.random）は使わない
+ */
+class ParticleSystem {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+
+        // 同時に存在できるパーティクルの上限
+        this.maxParticles = 400;
+
+        // エミッター定義
+        // count: 発生数, speed/lifetime/size: [最小, 最大]（ピクセル/秒・ミリ秒・ピクセル）
+        // gravity: 下向きの加速度（ピクセル/秒²）, drag: 1秒あたりの速度の残り率, fade: 寿命に応じて透明にするか
+        // colors: 色の候補（発生時の color 指定で上書き）
+        this.emitters = {
+            enemyDeath: {
+                count: 16, speed: [60, 180], lifetime: [300, 600], size: [2, 4],
+                gravity: 120, drag: 0.3, fade: true, colors: ['#ff0000']
+            },
+            playerDeath: {
+                count: 40, speed: [40, 240], lifetime: [500, 1100], size: [2, 5],
+                gravity: 60, drag: 0.4, fade: true, colors: ['#00ff00', '#ffff00', '#ffffff']
+            },
+            pickupCollect: {
+                count: 12, speed: [80, 140], lifetime: [250, 400], size: [2, 3],
+                gravity: 0, drag: 0.1, fade: true, colors: ['#ff00ff']
+            },
+            pickupExpire: {
+                count: 8, speed: [10, 40], lifetime: [400, 700], size: [1, 3],
+                gravity: -40, drag: 0.5, fade: true, colors: ['#888888']
+            }
+        };
+
+        // パーティクルのプール（active が false のものを再利用）
+        this.pool = [];
+        for (let i = 0; i < this.maxParticles; i++) {
+            this.pool.push({
+                active: false,
+                x: 0, y: 0, vx: 0, vy: 0,
+                age: 0, lifetime: 0, size: 0,
+                gravity: 0, drag: 1, fade: false, color: '#ffffff'
+            });
+        }
+        this.activeCount = 0;
+        this.nextIndex = 0; // 空きを探し始める位置
+
+        console.log('ParticleSystem初期化完了');
+    }
+
+    /**
+     * エミッターからパーティクルを発生させる
+     * @param {string} emitterName - エミッター名（emitters のキー）
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {Object} options - {color, count} 定義の色・発生数を上書き
+     * @returns {number} 発生させた数（上限に達した分は発生しない）
+     */
+    emit(emitterName, x, y, options = {}) {
+        const emitter = this.emitters[emitterName];
+        if (!emitter) {
+            console.warn(`不明なパーティクルエミッター: ${emitterName}`);
+            return 0;
+        }
+
+        // ヘッドレスモードでは描画しないので発生させない
+        if (this.gameEngine.headless) return 0;
+
+        const colors = options.color ? [options.color] : emitter.colors;
+        const count = Math.min(options.count || emitter.count, this.maxParticles - this.activeCount);
+
+        for (let i = 0; i < count; i++) {
+            const particle = this.acquire();
+            const angle = Math.random() * Math.PI * 2;
+            const speed = this.randomRange(emitter.speed);
+
+            particle.x = x;
+            particle.y = y;
+            particle.vx = Math.cos(angle) * speed;
+            particle.vy = Math.sin(angle) * speed;
+            particle.age = 0;
+            particle.lifetime = this.randomRange(emitter.lifetime);
+            particle.size = this.randomRange(emitter.size);
+            particle.gravity = emitter.gravity;
+            particle.drag = emitter.drag;
+            particle.fade = emitter.fade;
+            particle.color = colors[Math.floor(Math.random() * colors.length)];
+        }
+
+        return count;
+    }
+
+    /**
+     * 空いているパーティクルを取り出す（呼ぶ前に空きがあることを確認しておく）
+     * @returns {Object} パーティクル
+     */
+    acquire() {
+        while (this.pool[this.nextIndex].active) {
+            this.nextIndex = (this.nextIndex + 1) % this.maxParticles;
+        }
+
+        const particle = this.pool[this.nextIndex];
+        particle.active = true;
+        this.activeCount++;
+        this.nextIndex = (this.nextIndex + 1) % this.maxParticles;
+        return particle;
+    }
+
+    /**
+     * 範囲内の乱数
+     * @param {Array<number>} range - [最小, 最大]
+     * @returns {number}
+     */
+    randomRange(range) {
+        return range[0] + Math.random() * (range[1] - range[0]);
+    }
+
+    /**
+     * 更新処理
+     * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+     */
+    update(deltaTime) {
+        if (this.activeCount === 0) return;
+
+        const dt = deltaTime / 1000;
+        this.pool.forEach(particle => {
+            if (!particle.active) return;
+
+            particle.age += deltaTime;
+            if (particle.age >= particle.lifetime) {
+                particle.active = false;
+                this.activeCount--;
+                return;
+            }
+
+            const dragFactor = Math.pow(particle.drag, dt);
+            particle.vx *= dragFactor;
+            particle.vy = particle.vy * dragFactor + particle.gravity * dt;
+            particle.x += particle.vx * dt;
+            particle.y += particle.vy * dt;
+        });
+    }
+
+    /**
+     * 描画処理
+     * @param {Renderer} renderer - レンダラー
+     */
+    render(renderer) {
+        if (this.activeCount === 0) return;
+
+        this.pool.forEach(particle => {
+            if (!particle.active) return;
+
+            const alpha = particle.fade ? 1 - particle.age / particle.lifetime : 1;
+            renderer.drawParticle(particle.x, particle.y, particle.size, particle.color, alpha);
+        });
+    }
+
+    /**
+     * すべてのパーティクルを消す
+     */
+    clear() {
+        this.pool.forEach(particle => {
+            particle.active = false;
+        });
+        this.activeCount = 0;
+        this.nextIndex = 0;
+    }
+
+    /**
+     * 表示中のパーティクル数を取得
+     * @returns {number}
+     */
+    getActiveCount() {
+        return this.activeCount;
+    }
+}
@@ -17,14 +17,9 @@ class Player extends GameObject {
         this.shootCooldown = 0;
         this.shootCooldownTime = 200; // ミリ秒
         
-        // ライフ
-        this.maxHealth = 3;
-        this.health = this.maxHealth;
-        
-        // 無敵時間（ダメージ後の一時的な無敵）
+        // 無敵時間（復活直後の一時的な無敵、残機は LifeManager で管理）
         this.invulnerable = false;
         this.invulnerabilityTime = 0;
-        this.invulnerabilityDuration = 2000; // 2秒
         
         // 武器システム
         this.weaponManager = null; // 後で初期化
@@ -99,6 +94,13 @@ class Player extends GameObject {
             this.gameEngine.addGameObject(bullet);
         });
         
+        // 射撃音・発射数の統計（UFOのスコア決定にも使用）はイベントの購読側で処理
+        this.gameEngine.events.emit('bulletFired', {
+            player: this,
+            bullets: bullets,
+            weaponType: this.weaponManager.currentWeapon.weaponType
+        });
+        
         // 射撃クールダウン開始（武器の発射レートを使用）
         this.canShoot = false;
         this.shootCooldown = this.weaponManager.getFireRate();
@@ -108,43 +110,24 @@ class Player extends GameObject {
     
     /**
      * ダメージを受ける
-     * @param {number} damage - ダメージ量
+     * 被弾1回で残機が1つ減る（爆発・復活は LifeManager が行う）
+     * @param {number} damage - ダメージ量（残機の減り方には影響しない）
      */
     takeDamage(damage = 1) {
         if (this.invulnerable || !this.active) return;
         
-        this.health -= damage;
-        console.log(`プレイヤーがダメージを受けた。残りライフ: ${this.health}`);
-        
-        // ゲーム状態管理システムに通知
-        if (this.gameEngine && this.gameEngine.gameStateManager) {
-            this.gameEngine.gameStateManager.loseLife(damage);
-            
-            // UISystemに通知
-            if (this.gameEngine.uiSystem) {
-                this.gameEngine.uiSystem.updateLives(this.health, true);
-            }
-        }
-        
-        if (this.health <= 0) {
-            this.onDeath();
-        } else {
-            // 無敵時間開始
-            this.invulnerable = true;
-            this.invulnerabilityTime = this.invulnerabilityDuration;
+        if (this.gameEngine && this.gameEngine.lifeManager) {
+            this.gameEngine.lifeManager.onPlayerHit(this);
         }
-        
-        // UIの更新
-        this.updateUI();
     }
     
     /**
-     * 死亡時の処理
+     * 無敵時間を設定
+     * @param {number} duration - 無敵時間（ミリ秒）
      */
-    onDeath() {
-        console.log('プレイヤーが死亡');
-        this.active = false;
-        // ゲームオーバー処理は後で実装
+    setInvulnerable(duration) {
+        this.invulnerable = duration > 0;
+        this.invulnerabilityTime = duration;
     }
     
     /**
@@ -159,17 +142,26 @@ class Player extends GameObject {
     }
     
     /**
-     * UIの更新
+     * 武器アイテムを取得
+     * 衝突判定の順序によってプレイヤー側・アイテム側のどちらからも呼ばれるが、取得は1回だけ
+     * @param {WeaponPickup} pickup - 武器アイテム
      */
-    updateUI() {
-        // DOM要素の更新
-        const livesElement = document.getElementById('lives');
+    collectPickup(pickup) {
+        if (!pickup.active) return;
         
-        if (livesElement) {
-            livesElement.textContent = `ライフ: ${this.health}`;
+        if (this.weaponManager) {
+            this.upgradeWeapon(); // 武器タイプは自動進化
+        }
+        pickup.destroy();
+        
+        if (this.gameEngine) {
+            this.gameEngine.particleSystem.emit('pickupCollect', pickup.x, pickup.y, { color: pickup.color });
+            this.gameEngine.events.emit('pickupCollected', {
+                player: this,
+                pickup: pickup,
+                weaponType: this.weaponManager ? this.weaponManager.currentWeapon.weaponType : pickup.weaponType
+            });
         }
-        
-        // 武器UIは WeaponManager で管理
     }
     
     /**
@@ -232,21 +224,14 @@ class Player extends GameObject {
     onCollision(other) {
         // 武器アイテムとの衝突（最優先で処理）
         if (other instanceof WeaponPickup && other.active) {
-            if (this.weaponManager) {
-                this.upgradeWeapon(); // 武器タイプは自動進化
-            }
-            other.destroy();
+            this.collectPickup(other);
             return; // 他の処理をスキップ
         }
         
-        // 敵の弾丸との衝突
-        if (other instanceof Bullet && !other.isPlayerBullet) {
-            this.takeDamage(1);
-            other.destroy();
-        }
+        // 敵の弾丸との衝突は、ダメージ・弾の削除とも Bullet 側で処理
         // 敵との直接衝突
-        else if (other instanceof Enemy) {
-            this.takeDamage(1);
+        if (other instanceof Enemy) {
+            other.dealDamage(this, 1, 'normal');
         }
     }
     
@@ -261,7 +246,6 @@ class Player extends GameObject {
      * リセット（新しいゲーム開始時）
      */
     reset() {
-        this.health = this.maxHealth;
         this.invulnerable = false;
         this.invulnerabilityTime = 0;
         this.active = true;
@@ -277,8 +261,8 @@ class Player extends GameObject {
         // 初期位置に戻す
         this.setPosition(this.gameEngine.width / 2, this.gameEngine.height - 50);
         this.setVelocity(0, 0);
+        this.savePreviousPosition(); // 元の位置から補間して描画しない
         
-        this.updateUI();
         console.log('プレイヤーリセット完了');
     }
 }
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * シード付き乱数生成クラス
+ * 同じシードからは同じ乱数列を生成するため、プレイを正確に再現できる（mulberry32）
+ */
+class SeededRandom {
+    /**
+     * @param {number} seed - シード（省略時はランダム）
+     */
+    constructor(seed = SeededRandom.createSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * ランダムなシードを作成
+     * @returns {number} 32ビット符号なし整数のシード
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * 文字列からシードを作成（FNV-1a ハッシュ）
+     * @param {string} text - 文字列
+     * @returns {number} シード
+     */
+    static seedFromString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * デイリーチャレンジのシードを取得
+     * 世界中で同じ日に同じシードになるよう UTC の日付を使う
+     * @param {Date} date - 日付
+     * @returns {number} シード
+     */
+    static getDailySeed(date = new Date()) {
+        return SeededRandom.seedFromString(`daily-${SeededRandom.getDateKey(date)}`);
+    }
+
+    /**
+     * 日付キー（YYYY-MM-DD, UTC）を取得
+     * @param {Date} date - 日付
+     * @returns {string} 日付キー
+     */
+    static getDateKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * シードを設定して乱数列を最初から始める
+     * @param {number} seed - シード
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * 現在のシードを取得
+     * @returns {number} シード
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * 0以上1未満の乱数（Math.random() の代わり）
+     * @returns {number} 乱数
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * 範囲内の乱数
+     * @param {number} min - 最小値
+     * @param {number} max - 最大値（含まない）
+     * @returns {number} 乱数
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * 指定確率で true を返す
+     * @param {number} probability - 確率（0〜1）
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * 配列からランダムに1つ選ぶ
+     * @param {Array} items - 配列
+     * @returns {*} 選ばれた要素
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+}
@@ -198,6 +198,62 @@ class Renderer {
         this.drawRect(x + halfSize - 6, y - halfSize + 3, 3, 3, '#fff');
     }
     
+    /**
+     * ボスの描画
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {number} width - 幅
+     * @param {number} height - 高さ
+     * @param {string} color - 色
+     * @param {number} frame - アニメーションフレーム
+     */
+    drawBoss(x, y, width = 64, height = 40, color = '#ff00ff', frame = 0) {
+        const halfWidth = width / 2;
+        const halfHeight = height / 2;
+        
+        // 胴体
+        this.drawRect(x - halfWidth, y - halfHeight / 2, width, halfHeight, color);
+        this.drawRect(x - halfWidth / 2, y - halfHeight, halfWidth, height, color);
+        
+        // 脚（アニメーションフレームで開閉）
+        const legOffset = frame === 0 ? 0 : 4;
+        this.drawRect(x - halfWidth + legOffset, y + halfHeight / 2, 6, halfHeight / 2, color);
+        this.drawRect(x + halfWidth - 6 - legOffset, y + halfHeight / 2, 6, halfHeight / 2, color);
+        
+        // 目
+        this.drawRect(x - halfWidth / 4 - 4, y - halfHeight / 2, 6, 6, '#fff');
+        this.drawRect(x + halfWidth / 4 - 2, y - halfHeight / 2, 6, 6, '#fff');
+    }
+    
+    /**
+     * UFO（ミステリーシップ）の描画
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {number} width - 幅
+     * @param {number} height - 高さ
+     * @param {string} color - 色
+     */
+    drawUFO(x, y, width = 32, height = 14, color = '#ff3333') {
+        const halfWidth = width / 2;
+        const halfHeight = height / 2;
+        
+        // 円盤部分
+        this.ctx.fillStyle = color;
+        this.ctx.beginPath();
+        this.ctx.ellipse(x, y + halfHeight / 2, halfWidth, halfHeight / 2, 0, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        // ドーム部分
+        this.ctx.beginPath();
+        this.ctx.ellipse(x, y, halfWidth / 2, halfHeight, 0, Math.PI, Math.PI * 2);
+        this.ctx.fill();
+        
+        // 窓
+        for (let i = -1; i <= 1; i++) {
+            this.drawRect(x + i * halfWidth / 2 - 1.5, y + halfHeight / 2 - 1.5, 3, 3, '#fff');
+        }
+    }
+    
     /**
      * 弾丸の描画
      * @param {number} x - X座標
@@ -251,4 +307,19 @@ class Renderer {
             this.drawCircle(px, py, 3, color);
         }
     }
+    
+    /**
+     * パーティクルの描画（小さな正方形）
+     * @param {number} x - 中心X座標
+     * @param {number} y - 中心Y座標
+     * @param {number} size - 一辺の長さ
+     * @param {string} color - 色
+     * @param {number} alpha - 不透明度（0〜1）
+     */
+    drawParticle(x, y, size, color, alpha = 1) {
+        this.ctx.globalAlpha = Math.max(0, Math.min(1, alpha));
+        this.ctx.fillStyle = color;
+        this.ctx.fillRect(x - size / 2, y - size / 2, size, size);
+        this.ctx.globalAlpha = 1;
+    }
 }
\ No newline at end of file
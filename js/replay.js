@@ -0,0 +1,259 @@
+/**
+ * リプレイデータクラス
+ * シード・モード・開始レベルと、フレームごとの経過時間・論理操作を保持する
+ * 同じシードで同じ入力を同じ順に与えると、同じ展開を再現できる
+ */
+class Replay {
+    /**
+     * @param {Object} options - {seed, mode, level, score, finalLevel, recordedAt}
+     */
+    constructor(options = {}) {
+        this.formatName = 'invader-replay';
+        this.version = 1;
+
+        this.seed = options.seed >>> 0;
+        this.mode = options.mode || 'campaign';
+        this.level = options.level || 1;
+        this.recordedAt = options.recordedAt || new Date().toISOString();
+
+        // 記録終了時の結果（再生結果との照合・表示用）
+        this.score = options.score || 0;
+        this.finalLevel = options.finalLevel || this.level;
+
+        // フレームごとの経過時間（ミリ秒）と入力（InputManager の論理操作のビット列）
+        this.deltas = [];
+        this.inputs = [];
+    }
+
+    /**
+     * フレームを追加
+     * @param {number} deltaTime - 経過時間（ミリ秒）
+     * @param {number} inputBits - 論理操作のビット列
+     */
+    addFrame(deltaTime, inputBits) {
+        this.deltas.push(deltaTime);
+        this.inputs.push(inputBits);
+    }
+
+    /**
+     * フレームを取得
+     * @param {number} index - フレーム番号（0から）
+     * @returns {Object} {deltaTime, inputBits}
+     */
+    getFrame(index) {
+        return { deltaTime: this.deltas[index], inputBits: this.inputs[index] };
+    }
+
+    /**
+     * フレーム数を取得
+     * @returns {number} フレーム数
+     */
+    getFrameCount() {
+        return this.inputs.length;
+    }
+
+    /**
+     * 記録したプレイ時間を取得
+     * @returns {number} プレイ時間（ミリ秒）
+     */
+    getDuration() {
+        return this.deltas.reduce((total, deltaTime) => total + deltaTime, 0);
+    }
+
+    /**
+     * 記録終了時の結果を設定
+     * @param {number} score - スコア
+     * @param {number} finalLevel - 到達レベル
+     */
+    setResult(score, finalLevel) {
+        this.score = score;
+        this.finalLevel = finalLevel;
+    }
+
+    /**
+     * 保存用のオブジェクトに変換
+     * 入力は変化が少なく経過時間も同じ値が続きやすいため、[値, 回数, 値, 回数, ...] の連長圧縮で保持する
+     * @returns {Object} 保存用データ
+     */
+    toJSON() {
+        return {
+            format: this.formatName,
+            version: this.version,
+            seed: this.seed,
+            mode: this.mode,
+            level: this.level,
+            score: this.score,
+            finalLevel: this.finalLevel,
+            recordedAt: this.recordedAt,
+            frameCount: this.getFrameCount(),
+            deltas: Replay.encodeRuns(this.deltas),
+            inputs: Replay.encodeRuns(this.inputs)
+        };
+    }
+
+    /**
+     * JSON文字列に変換
+     * @returns {string} JSON文字列
+     */
+    serialize() {
+        return JSON.stringify(this.toJSON());
+    }
+
+    /**
+     * ダウンロード用のファイル名を取得
+     * @returns {string} ファイル名
+     */
+    getFileName() {
+        return `invader-replay-${this.recordedAt.slice(0, 10)}-${this.seed}.json`;
+    }
+
+    /**
+     * リプレイファイルとしてダウンロード
+     */
+    download() {
+        const blob = new Blob([this.serialize()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.getFileName();
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        URL.revokeObjectURL(url);
+        console.log(`リプレイを保存: ${link.download} (${this.getFrameCount()}フレーム)`);
+    }
+
+    /**
+     * 読み込めるリプレイの最大フレーム数（60fpsで24時間）
+     * @returns {number}
+     */
+    static get maxFrameCount() {
+        return 60 * 60 * 60 * 24;
+    }
+
+    /**
+     * 保存用データからリプレイを復元（形式が不正な場合は Error を投げる）
+     * @param {Object} data - 保存用データ
+     * @returns {Replay} リプレイ
+     */
+    static fromJSON(data) {
+        if (!data || data.format !== 'invader-replay') {
+            throw new Error('リプレイファイルではありません');
+        }
+        if (data.version !== 1) {
+            throw new Error(`対応していないリプレイのバージョンです: ${data.version}`);
+        }
+        if (!Number.isInteger(data.seed) || !['campaign', 'endless'].includes(data.mode)) {
+            throw new Error('リプレイのシードまたはモードが不正です');
+        }
+
+        if (!Number.isInteger(data.frameCount) || data.frameCount < 0 || data.frameCount > Replay.maxFrameCount) {
+            throw new Error('リプレイのフレーム数が不正です');
+        }
+
+        // 経過時間は正の有限値、入力は論理操作のビット列（0以上の整数）
+        const replay = new Replay(data);
+        replay.deltas = Replay.decodeRuns(data.deltas, data.frameCount,
+            value => Number.isFinite(value) && value > 0);
+        replay.inputs = Replay.decodeRuns(data.inputs, data.frameCount,
+            value => Number.isInteger(value) && value >= 0);
+
+        return replay;
+    }
+
+    /**
+     * JSON文字列からリプレイを復元
+     * @param {string} text - JSON文字列
+     * @returns {Replay} リプレイ
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`リプレイのJSON形式が不正です: ${error.message}`);
+        }
+        return Replay.fromJSON(data);
+    }
+
+    /**
+     * ファイル選択ダイアログからリプレイを読み込む
+     * @returns {Promise<Replay|null>} リプレイ（選択されなかった場合はnull）
+     */
+    static openFile() {
+        return new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+
+            input.addEventListener('change', () => {
+                const file = input.files && input.files[0];
+                if (!file) {
+                    resolve(null);
+                    return;
+                }
+
+                file.text()
+                    .then(text => resolve(Replay.parse(text)))
+                    .catch(reject);
+            });
+
+            input.click();
+        });
+    }
+
+    /**
+     * 連長圧縮
+     * @param {Array<number>} values - 値の配列
+     * @returns {Array<number>} [値, 回数, 値, 回数, ...]
+     */
+    static encodeRuns(values) {
+        const runs = [];
+        values.forEach(value => {
+            const last = runs.length - 2;
+            if (last >= 0 && runs[last] === value) {
+                runs[last + 1]++;
+            } else {
+                runs.push(value, 1);
+            }
+        });
+        return runs;
+    }
+
+    /**
+     * 連長圧縮を展開
+     * 壊れたファイルや細工したファイルで巨大な配列を作らないよう、展開する前に回数の合計を確かめる
+     * @param {Array<number>} runs - [値, 回数, 値, 回数, ...]
+     * @param {number} frameCount - 展開後の要素数（保存されたフレーム数）
+     * @param {Function} isValidValue - 値が正しいかどうかを判定する関数
+     * @returns {Array<number>} 値の配列
+     */
+    static decodeRuns(runs, frameCount, isValidValue) {
+        if (!Array.isArray(runs) || runs.length % 2 !== 0) {
+            throw new Error('リプレイのフレームデータが不正です');
+        }
+
+        let total = 0;
+        for (let i = 0; i < runs.length; i += 2) {
+            const value = runs[i];
+            const count = runs[i + 1];
+            if (typeof value !== 'number' || !isValidValue(value) || !Number.isInteger(count) || count < 1) {
+                throw new Error('リプレイのフレームデータが不正です');
+            }
+            total += count;
+        }
+        if (total !== frameCount) {
+            throw new Error('リプレイのフレーム数が一致しません');
+        }
+
+        const values = [];
+        for (let i = 0; i < runs.length; i += 2) {
+            for (let j = 0; j < runs[i + 1]; j++) {
+                values.push(runs[i]);
+            }
+        }
+        return values;
+    }
+}
@@ -1,6 +1,6 @@
 /**
  * シーン管理クラス
- * スタート画面、ゲーム画面、ゲームオーバー画面の管理を行う
+ * スタート画面、ゲーム画面、ゲームオーバー画面、キー設定画面、リプレイ画面、ネーム入力画面、ランキング画面、統計画面、実績画面の管理を行う
  */
 class SceneManager {
     constructor(gameEngine) {
@@ -13,13 +13,62 @@ class SceneManager {
             PAUSE: 'pause',
             LEVEL_CLEAR: 'levelClear',
             GAME_OVER: 'gameOver',
-            VICTORY: 'victory'
+            VICTORY: 'victory',
+            SETTINGS: 'settings',
+            REPLAY: 'replay',
+            NAME_ENTRY: 'nameEntry',
+            LEADERBOARD: 'leaderboard',
+            STATS: 'stats',
+            ACHIEVEMENTS: 'achievements'
         };
         
         // 現在のシーン
         this.currentScene = this.scenes.START;
         this.previousScene = null;
         
+        // スタート画面で選択中のメニュー項目
+        this.selectedMenuIndex = 0;
+        
+        // 続きから遊べるセーブデータ（スタート画面に戻るたびに読み直す）
+        this.savedGame = null;
+        this.isContinuing = false; // 次のゲーム開始をセーブデータから行うか
+        
+        // キー設定画面の状態
+        this.settingsState = {
+            selectedRow: 0,
+            selectedSlot: 0,
+            isWaitingForKey: false,
+            message: '',
+            messageColor: '#ffffff'
+        };
+        
+        // リプレイ再生の状態
+        this.replayState = {
+            replay: null,
+            frameIndex: 0,
+            isPaused: false,
+            speedIndex: 0,
+            stepRequested: false,
+            isFinished: false
+        };
+        this.replaySpeeds = [1, 2, 4]; // 1回の更新で進めるフレーム数
+        
+        // ネーム入力の状態（letters は Leaderboard.nameCharacters の位置）
+        this.nameEntryState = {
+            letters: [0, 0, 0],
+            cursor: 0,
+            rank: 0,
+            resultScene: null
+        };
+        this.lastEnteredName = null; // 次のネーム入力の初期値
+        this.resultRank = 0; // ゲームオーバー・勝利画面に表示する登録順位
+        
+        // ランキング画面の状態（highlight は直前に登録したエントリ {mode, rank}）
+        this.leaderboardState = {
+            mode: 'campaign',
+            highlight: null
+        };
+        
         // シーン遷移
         this.isTransitioning = false;
         this.transitionDuration = 500; // ミリ秒
@@ -31,12 +80,31 @@ class SceneManager {
             start: {
                 title: 'インベーダーゲーム',
                 subtitle: 'Press ENTER to Start',
-                instructions: [
-                    '矢印キー: 移動',
-                    'スペース: 射撃',
-                    'P: 一時停止'
+                menuItems: [
+                    { id: 'continue', label: 'つづきから' },
+                    { id: 'campaign', label: 'ノーマルモード' },
+                    { id: 'endless', label: 'エンドレスモード' },
+                    { id: 'daily', label: 'デイリーチャレンジ' },
+                    { id: 'replay', label: 'リプレイ読み込み' },
+                    { id: 'leaderboard', label: 'ランキング' },
+                    { id: 'stats', label: '統計' },
+                    { id: 'achievements', label: '実績' },
+                    { id: 'settings', label: 'キー設定' }
                 ]
             },
+            settings: {
+                title: 'キー設定',
+                // type: 'volume' の行は ←→ で音量（AudioManager の設定キー = id）を変える
+                extraRows: [
+                    { id: 'masterVolume', label: 'マスター音量', type: 'volume' },
+                    { id: 'musicVolume', label: 'BGM音量', type: 'volume' },
+                    { id: 'sfxVolume', label: '効果音音量', type: 'volume' },
+                    { id: 'shake', label: '画面の揺れ' },
+                    { id: 'reset', label: 'デフォルトに戻す' },
+                    { id: 'back', label: '戻る' }
+                ],
+                volumeStep: 0.1
+            },
             gameOver: {
                 title: 'GAME OVER',
                 subtitle: 'Press ENTER to Restart',
@@ -51,9 +119,26 @@ class SceneManager {
                 title: 'LEVEL CLEAR',
                 subtitle: 'Get Ready for Next Level',
                 showProgress: true
+            },
+            nameEntry: {
+                title: 'NEW RECORD!'
+            },
+            leaderboard: {
+                title: 'ランキング',
+                modeLabels: { campaign: 'ノーマル', endless: 'エンドレス' }
+            },
+            stats: {
+                title: '通算統計',
+                enemyLabels: { basic: 'ノーマル', fast: '高速', strong: '装甲', shooter: '射撃', boss: 'ボス', ufo: 'UFO' },
+                weaponLabels: { basic: 'Basic', rapid: 'Rapid', spread: 'Spread', laser: 'Laser' }
+            },
+            achievements: {
+                title: '実績'
             }
         };
         
+        this.refreshSavedGame();
+        
         console.log('SceneManager初期化完了');
     }
     
@@ -110,6 +195,9 @@ class SceneManager {
             case this.scenes.VICTORY:
                 this.updateVictoryScene(deltaTime);
                 break;
+            case this.scenes.REPLAY:
+                this.updateReplayScene(deltaTime);
+                break;
         }
     }
     
@@ -161,6 +249,33 @@ class SceneManager {
         // 勝利演出
     }
     
+    /**
+     * リプレイシーンの更新
+     * 記録したフレームを入力と経過時間ごとに再生する（一時停止中はコマ送りのみ）
+     * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+     */
+    updateReplayScene(deltaTime) {
+        const state = this.replayState;
+        if (!state.replay || state.isFinished) return;
+        
+        const steps = state.isPaused ? (state.stepRequested ? 1 : 0) : this.replaySpeeds[state.speedIndex];
+        state.stepRequested = false;
+        
+        const input = this.gameEngine.inputManager;
+        const frameCount = state.replay.getFrameCount();
+        for (let i = 0; i < steps && state.frameIndex < frameCount; i++) {
+            const frame = state.replay.getFrame(state.frameIndex);
+            input.setReplayFrame(frame.inputBits);
+            this.gameEngine.stepReplayFrame(frame.deltaTime);
+            state.frameIndex++;
+        }
+        
+        if (state.frameIndex >= frameCount) {
+            state.isFinished = true;
+            console.log(`リプレイ再生終了: スコア ${this.getReplayScore()} (記録: ${state.replay.score})`);
+        }
+    }
+    
     /**
      * シーン入力処理
      */
@@ -171,11 +286,20 @@ class SceneManager {
         
         switch (this.currentScene) {
             case this.scenes.START:
+                if (input.isUpPressed() || input.isDownPressed()) {
+                    const itemCount = this.getStartMenuItems().length;
+                    const step = input.isUpPressed() ? -1 : 1;
+                    this.selectedMenuIndex = (this.selectedMenuIndex + step + itemCount) % itemCount;
+                }
                 if (input.isEnterPressed()) {
-                    this.startGame();
+                    this.selectMenuItem(this.getStartMenuItems()[this.selectedMenuIndex].id);
                 }
                 break;
                 
+            case this.scenes.SETTINGS:
+                this.handleSettingsInput(input);
+                break;
+                
             case this.scenes.GAME:
                 if (input.isPausePressed()) {
                     this.pauseGame();
@@ -198,9 +322,30 @@ class SceneManager {
                 if (input.isEscapePressed()) {
                     this.goToStartScreen();
                 }
+                this.handleRecordingInput(input);
                 break;
                 
             case this.scenes.VICTORY:
+                if (input.isEnterPressed() || input.isEscapePressed()) {
+                    this.goToStartScreen();
+                }
+                this.handleRecordingInput(input);
+                break;
+                
+            case this.scenes.REPLAY:
+                this.handleReplayInput(input);
+                break;
+                
+            case this.scenes.NAME_ENTRY:
+                this.handleNameEntryInput(input);
+                break;
+                
+            case this.scenes.LEADERBOARD:
+                this.handleLeaderboardInput(input);
+                break;
+                
+            case this.scenes.STATS:
+            case this.scenes.ACHIEVEMENTS:
                 if (input.isEnterPressed() || input.isEscapePressed()) {
                     this.goToStartScreen();
                 }
@@ -208,6 +353,293 @@ class SceneManager {
         }
     }
     
+    /**
+     * 直前のプレイの記録に対する入力処理（R: 再生, S: 保存）
+     * @param {InputManager} input - 入力管理
+     */
+    handleRecordingInput(input) {
+        const replay = input.getLastRecording();
+        if (!replay) return;
+        
+        if (input.isActionKeyPressed('replayPlay')) {
+            this.startReplay(replay);
+        }
+        if (input.isActionKeyPressed('replaySave')) {
+            replay.download();
+            this.gameEngine.uiSystem.showNotification('リプレイを保存しました', 'success', 2000);
+        }
+    }
+    
+    /**
+     * リプレイ再生中の入力処理
+     * 一時停止: 一時停止キー, 早送り: F, コマ送り: N, 終了: ESC
+     * @param {InputManager} input - 入力管理
+     */
+    handleReplayInput(input) {
+        const state = this.replayState;
+        
+        if (input.isEscapePressed()) {
+            this.goToStartScreen();
+            return;
+        }
+        
+        // 再生終了後は ENTER で最初から
+        if (state.isFinished) {
+            if (input.isEnterPressed()) {
+                this.initializeReplayScene();
+            }
+            return;
+        }
+        
+        if (input.isPausePressed()) {
+            state.isPaused = !state.isPaused;
+        }
+        if (input.isActionKeyPressed('replayFastForward')) {
+            state.speedIndex = (state.speedIndex + 1) % this.replaySpeeds.length;
+        }
+        if (input.isActionKeyPressed('replayStep')) {
+            state.isPaused = true;
+            state.stepRequested = true;
+        }
+    }
+    
+    /**
+     * ネーム入力の入力処理
+     * ↑↓: 文字の変更, ←→: 桁の移動, ENTER: 次の桁へ（最後の桁で登録）, ESC: 登録しない
+     * @param {InputManager} input - 入力管理
+     */
+    handleNameEntryInput(input) {
+        if (this.isTransitioning) return;
+        
+        const state = this.nameEntryState;
+        const characters = this.gameEngine.gameStateManager.leaderboard.nameCharacters;
+        
+        if (input.isUpPressed() || input.isDownPressed()) {
+            const step = input.isUpPressed() ? 1 : -1;
+            state.letters[state.cursor] = (state.letters[state.cursor] + step + characters.length) % characters.length;
+        }
+        
+        if (this.isMenuActionPressed(input, 'left')) {
+            state.cursor = Math.max(0, state.cursor - 1);
+        }
+        if (this.isMenuActionPressed(input, 'right')) {
+            state.cursor = Math.min(state.letters.length - 1, state.cursor + 1);
+        }
+        
+        if (input.isEscapePressed()) {
+            this.changeScene(state.resultScene);
+            return;
+        }
+        
+        if (input.isEnterPressed()) {
+            if (state.cursor < state.letters.length - 1) {
+                state.cursor++;
+            } else {
+                this.submitNameEntry();
+            }
+        }
+    }
+    
+    /**
+     * 入力した名前でランキングに登録して結果画面に進む
+     */
+    submitNameEntry() {
+        const state = this.nameEntryState;
+        const gameStateManager = this.gameEngine.gameStateManager;
+        const characters = gameStateManager.leaderboard.nameCharacters;
+        
+        const name = state.letters.map(index => characters[index]).join('');
+        this.resultRank = gameStateManager.submitScore(name);
+        this.lastEnteredName = name;
+        
+        if (this.resultRank > 0) {
+            const mode = gameStateManager.getGameMode();
+            this.leaderboardState = { mode: mode, highlight: { mode: mode, rank: this.resultRank } };
+        }
+        
+        this.changeScene(state.resultScene);
+    }
+    
+    /**
+     * ランキング画面の入力処理（←→: モード切替, ENTER/ESC: 戻る）
+     * @param {InputManager} input - 入力管理
+     */
+    handleLeaderboardInput(input) {
+        const modes = this.gameEngine.gameStateManager.leaderboard.modes;
+        const state = this.leaderboardState;
+        
+        if (this.isMenuActionPressed(input, 'left') || this.isMenuActionPressed(input, 'right')) {
+            const step = this.isMenuActionPressed(input, 'left') ? -1 : 1;
+            state.mode = modes[(modes.indexOf(state.mode) + step + modes.length) % modes.length];
+        }
+        
+        if (input.isEnterPressed() || input.isEscapePressed()) {
+            this.goToStartScreen();
+        }
+    }
+    
+    /**
+     * メニュー画面で左右の操作が押された瞬間かチェック（移動キー / 十字キー・左スティック）
+     * @param {InputManager} input - 入力管理
+     * @param {string} action - 'left' または 'right'
+     * @returns {boolean}
+     */
+    isMenuActionPressed(input, action) {
+        return input.isActionKeyPressed(action) || input.isDeviceActionPressed(action);
+    }
+    
+    /**
+     * スタート画面のメニュー項目を取得（セーブデータがない場合は「つづきから」を出さない）
+     * @returns {Array<Object>} メニュー項目 {id, label}
+     */
+    getStartMenuItems() {
+        return this.sceneData.start.menuItems.filter(item => item.id !== 'continue' || this.savedGame);
+    }
+    
+    /**
+     * セーブデータを読み直してメニューの選択位置を先頭に戻す
+     */
+    refreshSavedGame() {
+        const gameStateManager = this.gameEngine.gameStateManager;
+        this.savedGame = gameStateManager ? gameStateManager.readSaveData() : null;
+        this.selectedMenuIndex = 0;
+    }
+    
+    /**
+     * スタート画面のメニュー項目を決定
+     * @param {string} itemId - メニュー項目ID
+     */
+    selectMenuItem(itemId) {
+        if (itemId === 'continue') {
+            this.continueGame();
+        } else if (itemId === 'settings') {
+            this.changeScene(this.scenes.SETTINGS);
+        } else if (itemId === 'daily') {
+            // 同じ日は全員が同じシードで遊ぶ
+            this.startGame('campaign', SeededRandom.getDailySeed());
+        } else if (itemId === 'replay') {
+            this.openReplayFile();
+        } else if (itemId === 'leaderboard') {
+            this.showLeaderboard();
+        } else if (itemId === 'stats') {
+            this.changeScene(this.scenes.STATS);
+        } else if (itemId === 'achievements') {
+            this.changeScene(this.scenes.ACHIEVEMENTS);
+        } else {
+            this.startGame(itemId);
+        }
+    }
+    
+    /**
+     * キー設定画面の入力処理
+     * 行: 変更可能な操作 + 追加項目、列: 割り当て枠
+     * @param {InputManager} input - 入力管理
+     */
+    handleSettingsInput(input) {
+        const keyBindings = input.keyBindings;
+        const state = this.settingsState;
+        const actions = Object.keys(keyBindings.actionLabels);
+        
+        // キー入力待ち: 次に押されたキーを割り当てる（Escapeでキャンセル）
+        if (state.isWaitingForKey) {
+            const key = input.getLastPressedKey();
+            if (!key) return;
+            
+            state.isWaitingForKey = false;
+            if (key === 'Escape') {
+                this.setSettingsMessage('キャンセルしました', '#aaaaaa');
+                return;
+            }
+            
+            const action = actions[state.selectedRow];
+            const result = keyBindings.setBinding(action, state.selectedSlot, key);
+            if (result.success) {
+                this.setSettingsMessage(
+                    `${keyBindings.getActionLabel(action)} に ${keyBindings.getKeyLabel(key)} を割り当てました`, '#00ff00'
+                );
+            } else if (result.conflict) {
+                this.setSettingsMessage(
+                    `${keyBindings.getKeyLabel(key)} は「${keyBindings.getActionLabel(result.conflict)}」で使用中です`, '#ff6666'
+                );
+            }
+            return;
+        }
+        
+        const rowCount = actions.length + this.sceneData.settings.extraRows.length;
+        
+        if (input.isUpPressed() || input.isDownPressed()) {
+            const step = input.isUpPressed() ? -1 : 1;
+            state.selectedRow = (state.selectedRow + step + rowCount) % rowCount;
+        }
+        
+        const isActionRow = state.selectedRow < actions.length;
+        const extraRow = isActionRow ? null : this.sceneData.settings.extraRows[state.selectedRow - actions.length];
+        
+        // 枠の選択（音量の行では音量の調整）は割り当てに関係なく矢印キーで行う
+        if (input.isKeyPressed('ArrowLeft') || input.isKeyPressed('ArrowRight')) {
+            if (extraRow && extraRow.type === 'volume') {
+                const step = this.sceneData.settings.volumeStep * (input.isKeyPressed('ArrowLeft') ? -1 : 1);
+                this.changeVolume(extraRow, step);
+            } else {
+                state.selectedSlot = input.isKeyPressed('ArrowLeft') ? 0 : keyBindings.maxBindingsPerAction - 1;
+            }
+        }
+        
+        if (input.isEscapePressed()) {
+            this.goToStartScreen();
+            return;
+        }
+        
+        // Delete / Backspace で割り当て解除
+        if (isActionRow && (input.isKeyPressed('Delete') || input.isKeyPressed('Backspace'))) {
+            const action = actions[state.selectedRow];
+            if (keyBindings.clearBinding(action, state.selectedSlot)) {
+                this.setSettingsMessage('割り当てを解除しました', '#aaaaaa');
+            } else {
+                this.setSettingsMessage('各操作に最低1つのキーが必要です', '#ff6666');
+            }
+        }
+        
+        if (!input.isEnterPressed()) return;
+        
+        if (isActionRow) {
+            state.isWaitingForKey = true;
+            this.setSettingsMessage('割り当てるキーを押してください（ESC: キャンセル）', '#ffff00');
+            return;
+        }
+        
+        if (extraRow.id === 'shake') {
+            const enabled = this.gameEngine.camera.toggleShake();
+            this.setSettingsMessage(`画面の揺れを${enabled ? 'ON' : 'OFF'}にしました`, '#00ff00');
+        } else if (extraRow.id === 'reset') {
+            keyBindings.resetToDefaults();
+            this.setSettingsMessage('デフォルトの割り当てに戻しました', '#00ff00');
+        } else if (extraRow.id === 'back') {
+            this.goToStartScreen();
+        }
+    }
+    
+    /**
+     * 音量を変更して保存（AudioManager 側で0〜1に収める）
+     * @param {Object} row - 音量の行 {id, label}
+     * @param {number} step - 変化量
+     */
+    changeVolume(row, step) {
+        const audioManager = this.gameEngine.audioManager;
+        const volume = Math.round((audioManager.getSettings()[row.id] + step) * 10) / 10;
+        audioManager.setVolume(row.id, volume);
+    }
+    
+    /**
+     * キー設定画面のメッセージを設定
+     * @param {string} message - メッセージ
+     * @param {string} color - 表示色
+     */
+    setSettingsMessage(message, color) {
+        this.settingsState.message = message;
+        this.settingsState.messageColor = color;
+    }
+    
     /**
      * シーンを変更
      * @param {string} newScene - 新しいシーン
@@ -226,6 +658,7 @@ class SceneManager {
         
         // シーン変更時の処理
         this.onSceneChange(this.previousScene, newScene);
+        this.gameEngine.events.emit('sceneChanged', { from: this.previousScene, to: newScene });
     }
     
     /**
@@ -263,6 +696,15 @@ class SceneManager {
             case this.scenes.VICTORY:
                 this.initializeVictoryScene();
                 break;
+            case this.scenes.SETTINGS:
+                this.initializeSettingsScene();
+                break;
+            case this.scenes.REPLAY:
+                this.initializeReplayScene();
+                break;
+            case this.scenes.NAME_ENTRY:
+                this.initializeNameEntryScene();
+                break;
         }
     }
     
@@ -280,13 +722,32 @@ class SceneManager {
      * ゲームシーンの初期化
      */
     initializeGameScene() {
-        // ゲーム開始
-        if (this.gameEngine.gameStateManager) {
-            this.gameEngine.gameStateManager.setGameStatus('playing');
+        // 一時停止からの再開は状態を戻すだけ（ゲームのやり直しや入力の記録の開始はしない）
+        if (this.previousScene === this.scenes.PAUSE) {
+            if (this.gameEngine.gameStateManager) {
+                this.gameEngine.gameStateManager.setGameStatus('playing');
+            }
+            return;
+        }
+        
+        // ゲームを再開始（「つづきから」の場合はセーブデータから再開）
+        const continued = this.isContinuing && this.gameEngine.continueGame();
+        this.isContinuing = false;
+        if (!continued) {
+            this.gameEngine.restartGame();
         }
         
-        // ゲームを再開始
-        this.gameEngine.restartGame();
+        // ゲーム開始（リセットで 'menu' に戻るため、リセットの後に設定する）
+        // gameStarted は新しいゲームと「つづきから」の開始時だけ通知する（一時停止からの再開は上で戻っている）
+        const gameStateManager = this.gameEngine.gameStateManager;
+        if (gameStateManager) {
+            gameStateManager.setGameStatus('playing');
+            this.gameEngine.events.emit('gameStarted', {
+                mode: gameStateManager.getGameMode(),
+                level: gameStateManager.getGameState().level,
+                continued: continued
+            });
+        }
     }
     
     /**
@@ -309,18 +770,65 @@ class SceneManager {
      * ゲームオーバーシーンの初期化
      */
     initializeGameOverScene() {
-        if (this.gameEngine.gameStateManager) {
-            this.gameEngine.gameStateManager.setGameStatus('gameOver');
-        }
+        this.setResultStatus('gameOver');
     }
     
     /**
      * 勝利シーンの初期化
      */
     initializeVictoryScene() {
+        this.setResultStatus('victory');
+    }
+    
+    /**
+     * ネーム入力シーンの初期化（入力中にプレイ時間が進まないよう、先に結果の状態にする）
+     */
+    initializeNameEntryScene() {
+        this.setResultStatus(this.nameEntryState.resultScene === this.scenes.VICTORY ? 'victory' : 'gameOver');
+    }
+    
+    /**
+     * ゲームの結果の状態を設定（ネーム入力から結果画面に進んだ時に二重に処理しない）
+     * @param {string} status - 'gameOver' または 'victory'
+     */
+    setResultStatus(status) {
+        const gameStateManager = this.gameEngine.gameStateManager;
+        if (gameStateManager && gameStateManager.getGameState().gameStatus !== status) {
+            gameStateManager.setGameStatus(status);
+        }
+    }
+    
+    /**
+     * キー設定シーンの初期化
+     */
+    initializeSettingsScene() {
+        this.settingsState = {
+            selectedRow: 0,
+            selectedSlot: 0,
+            isWaitingForKey: false,
+            message: '',
+            messageColor: '#ffffff'
+        };
+    }
+    
+    /**
+     * リプレイシーンの初期化（記録時と同じ状態からゲームを作り直す）
+     */
+    initializeReplayScene() {
+        this.replayState = {
+            ...this.replayState,
+            frameIndex: 0,
+            isPaused: false,
+            speedIndex: 0,
+            stepRequested: false,
+            isFinished: false
+        };
+        
         if (this.gameEngine.gameStateManager) {
-            this.gameEngine.gameStateManager.setGameStatus('victory');
+            this.gameEngine.gameStateManager.setGameStatus('playing');
         }
+        
+        this.gameEngine.startReplay(this.replayState.replay);
     }
     
     /**
@@ -329,20 +837,105 @@ class SceneManager {
      * @param {string} newScene - 新しいシーン
      */
     onSceneChange(oldScene, newScene) {
-        // UIの表示/非表示制御
-        if (this.gameEngine.uiSystem) {
-            const showUI = newScene === this.scenes.GAME || newScene === this.scenes.PAUSE;
-            this.gameEngine.uiSystem.setVisible(showUI);
+        // ゲームを中断してタイトルに戻る場合は、続きから遊べるように保存してからメニューを作り直す
+        if (newScene === this.scenes.START) {
+            this.saveInterruptedGame(oldScene);
+            this.refreshSavedGame();
+        }
+        
+        // ゲームが終わったら入力の記録を締める
+        if (newScene === this.scenes.GAME_OVER || newScene === this.scenes.VICTORY ||
+            newScene === this.scenes.NAME_ENTRY || newScene === this.scenes.START) {
+            this.finishRecording();
+        }
+        
+        // リプレイを抜けたら実際の入力に戻す
+        if (oldScene === this.scenes.REPLAY && this.gameEngine.inputManager) {
+            this.gameEngine.inputManager.stopReplayInput();
+        }
+    }
+    
+    /**
+     * プレイ中のゲームを中断した時に保存し、中断として終了を通知
+     * @param {string} oldScene - 中断したシーン
+     */
+    saveInterruptedGame(oldScene) {
+        const gameStateManager = this.gameEngine.gameStateManager;
+        if (!gameStateManager || (oldScene !== this.scenes.GAME && oldScene !== this.scenes.PAUSE)) return;
+        
+        const status = gameStateManager.getGameState().gameStatus;
+        if (status === 'playing' || status === 'paused') {
+            gameStateManager.saveGameState();
+            gameStateManager.notifyGameEnded('quit');
+        }
+    }
+    
+    /**
+     * 入力の記録を終了し、結果（スコア・到達レベル）を残す
+     */
+    finishRecording() {
+        const input = this.gameEngine.inputManager;
+        if (!input || !input.isRecording()) return;
+        
+        const replay = input.stopRecording();
+        if (replay && this.gameEngine.gameStateManager) {
+            const gameState = this.gameEngine.gameStateManager.getGameState();
+            replay.setResult(gameState.score, gameState.level);
         }
     }
     
     /**
      * ゲーム開始
+     * @param {string} mode - ゲームモード（'campaign' または 'endless'）
+     * @param {number|null} seed - 乱数シード（nullの場合はランダム）
+     */
+    startGame(mode = 'campaign', seed = null) {
+        if (this.isTransitioning) return;
+        
+        if (this.gameEngine.levelManager) {
+            this.gameEngine.levelManager.setGameMode(mode);
+        }
+        this.gameEngine.setFixedSeed(seed);
+        this.changeScene(this.scenes.GAME);
+    }
+    
+    /**
+     * セーブデータから続きを始める
      */
-    startGame() {
+    continueGame() {
+        if (this.isTransitioning || !this.savedGame) return;
+        
+        this.isContinuing = true;
         this.changeScene(this.scenes.GAME);
     }
     
+    /**
+     * リプレイ再生を開始
+     * @param {Replay} replay - 再生するリプレイ
+     */
+    startReplay(replay) {
+        if (this.isTransitioning) return;
+        
+        this.replayState.replay = replay;
+        this.changeScene(this.scenes.REPLAY);
+    }
+    
+    /**
+     * リプレイファイルを選択して再生
+     */
+    openReplayFile() {
+        Replay.openFile()
+            .then(replay => {
+                if (replay) {
+                    this.startReplay(replay);
+                }
+            })
+            .catch(error => {
+                console.error('リプレイの読み込みエラー:', error);
+                this.gameEngine.uiSystem.showNotification(error.message, 'error', 4000);
+            });
+    }
+    
     /**
      * ゲーム一時停止
      */
@@ -382,14 +975,66 @@ class SceneManager {
      * ゲームオーバー画面に移行
      */
     showGameOver() {
-        this.changeScene(this.scenes.GAME_OVER);
+        // リプレイ再生中は記録の終わりまで再生画面のまま
+        if (this.isReplaying()) return;
+        
+        this.showResult(this.scenes.GAME_OVER);
     }
     
     /**
      * 勝利画面に移行
      */
     showVictory() {
-        this.changeScene(this.scenes.VICTORY);
+        if (this.isReplaying()) return;
+        
+        this.showResult(this.scenes.VICTORY);
+    }
+    
+    /**
+     * 結果画面に移行（ランキングに入るスコアの場合は先にネーム入力）
+     * @param {string} resultScene - 結果画面（GAME_OVER または VICTORY）
+     */
+    showResult(resultScene) {
+        // ネーム入力中・結果画面に重ねて呼ばれた場合（最終レベルのクリア時など）は何もしない
+        if (this.isTransitioning || this.currentScene === this.scenes.NAME_ENTRY || this.currentScene === resultScene) return;
+        
+        this.resultRank = 0;
+        
+        const gameStateManager = this.gameEngine.gameStateManager;
+        if (gameStateManager && gameStateManager.isLeaderboardScore()) {
+            this.startNameEntry(resultScene);
+        } else {
+            this.changeScene(resultScene);
+        }
+    }
+    
+    /**
+     * ネーム入力を開始（前回入力した名前を初期値にする）
+     * @param {string} resultScene - 入力後に進む結果画面
+     */
+    startNameEntry(resultScene) {
+        const gameStateManager = this.gameEngine.gameStateManager;
+        const leaderboard = gameStateManager.leaderboard;
+        const name = leaderboard.normalizeName(this.lastEnteredName || 'AAA');
+        
+        this.nameEntryState = {
+            letters: name.split('').map(character => leaderboard.nameCharacters.indexOf(character)),
+            cursor: 0,
+            rank: leaderboard.getRank(gameStateManager.getGameState().score, gameStateManager.getGameMode()),
+            resultScene: resultScene
+        };
+        this.changeScene(this.scenes.NAME_ENTRY);
+    }
+    
+    /**
+     * ランキング画面に移行（直前に登録したモードを表示）
+     */
+    showLeaderboard() {
+        const highlight = this.leaderboardState.highlight;
+        if (highlight) {
+            this.leaderboardState.mode = highlight.mode;
+        }
+        this.changeScene(this.scenes.LEADERBOARD);
     }
     
     /**
@@ -427,6 +1072,24 @@ class SceneManager {
             case this.scenes.VICTORY:
                 this.renderVictoryScene(renderer);
                 break;
+            case this.scenes.SETTINGS:
+                this.renderSettingsScene(renderer);
+                break;
+            case this.scenes.REPLAY:
+                this.renderReplayScene(renderer);
+                break;
+            case this.scenes.NAME_ENTRY:
+                this.renderNameEntryScene(renderer);
+                break;
+            case this.scenes.LEADERBOARD:
+                this.renderLeaderboardScene(renderer);
+                break;
+            case this.scenes.STATS:
+                this.renderStatsScene(renderer);
+                break;
+            case this.scenes.ACHIEVEMENTS:
+                this.renderAchievementsScene(renderer);
+                break;
         }
     }
     
@@ -444,7 +1107,7 @@ class SceneManager {
         // タイトル
         renderer.drawTextCentered(
             this.sceneData.start.title,
-            centerX, centerY - 100,
+            centerX, centerY - 150,
             '#00ff00', '48px Courier New'
         );
         
@@ -454,31 +1117,154 @@ class SceneManager {
         if (shouldShow) {
             renderer.drawTextCentered(
                 this.sceneData.start.subtitle,
-                centerX, centerY - 20,
+                centerX, centerY - 90,
                 '#ffffff', '24px Courier New'
             );
         }
         
-        // 操作説明
-        this.sceneData.start.instructions.forEach((instruction, index) => {
+        // メニュー
+        this.getStartMenuItems().forEach((item, index) => {
+            const isSelected = index === this.selectedMenuIndex;
+            const label = item.id === 'continue' ? `${item.label} (${this.getSavedGameLabel()})` : item.label;
+            renderer.drawTextCentered(
+                isSelected ? `> ${label} <` : label,
+                centerX, centerY - 60 + (index * 21),
+                isSelected ? '#00ff00' : '#888888', '20px Courier New'
+            );
+        });
+        
+        // 操作説明（現在のキー割り当てを表示）
+        ['↑↓: メニュー選択', ...this.getControlInstructions()].forEach((instruction, index) => {
             renderer.drawTextCentered(
                 instruction,
-                centerX, centerY + 40 + (index * 25),
+                centerX, centerY + 140 + (index * 20),
                 '#aaaaaa', '16px Courier New'
             );
         });
         
-        // ハイスコア表示
+        // ハイスコア表示（モードごと）
         if (this.gameEngine.gameStateManager) {
-            const highScore = this.gameEngine.gameStateManager.getGameStats().highScore;
-            if (highScore > 0) {
+            const gameStats = this.gameEngine.gameStateManager.getGameStats();
+            if (gameStats.highScore > 0) {
                 renderer.drawTextCentered(
-                    `ハイスコア: ${highScore.toLocaleString()}`,
-                    centerX, centerY + 150,
-                    '#ffff00', '20px Courier New'
+                    `ハイスコア: ${gameStats.highScore.toLocaleString()}`,
+                    centerX, centerY + 248,
+                    '#ffff00', '18px Courier New'
                 );
             }
+            if (gameStats.endlessHighScore > 0) {
+                renderer.drawTextCentered(
+                    `エンドレス: ${gameStats.endlessHighScore.toLocaleString()} (ウェーブ${gameStats.endlessBestWave})`,
+                    centerX, centerY + 270,
+                    '#ffff00', '18px Courier New'
+                );
+            }
+        }
+    }
+    
+    /**
+     * セーブデータの表示名（例: "レベル3 1,200点"）
+     * @returns {string} 表示名
+     */
+    getSavedGameLabel() {
+        if (!this.savedGame) return '';
+        
+        const state = this.savedGame.gameState;
+        const levelLabel = this.savedGame.mode === 'endless' ? `ウェーブ${state.level}` : `レベル${state.level}`;
+        return `${levelLabel} ${state.score.toLocaleString()}点`;
+    }
+    
+    /**
+     * 現在のキー割り当てから操作説明を作成
+     * @returns {Array<string>} 操作説明の行
+     */
+    getControlInstructions() {
+        const describe = (action) => this.getActionKeyLabel(action);
+        
+        return [
+            `${describe('left')} ${describe('right')}: 移動`,
+            `${describe('shoot')}: 射撃`,
+            `${describe('pause')}: 一時停止`,
+            `${describe('mute')}: サウンドON/OFF`
+        ];
+    }
+    
+    /**
+     * 操作に割り当てられたキーの表示名（例: "←/A"）
+     * @param {string} action - 論理操作名
+     * @returns {string} 表示名
+     */
+    getActionKeyLabel(action) {
+        const keyBindings = this.gameEngine.inputManager.keyBindings;
+        return keyBindings.getKeys(action).map(key => keyBindings.getKeyLabel(key)).join('/');
+    }
+    
+    /**
+     * キー設定シーンの描画
+     * @param {Renderer} renderer - レンダラー
+     */
+    renderSettingsScene(renderer) {
+        const centerX = this.gameEngine.width / 2;
+        const keyBindings = this.gameEngine.inputManager.keyBindings;
+        const state = this.settingsState;
+        const actions = Object.keys(keyBindings.actionLabels);
+        
+        // 背景
+        renderer.drawRect(0, 0, this.gameEngine.width, this.gameEngine.height, '#000011');
+        renderer.drawTextCentered(this.sceneData.settings.title, centerX, 60, '#00ff00', '36px Courier New');
+        
+        // 割り当て一覧
+        const labelX = centerX - 220;
+        const slotX = [centerX - 20, centerX + 130];
+        const startY = 120;
+        const rowHeight = 32;
+        
+        actions.forEach((action, row) => {
+            const y = startY + row * rowHeight;
+            const isSelectedRow = row === state.selectedRow;
+            renderer.drawText(keyBindings.getActionLabel(action), labelX, y, isSelectedRow ? '#00ff00' : '#ffffff', '20px Courier New');
+            
+            const keys = keyBindings.getKeys(action);
+            for (let slot = 0; slot < keyBindings.maxBindingsPerAction; slot++) {
+                const isSelected = isSelectedRow && slot === state.selectedSlot;
+                const label = isSelected && state.isWaitingForKey ? '...' :
+                    (keys[slot] ? keyBindings.getKeyLabel(keys[slot]) : '-');
+                
+                if (isSelected) {
+                    renderer.drawRectOutline(slotX[slot] - 70, y - 6, 140, 32, '#00ff00', 2);
+                }
+                renderer.drawTextCentered(label, slotX[slot], y, isSelected ? '#ffff00' : '#aaaaaa', '20px Courier New');
+            }
+        });
+        
+        // 追加項目
+        this.sceneData.settings.extraRows.forEach((item, index) => {
+            const row = actions.length + index;
+            const isSelected = row === state.selectedRow;
+            let label = item.label;
+            if (item.type === 'volume') {
+                label = `${item.label}: ${Math.round(this.gameEngine.audioManager.getSettings()[item.id] * 100)}%`;
+            } else if (item.id === 'shake') {
+                label = `${item.label}: ${this.gameEngine.camera.isShakeEnabled() ? 'ON' : 'OFF'}`;
+            }
+            renderer.drawTextCentered(
+                isSelected ? `> ${label} <` : label,
+                centerX, startY + row * rowHeight + 10,
+                isSelected ? '#00ff00' : '#888888', '20px Courier New'
+            );
+        });
+        
+        // メッセージ（競合の警告など）
+        if (state.message) {
+            renderer.drawTextCentered(state.message, centerX, this.gameEngine.height - 90, state.messageColor, '16px Courier New');
         }
+        
+        // 操作説明
+        renderer.drawTextCentered(
+            '↑↓: 選択  ←→: 枠・音量  ENTER: 変更  DEL: 解除  ESC: 戻る',
+            centerX, this.gameEngine.height - 50,
+            '#aaaaaa', '14px Courier New'
+        );
     }
     
     /**
@@ -550,8 +1336,9 @@ class SceneManager {
                 '#ffffff', '24px Courier New'
             );
             
+            const isEndless = this.gameEngine.levelManager && this.gameEngine.levelManager.isEndlessMode();
             renderer.drawTextCentered(
-                `到達レベル: ${gameState.level}`,
+                isEndless ? `到達ウェーブ: ${gameState.level}` : `到達レベル: ${gameState.level}`,
                 centerX, centerY + 10,
                 '#ffffff', '20px Courier New'
             );
@@ -568,6 +1355,12 @@ class SceneManager {
         // 操作説明
         renderer.drawTextCentered('ENTER: リスタート', centerX, centerY + 80, '#ffffff', '16px Courier New');
         renderer.drawTextCentered('ESC: タイトルに戻る', centerX, centerY + 105, '#ffffff', '16px Courier New');
+        
+        // シード（同じシードで同じ展開を再現できる）
+        const seedLabel = this.gameEngine.fixedSeed !== null ? 'デイリーシード' : 'シード';
+        renderer.drawTextCentered(`${seedLabel}: ${this.gameEngine.random.getSeed()}`, centerX, centerY + 140, '#888888', '14px Courier New');
+        this.renderRecordingHint(renderer, centerX, centerY + 165);
+        this.renderResultRank(renderer, centerX, centerY + 190);
     }
     
     /**
@@ -616,6 +1409,297 @@ class SceneManager {
         
         // 操作説明
         renderer.drawTextCentered('ENTER または ESC: タイトルに戻る', centerX, centerY + 120, '#ffffff', '16px Courier New');
+        this.renderRecordingHint(renderer, centerX, centerY + 150);
+        this.renderResultRank(renderer, centerX, centerY + 175);
+    }
+    
+    /**
+     * ランキングに登録した順位の描画
+     * @param {Renderer} renderer - レンダラー
+     * @param {number} x - 中心X座標
+     * @param {number} y - Y座標
+     */
+    renderResultRank(renderer, x, y) {
+        if (this.resultRank === 0) return;
+        
+        renderer.drawTextCentered(`ランキング ${this.resultRank}位に登録しました`, x, y, '#ffff00', '16px Courier New');
+    }
+    
+    /**
+     * ネーム入力シーンの描画（ゲーム画面の上に重ねる）
+     * @param {Renderer} renderer - レンダラー
+     */
+    renderNameEntryScene(renderer) {
+        const centerX = this.gameEngine.width / 2;
+        const centerY = this.gameEngine.height / 2;
+        const state = this.nameEntryState;
+        const gameStateManager = this.gameEngine.gameStateManager;
+        const characters = gameStateManager.leaderboard.nameCharacters;
+        const modeLabel = this.sceneData.leaderboard.modeLabels[gameStateManager.getGameMode()];
+        
+        renderer.drawRect(0, 0, this.gameEngine.width, this.gameEngine.height, 'rgba(0, 0, 0, 0.85)');
+        renderer.drawTextCentered(this.sceneData.nameEntry.title, centerX, centerY - 150, '#ffff00', '40px Courier New');
+        renderer.drawTextCentered(
+            `${modeLabel} ${state.rank}位  スコア: ${gameStateManager.getGameState().score.toLocaleString()}`,
+            centerX, centerY - 90,
+            '#ffffff', '20px Courier New'
+        );
+        renderer.drawTextCentered('名前を入力してください', centerX, centerY - 55, '#aaaaaa', '16px Courier New');
+        
+        // 1文字ずつ選ぶ入力欄（選択中の桁は上下に矢印）
+        const spacing = 60;
+        state.letters.forEach((letterIndex, index) => {
+            const x = centerX + (index - (state.letters.length - 1) / 2) * spacing;
+            const isSelected = index === state.cursor;
+            const color = isSelected ? '#00ff00' : '#ffffff';
+            
+            if (isSelected) {
+                renderer.drawTextCentered('▲', x, centerY - 30, color, '16px Courier New');
+                renderer.drawTextCentered('▼', x, centerY + 50, color, '16px Courier New');
+            }
+            renderer.drawTextCentered(characters[letterIndex], x, centerY - 8, color, '48px Courier New');
+            renderer.drawRect(x - 20, centerY + 42, 40, 3, color);
+        });
+        
+        renderer.drawTextCentered(
+            '↑↓: 文字  ←→: 移動  ENTER: 決定  ESC: 登録しない',
+            centerX, centerY + 100,
+            '#aaaaaa', '14px Courier New'
+        );
+    }
+    
+    /**
+     * ランキングシーンの描画
+     * @param {Renderer} renderer - レンダラー
+     */
+    renderLeaderboardScene(renderer) {
+        const centerX = this.gameEngine.width / 2;
+        const state = this.leaderboardState;
+        const sceneData = this.sceneData.leaderboard;
+        const entries = this.gameEngine.gameStateManager.leaderboard.getEntries(state.mode);
+        const highlight = state.highlight && state.highlight.mode === state.mode ? state.highlight.rank : 0;
+        
+        // 背景
+        renderer.drawRect(0, 0, this.gameEngine.width, this.gameEngine.height, '#000011');
+        renderer.drawTextCentered(sceneData.title, centerX, 40, '#00ff00', '36px Courier New');
+        renderer.drawTextCentered(`◀ ${sceneData.modeLabels[state.mode]} ▶`, centerX, 95, '#ffffff', '20px Courier New');
+        
+        // 列の位置
+        const columns = { rank: 90, name: 160, score: 380, level: 470, accuracy: 590, date: 620 };
+        const headerY = 140;
+        const rowHeight = 30;
+        const font = '18px Courier New';
+        
+        renderer.drawText('順位', columns.rank, headerY, '#aaaaaa', '14px Courier New');
+        renderer.drawText('名前', columns.name, headerY, '#aaaaaa', '14px Courier New');
+        renderer.drawTextRight('スコア', columns.score, headerY, '#aaaaaa', '14px Courier New');
+        renderer.drawTextRight(state.mode === 'endless' ? 'ウェーブ' : 'レベル', columns.level, headerY, '#aaaaaa', '14px Courier New');
+        renderer.drawTextRight('命中率', columns.accuracy, headerY, '#aaaaaa', '14px Courier New');
+        renderer.drawText('日付', columns.date, headerY, '#aaaaaa', '14px Courier New');
+        
+        if (entries.length === 0) {
+            renderer.drawTextCentered('まだ記録がありません', centerX, headerY + 80, '#888888', '20px Courier New');
+        }
+        
+        entries.forEach((entry, index) => {
+            const rank = index + 1;
+            const y = headerY + 30 + index * rowHeight;
+            const color = rank === highlight ? '#ffff00' : (rank <= 3 ? '#ffffff' : '#aaaaaa');
+            
+            renderer.drawText(`${rank}.`, columns.rank, y, color, font);
+            renderer.drawText(entry.name, columns.name, y, color, font);
+            renderer.drawTextRight(entry.score.toLocaleString(), columns.score, y, color, font);
+            renderer.drawTextRight(String(entry.level), columns.level, y, color, font);
+            renderer.drawTextRight(`${(entry.accuracy * 100).toFixed(1)}%`, columns.accuracy, y, color, font);
+            renderer.drawText(entry.date.slice(0, 10), columns.date, y, color, font);
+        });
+        
+        renderer.drawTextCentered(
+            '←→: モード切替  ENTER または ESC: 戻る',
+            centerX, this.gameEngine.height - 50,
+            '#aaaaaa', '14px Courier New'
+        );
+    }
+    
+    /**
+     * 統計シーンの描画（左: 全体の記録、右: 敵タイプ別の撃破数と武器別の発射数）
+     * @param {Renderer} renderer - レンダラー
+     */
+    renderStatsScene(renderer) {
+        const centerX = this.gameEngine.width / 2;
+        const sceneData = this.sceneData.stats;
+        const stats = this.gameEngine.lifetimeStats.getStats();
+        
+        // 背景
+        renderer.drawRect(0, 0, this.gameEngine.width, this.gameEngine.height, '#000011');
+        renderer.drawTextCentered(sceneData.title, centerX, 40, '#00ff00', '36px Courier New');
+        
+        const headerY = 100;
+        const rowHeight = 28;
+        const font = '18px Courier New';
+        const headerFont = '14px Courier New';
+        
+        // 全体の記録
+        const summary = [
+            ['プレイ回数', stats.gamesPlayed.toLocaleString()],
+            ['合計プレイ時間', this.formatPlayTime(stats.totalPlayTime)],
+            ['最長プレイ', this.formatPlayTime(stats.longestRun)],
+            ['最高命中率', `${(stats.bestAccuracy * 100).toFixed(1)}%`],
+            ['撃破数', stats.totalKills.toLocaleString()],
+            ['発射数', stats.totalShots.toLocaleString()]
+        ];
+        renderer.drawText('記録', 80, headerY, '#aaaaaa', headerFont);
+        summary.forEach(([label, value], index) => {
+            const y = headerY + 30 + index * rowHeight;
+            renderer.drawText(label, 80, y, '#ffffff', font);
+            renderer.drawTextRight(value, 360, y, '#ffff00', font);
+        });
+        
+        // タイプ別の数（定義順に並べ、定義にないタイプは後ろに付ける）
+        const renderCounts = (title, labels, counts, y) => {
+            const types = [...Object.keys(labels), ...Object.keys(counts).filter(type => !labels[type])];
+            renderer.drawText(title, 440, y, '#aaaaaa', headerFont);
+            types.forEach((type, index) => {
+                const rowY = y + 26 + index * 24;
+                renderer.drawText(labels[type] || type, 440, rowY, '#ffffff', font);
+                renderer.drawTextRight((counts[type] || 0).toLocaleString(), 720, rowY, '#ffff00', font);
+            });
+            return y + 26 + types.length * 24;
+        };
+        const weaponY = renderCounts('敵タイプ別の撃破数', sceneData.enemyLabels, stats.enemiesKilled, headerY) + 20;
+        renderCounts('武器別の発射数', sceneData.weaponLabels, stats.shotsFired, weaponY);
+        
+        renderer.drawTextCentered(
+            'ENTER または ESC: 戻る',
+            centerX, this.gameEngine.height - 50,
+            '#aaaaaa', '14px Courier New'
+        );
+    }
+    
+    /**
+     * 実績シーンの描画（解除済みの実績は解除日付き、未解除の実績は暗く表示）
+     * @param {Renderer} renderer - レンダラー
+     */
+    renderAchievementsScene(renderer) {
+        const centerX = this.gameEngine.width / 2;
+        const achievementManager = this.gameEngine.achievementManager;
+        const achievements = achievementManager.getAchievements();
+        
+        // 背景
+        renderer.drawRect(0, 0, this.gameEngine.width, this.gameEngine.height, '#000011');
+        renderer.drawTextCentered(this.sceneData.achievements.title, centerX, 40, '#00ff00', '36px Courier New');
+        renderer.drawTextCentered(
+            `${achievementManager.getUnlockedCount()} / ${achievements.length}`,
+            centerX, 85,
+            '#ffffff', '18px Courier New'
+        );
+        
+        const rowHeight = 50;
+        achievements.forEach((achievement, index) => {
+            const y = 120 + index * rowHeight;
+            const titleColor = achievement.unlocked ? '#ffff00' : '#555555';
+            const textColor = achievement.unlocked ? '#ffffff' : '#555555';
+            
+            renderer.drawText(achievement.unlocked ? '★' : '☆', 100, y, titleColor, '20px Courier New');
+            renderer.drawText(achievement.title, 140, y, titleColor, '20px Courier New');
+            renderer.drawText(achievement.description, 140, y + 22, textColor, '14px Courier New');
+            if (achievement.unlocked) {
+                renderer.drawTextRight(achievement.unlockedAt.slice(0, 10), 700, y, '#aaaaaa', '14px Courier New');
+            }
+        });
+        
+        renderer.drawTextCentered(
+            'ENTER または ESC: 戻る',
+            centerX, this.gameEngine.height - 50,
+            '#aaaaaa', '14px Courier New'
+        );
+    }
+    
+    /**
+     * プレイ時間の表示（例: "12:05", "1:02:03"）
+     * @param {number} milliseconds - プレイ時間（ミリ秒）
+     * @returns {string} 表示
+     */
+    formatPlayTime(milliseconds) {
+        const totalSeconds = Math.floor(milliseconds / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor(totalSeconds / 60) % 60;
+        const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+        
+        return hours > 0
+            ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}`
+            : `${minutes}:${seconds}`;
+    }
+    
+    /**
+     * 直前のプレイの記録に対する操作説明の描画
+     * @param {Renderer} renderer - レンダラー
+     * @param {number} x - 中心X座標
+     * @param {number} y - Y座標
+     */
+    renderRecordingHint(renderer, x, y) {
+        if (!this.gameEngine.inputManager.getLastRecording()) return;
+        
+        renderer.drawTextCentered(
+            `${this.getActionKeyLabel('replayPlay')}: リプレイ再生  ${this.getActionKeyLabel('replaySave')}: リプレイ保存`,
+            x, y, '#aaaaaa', '14px Courier New'
+        );
+    }
+    
+    /**
+     * リプレイシーンの描画（ゲーム画面の上に再生状況を重ねる）
+     * @param {Renderer} renderer - レンダラー
+     */
+    renderReplayScene(renderer) {
+        const state = this.replayState;
+        if (!state.replay) return;
+        
+        const centerX = this.gameEngine.width / 2;
+        const frameCount = state.replay.getFrameCount();
+        
+        // 再生状況
+        const status = state.isFinished ? '再生終了' :
+            state.isPaused ? '一時停止中' : `x${this.replaySpeeds[state.speedIndex]}`;
+        renderer.drawTextCentered(
+            `REPLAY ${status}  ${state.frameIndex}/${frameCount}`,
+            centerX, 45,
+            '#ff6666', '14px Courier New'
+        );
+        
+        // 進行バー
+        const barWidth = 200;
+        const progress = frameCount > 0 ? state.frameIndex / frameCount : 0;
+        renderer.drawRect(centerX - barWidth / 2, 64, barWidth, 3, 'rgba(255, 255, 255, 0.3)');
+        renderer.drawRect(centerX - barWidth / 2, 64, barWidth * progress, 3, '#ff6666');
+        
+        if (!state.isFinished) {
+            renderer.drawTextCentered(
+                `一時停止: ${this.getActionKeyLabel('pause')}  早送り: ${this.getActionKeyLabel('replayFastForward')}  ` +
+                `コマ送り: ${this.getActionKeyLabel('replayStep')}  ESC: 終了`,
+                centerX, 72,
+                '#aaaaaa', '12px Courier New'
+            );
+            return;
+        }
+        
+        // 再生終了（記録時と再生後のスコアを並べて再現できたか確認できるようにする）
+        const centerY = this.gameEngine.height / 2;
+        renderer.drawRect(centerX - 200, centerY - 70, 400, 140, 'rgba(0, 0, 0, 0.8)');
+        renderer.drawTextCentered('リプレイ終了', centerX, centerY - 55, '#ff6666', '28px Courier New');
+        renderer.drawTextCentered(
+            `記録スコア: ${state.replay.score.toLocaleString()}  再生スコア: ${this.getReplayScore().toLocaleString()}`,
+            centerX, centerY - 10,
+            '#ffffff', '16px Courier New'
+        );
+        renderer.drawTextCentered('ENTER: もう一度  ESC: タイトルに戻る', centerX, centerY + 30, '#ffffff', '16px Courier New');
+    }
+    
+    /**
+     * リプレイで再生中のスコアを取得
+     * @returns {number} スコア
+     */
+    getReplayScore() {
+        return this.gameEngine.gameStateManager ? this.gameEngine.gameStateManager.getGameState().score : 0;
     }
     
     /**
@@ -643,6 +1727,14 @@ class SceneManager {
      * @returns {boolean} ゲーム中かどうか
      */
     isInGame() {
-        return this.currentScene === this.scenes.GAME;
+        return this.currentScene === this.scenes.GAME || this.currentScene === this.scenes.REPLAY;
+    }
+    
+    /**
+     * リプレイ再生中かどうかを判定
+     * @returns {boolean} リプレイ再生中かどうか
+     */
+    isReplaying() {
+        return this.currentScene === this.scenes.REPLAY;
     }
 }
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * スコア管理サービス
+ * すべてのスコア加算はここを通し、理由（敵撃破・UFO・ボーナス）付きの scoreAwarded イベントとして GameEventBus に発行する
+ * スコアの値そのものは GameStateManager が保持し、HUD・ハイスコア・統計はイベントから更新する
+ */
+class ScoreService {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+
+        // 加算理由と表示名
+        this.reasonLabels = {
+            enemyKill: '敵撃破',
+            ufo: 'UFO',
+            levelBonus: 'レベルボーナス',
+            completionBonus: '完全クリアボーナス'
+        };
+
+        // 現在のゲームでの理由ごとの合計
+        this.totals = {};
+
+        this.reset();
+
+        console.log('ScoreService初期化完了');
+    }
+
+    /**
+     * スコアを加算
+     * @param {number} points - 加算するスコア
+     * @param {string} reason - 加算理由（'enemyKill', 'ufo', 'levelBonus', 'completionBonus'）
+     * @param {GameObject|null} source - スコアの発生元（撃破した敵など）
+     * @returns {Object|null} 発行したスコアイベント（加算しなかった場合はnull）
+     */
+    award(points, reason, source = null) {
+        if (!this.reasonLabels[reason]) {
+            console.error(`不明なスコア加算理由: ${reason}`);
+            return null;
+        }
+        if (!(points > 0)) return null;
+
+        const gameStateManager = this.gameEngine.gameStateManager;
+        gameStateManager.addScore(points);
+        this.totals[reason] += points;
+
+        const event = {
+            points: points,
+            reason: reason,
+            label: this.reasonLabels[reason],
+            score: gameStateManager.getGameState().score,
+            source: source
+        };
+        this.gameEngine.events.emit('scoreAwarded', event);
+        return event;
+    }
+
+    /**
+     * 理由ごとの合計を取得
+     * @returns {Object} 理由をキーとする合計スコア
+     */
+    getTotals() {
+        return { ...this.totals };
+    }
+
+    /**
+     * 新しいゲームのために理由ごとの合計をリセット
+     */
+    reset() {
+        Object.keys(this.reasonLabels).forEach(reason => {
+            this.totals[reason] = 0;
+        });
+    }
+}
@@ -0,0 +1,232 @@
+/**
+ * タッチ操作クラス
+ * キャンバス上の仮想ジョイスティック・射撃ボタン・一時停止ボタンを
+ * InputManager の論理操作（left, right, shoot, pause など）に変換する
+ */
+class TouchControls {
+    /**
+     * @param {HTMLCanvasElement} canvas - タッチを受け付けるキャンバス
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.width = canvas.width;
+        this.height = canvas.height;
+
+        // タッチ端末で最初に触れた時点で有効化（ボタン表示もこの時から）
+        this.enabled = false;
+
+        // ボタン配置（キャンバス座標）
+        this.fireButton = { x: this.width - 80, y: this.height - 90, radius: 45 };
+        this.pauseButton = { x: this.width - 35, y: 35, radius: 22 };
+
+        // 仮想ジョイスティック（タッチした位置が中心になる）
+        this.joystick = {
+            touchId: null,
+            originX: 0,
+            originY: 0,
+            currentX: 0,
+            currentY: 0,
+            startTime: 0,
+            moved: false
+        };
+        this.joystickRadius = 50;
+        this.joystickThreshold = 15; // これ以上ドラッグすると方向入力
+        this.tapMaxDuration = 250; // これより短く動かさずに離すと「決定」
+
+        // 射撃ボタン（押している間は自動連射）
+        this.fireTouchId = null;
+
+        // 押された瞬間の操作（フレーム間の短いタップも取りこぼさないように保持）
+        this.pendingPresses = {};
+
+        this.setupEventListeners();
+
+        console.log('TouchControls初期化完了');
+    }
+
+    /**
+     * タッチイベントの設定
+     */
+    setupEventListeners() {
+        const options = { passive: false };
+
+        this.canvas.addEventListener('touchstart', (event) => this.onTouchStart(event), options);
+        this.canvas.addEventListener('touchmove', (event) => this.onTouchMove(event), options);
+        this.canvas.addEventListener('touchend', (event) => this.onTouchEnd(event), options);
+        this.canvas.addEventListener('touchcancel', (event) => this.onTouchEnd(event), options);
+    }
+
+    /**
+     * 画面座標をキャンバス座標に変換
+     * @param {Touch} touch - タッチ情報
+     * @returns {Object} {x, y} キャンバス座標
+     */
+    toCanvasPoint(touch) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (touch.clientX - rect.left) * (this.width / rect.width),
+            y: (touch.clientY - rect.top) * (this.height / rect.height)
+        };
+    }
+
+    /**
+     * 点がボタン内にあるかチェック
+     * @param {Object} point - {x, y}
+     * @param {Object} button - {x, y, radius}
+     * @returns {boolean}
+     */
+    isInsideButton(point, button) {
+        const dx = point.x - button.x;
+        const dy = point.y - button.y;
+        return dx * dx + dy * dy <= button.radius * button.radius;
+    }
+
+    /**
+     * タッチ開始
+     * @param {TouchEvent} event - タッチイベント
+     */
+    onTouchStart(event) {
+        event.preventDefault();
+        this.enabled = true;
+
+        for (const touch of event.changedTouches) {
+            const point = this.toCanvasPoint(touch);
+
+            if (this.isInsideButton(point, this.pauseButton)) {
+                this.pendingPresses.pause = true;
+            } else if (this.isInsideButton(point, this.fireButton)) {
+                this.fireTouchId = touch.identifier;
+                this.pendingPresses.shoot = true;
+            } else if (this.joystick.touchId === null) {
+                this.joystick.touchId = touch.identifier;
+                this.joystick.originX = point.x;
+                this.joystick.originY = point.y;
+                this.joystick.currentX = point.x;
+                this.joystick.currentY = point.y;
+                this.joystick.startTime = Date.now();
+                this.joystick.moved = false;
+            }
+        }
+    }
+
+    /**
+     * タッチ移動
+     * @param {TouchEvent} event - タッチイベント
+     */
+    onTouchMove(event) {
+        event.preventDefault();
+
+        for (const touch of event.changedTouches) {
+            if (touch.identifier !== this.joystick.touchId) continue;
+
+            const point = this.toCanvasPoint(touch);
+            this.joystick.currentX = point.x;
+            this.joystick.currentY = point.y;
+
+            const offset = this.getJoystickOffset();
+            if (Math.abs(offset.x) >= this.joystickThreshold || Math.abs(offset.y) >= this.joystickThreshold) {
+                this.joystick.moved = true;
+            }
+        }
+    }
+
+    /**
+     * タッチ終了
+     * @param {TouchEvent} event - タッチイベント
+     */
+    onTouchEnd(event) {
+        event.preventDefault();
+
+        for (const touch of event.changedTouches) {
+            if (touch.identifier === this.fireTouchId) {
+                this.fireTouchId = null;
+            } else if (touch.identifier === this.joystick.touchId) {
+                // 動かさずに短く触れた場合はタップ（メニューの決定）
+                const duration = Date.now() - this.joystick.startTime;
+                if (!this.joystick.moved && duration <= this.tapMaxDuration) {
+                    this.pendingPresses.enter = true;
+                }
+                this.joystick.touchId = null;
+            }
+        }
+    }
+
+    /**
+     * ジョイスティックの中心からのずれ（半径で制限）
+     * @returns {Object} {x, y}
+     */
+    getJoystickOffset() {
+        if (this.joystick.touchId === null) {
+            return { x: 0, y: 0 };
+        }
+
+        let x = this.joystick.currentX - this.joystick.originX;
+        let y = this.joystick.currentY - this.joystick.originY;
+        const distance = Math.sqrt(x * x + y * y);
+        if (distance > this.joystickRadius) {
+            x = x / distance * this.joystickRadius;
+            y = y / distance * this.joystickRadius;
+        }
+        return { x, y };
+    }
+
+    /**
+     * 押し続けている操作を取得
+     * @returns {Object} 論理操作名をキーとする状態
+     */
+    getHeldActions() {
+        const actions = {};
+        const offset = this.getJoystickOffset();
+
+        if (offset.x <= -this.joystickThreshold) actions.left = true;
+        if (offset.x >= this.joystickThreshold) actions.right = true;
+        if (offset.y <= -this.joystickThreshold) actions.up = true;
+        if (offset.y >= this.joystickThreshold) actions.down = true;
+        if (this.fireTouchId !== null) actions.shoot = true;
+
+        return actions;
+    }
+
+    /**
+     * 押された瞬間の操作を取り出す（取り出した操作はクリアされる）
+     * @returns {Object} 論理操作名をキーとする状態
+     */
+    consumePresses() {
+        const presses = this.pendingPresses;
+        this.pendingPresses = {};
+
+        // 射撃ボタンを押している間は毎フレーム射撃を入力（連射間隔は武器の発射レートで制限される）
+        if (this.fireTouchId !== null) {
+            presses.shoot = true;
+        }
+
+        return presses;
+    }
+
+    /**
+     * 描画処理
+     * @param {Renderer} renderer - レンダラー
+     */
+    render(renderer) {
+        if (!this.enabled) return;
+
+        // 射撃ボタン
+        const fireColor = this.fireTouchId !== null ? 'rgba(255, 80, 80, 0.5)' : 'rgba(255, 80, 80, 0.25)';
+        renderer.drawCircle(this.fireButton.x, this.fireButton.y, this.fireButton.radius, fireColor);
+        renderer.drawCircleOutline(this.fireButton.x, this.fireButton.y, this.fireButton.radius, 'rgba(255, 255, 255, 0.5)', 2);
+        renderer.drawTextCentered('FIRE', this.fireButton.x, this.fireButton.y - 8, 'rgba(255, 255, 255, 0.8)', '16px Courier New');
+
+        // 一時停止ボタン
+        const pause = this.pauseButton;
+        renderer.drawCircleOutline(pause.x, pause.y, pause.radius, 'rgba(255, 255, 255, 0.5)', 2);
+        renderer.drawRect(pause.x - 7, pause.y - 9, 5, 18, 'rgba(255, 255, 255, 0.7)');
+        renderer.drawRect(pause.x + 2, pause.y - 9, 5, 18, 'rgba(255, 255, 255, 0.7)');
+
+        // ジョイスティック（操作中のみ）
+        if (this.joystick.touchId !== null) {
+            const offset = this.getJoystickOffset();
+            renderer.drawCircleOutline(this.joystick.originX, this.joystick.originY, this.joystickRadius, 'rgba(255, 255, 255, 0.4)', 2);
+            renderer.drawCircle(this.joystick.originX + offset.x, this.joystick.originY + offset.y, 20, 'rgba(255, 255, 255, 0.4)');
+        }
+    }
+}
@@ -0,0 +1,239 @@
+/**
+ * UFO（ミステリーシップ）クラス
+ * 画面上部を横切るボーナス敵。撃破するとその場にスコアを表示する
+ */
+class UFO extends GameObject {
+    constructor(x, y, direction = 1, speed = 100, points = 100) {
+        super(x, y);
+
+        // UFO固有の設定
+        this.width = 32;
+        this.height = 14;
+        this.color = '#ff3333';
+        this.direction = direction;
+        this.speed = speed;
+        this.points = points;
+        this.setVelocity(this.speed * this.direction, 0);
+
+        // 撃破後のスコア表示
+        this.isDestroyed = false;
+        this.scoreDisplayDuration = 1000; // ミリ秒
+        this.scoreDisplayTimer = 0;
+
+        console.log(`UFO出現: 方向=${direction}, スコア=${points}`);
+    }
+
+    /**
+     * 更新処理
+     * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+     */
+    update(deltaTime) {
+        // 撃破後はスコア表示の時間だけ残る
+        if (this.isDestroyed) {
+            this.scoreDisplayTimer -= deltaTime;
+            if (this.scoreDisplayTimer <= 0) {
+                this.destroy();
+            }
+            return;
+        }
+
+        super.update(deltaTime);
+    }
+
+    /**
+     * ダメージを受ける（1発で撃破）
+     * @param {number} damage - ダメージ量
+     */
+    takeDamage(damage = 1) {
+        if (!this.active || this.isDestroyed) return;
+
+        this.onDeath();
+    }
+
+    /**
+     * 撃破時の処理
+     */
+    onDeath() {
+        console.log(`UFO撃破！スコア: ${this.points}`);
+
+        // 衝突判定の対象外にしてスコア表示状態へ
+        this.isDestroyed = true;
+        this.active = false;
+        this.setVelocity(0, 0);
+        this.scoreDisplayTimer = this.scoreDisplayDuration;
+
+        if (this.gameEngine && this.gameEngine.audioManager) {
+            this.gameEngine.audioManager.playSound('enemyDeath');
+        }
+
+        // スコア加算
+        if (this.gameEngine && this.gameEngine.scoreService) {
+            this.gameEngine.scoreService.award(this.points, 'ufo', this);
+        }
+    }
+
+    /**
+     * 描画処理
+     * @param {CanvasRenderingContext2D} ctx - Canvas描画コンテキスト
+     */
+    render(ctx) {
+        if (!this.visible || !this.gameEngine) return;
+
+        const renderer = this.gameEngine.renderer;
+
+        if (this.isDestroyed) {
+            // 撃破した位置にスコアを表示
+            renderer.drawTextCentered(
+                this.points.toString(),
+                this.x, this.y - this.height / 2,
+                this.color,
+                '14px Courier New'
+            );
+            return;
+        }
+
+        renderer.drawUFO(this.x, this.y, this.width, this.height, this.color);
+    }
+}
+
+/**
+ * UFO出現管理クラス
+ * レベル設定のタイマーに従ってUFOを出現させ、スコアを決定する
+ */
+class UFOSpawner {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+
+        // 現在のUFO
+        this.currentUFO = null;
+        this.spawnCount = 0;
+
+        // 出現タイマー
+        this.spawnTimer = 0;
+        this.nextSpawnTime = 0;
+
+        // 出現レーン
+        this.laneY = 40;
+
+        // デフォルト設定
+        this.defaultConfig = {
+            spawnInterval: 25000, // ミリ秒
+            spawnVariance: 5000, // 出現間隔のばらつき（±ミリ秒）
+            speed: 100, // ピクセル/秒
+            minEnemies: 8, // 残り敵数がこれ未満になると出現しない
+            scoring: 'shotCount' // 'shotCount': 発射数で決定, 'random': ランダム
+        };
+
+        // 発射数に応じたスコア表（クラシック方式）
+        this.shotCountScoreTable = [100, 50, 50, 100, 150, 100, 100, 50, 300, 100, 100, 100, 50, 150, 100];
+        this.randomScoreTable = [50, 100, 150, 300];
+
+        // 現在のレベル設定（nullの場合は出現しない）
+        this.config = null;
+
+        console.log('UFOSpawner初期化完了');
+    }
+
+    /**
+     * レベル設定の更新
+     * @param {number} level - 現在のレベル
+     * @param {Object} levelConfig - レベル設定（ufoが未指定の場合は出現しない）
+     */
+    setLevel(level, levelConfig = null) {
+        this.clearUFO();
+        this.spawnCount = 0;
+
+        this.config = levelConfig?.ufo ? { ...this.defaultConfig, ...levelConfig.ufo } : null;
+        this.resetSpawnTimer();
+
+        if (this.config) {
+            console.log(`UFO設定更新: レベル${level}, 間隔${this.config.spawnInterval}ms`);
+        }
+    }
+
+    /**
+     * 出現タイマーのリセット
+     */
+    resetSpawnTimer() {
+        this.spawnTimer = 0;
+        if (!this.config) return;
+
+        const variance = this.gameEngine.random.range(-1, 1) * this.config.spawnVariance;
+        this.nextSpawnTime = Math.max(1000, this.config.spawnInterval + variance);
+    }
+
+    /**
+     * 更新処理
+     * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+     */
+    update(deltaTime) {
+        if (!this.config) return;
+
+        // UFOが画面上にいる間はタイマーを進めない
+        if (this.currentUFO) {
+            if (!this.currentUFO.shouldDestroy) return;
+            this.currentUFO = null;
+            this.resetSpawnTimer();
+        }
+
+        this.spawnTimer += deltaTime;
+        if (this.spawnTimer >= this.nextSpawnTime && this.canSpawn()) {
+            this.spawnUFO();
+        }
+    }
+
+    /**
+     * UFOを出現させられるかチェック
+     * @returns {boolean} 出現可能かどうか
+     */
+    canSpawn() {
+        const enemyCount = this.gameEngine.gameObjects.filter(obj =>
+            obj instanceof Enemy && obj.active
+        ).length;
+        return enemyCount >= this.config.minEnemies;
+    }
+
+    /**
+     * UFOを出現させる
+     */
+    spawnUFO() {
+        // 出現ごとに左右交互に横切る
+        const direction = this.spawnCount % 2 === 0 ? 1 : -1;
+        const ufo = new UFO(0, this.laneY, direction, this.config.speed, this.calculatePoints());
+
+        // 画面端の外側ぎりぎりから出現
+        ufo.x = direction > 0 ? -ufo.width / 2 : this.gameEngine.width + ufo.width / 2;
+
+        this.currentUFO = ufo;
+        this.spawnCount++;
+        this.gameEngine.addGameObject(ufo);
+    }
+
+    /**
+     * UFOのスコアを決定
+     * @returns {number} スコア
+     */
+    calculatePoints() {
+        const table = this.config.scoreTable ||
+            (this.config.scoring === 'random' ? this.randomScoreTable : this.shotCountScoreTable);
+
+        if (this.config.scoring === 'random') {
+            return this.gameEngine.random.pick(table);
+        }
+
+        // レベル開始からの発射数でスコアが決まる
+        const shotCount = this.gameEngine.levelManager ?
+            this.gameEngine.levelManager.getLevelStats().bulletsShot : 0;
+        return table[shotCount % table.length];
+    }
+
+    /**
+     * 画面上のUFOを消去
+     */
+    clearUFO() {
+        if (this.currentUFO && !this.currentUFO.shouldDestroy) {
+            this.currentUFO.destroy();
+        }
+        this.currentUFO = null;
+    }
+}
@@ -8,10 +8,10 @@ class UISystem {
         
         // UI要素の参照
         this.uiElements = {
-            score: document.getElementById('score'),
-            lives: document.getElementById('lives'),
-            level: document.getElementById('level'),
-            weapon: document.getElementById('weapon')
+            score: gameEngine.getElement('score'),
+            lives: gameEngine.getElement('lives'),
+            level: gameEngine.getElement('level'),
+            weapon: gameEngine.getElement('weapon')
         };
         
         // UI状態
@@ -34,6 +34,13 @@ class UISystem {
         this.maxNotifications = 3;
         this.notificationDuration = 3000; // 3秒
         
+        // ゲームイベントでHUDと通知を更新
+        gameEngine.events.on('scoreAwarded', event => this.onScoreAdd(event.points, event.score, event.label));
+        gameEngine.events.on('playerHit', event => this.updateLives(event.lives, true));
+        gameEngine.events.on('levelCleared', event => this.onLevelClear(event.level));
+        gameEngine.events.on('levelFailed', () => this.onGameOver());
+        gameEngine.events.on('sceneChanged', event => this.onSceneChange(event.to));
+        
         console.log('UISystem初期化完了');
         this.initializeUI();
     }
@@ -42,6 +49,9 @@ class UISystem {
      * UIの初期化
      */
     initializeUI() {
+        // ヘッドレスモードではDOMのUIを使わない
+        if (this.gameEngine.headless) return;
+        
         // UI要素の存在確認
         Object.keys(this.uiElements).forEach(key => {
             if (!this.uiElements[key]) {
@@ -51,7 +61,7 @@ class UISystem {
         
         // 初期値の設定
         this.updateScore(0);
-        this.updateLives(3);
+        this.updateLives(this.gameEngine.lifeManager.startingLives);
         this.updateLevel(1);
         this.updateWeapon('Basic');
         
@@ -299,7 +309,7 @@ class UISystem {
         }
         
         // 通知エリアに追加
-        const notificationArea = document.getElementById('notificationArea');
+        const notificationArea = this.gameEngine.getElement('notificationArea');
         if (notificationArea && notification.element) {
             notificationArea.appendChild(notification.element);
         }
@@ -331,6 +341,8 @@ class UISystem {
      * @returns {HTMLElement} 通知要素
      */
     createNotificationElement(notification) {
+        if (this.gameEngine.headless) return null;
+        
         const element = document.createElement('div');
         element.style.cssText = `
             background: rgba(0, 0, 0, 0.8);
@@ -420,6 +432,15 @@ class UISystem {
         });
     }
     
+    /**
+     * シーン変更時のUI更新（ゲーム画面の間だけHUDを表示）
+     * @param {string} scene - 新しいシーン
+     */
+    onSceneChange(scene) {
+        const scenes = this.gameEngine.sceneManager.scenes;
+        this.setVisible(scene === scenes.GAME || scene === scenes.PAUSE || scene === scenes.REPLAY);
+    }
+    
     /**
      * ゲームオーバー時のUI更新
      */
@@ -450,13 +471,14 @@ class UISystem {
      * スコア加算時のUI更新
      * @param {number} points - 加算されたスコア
      * @param {number} totalScore - 総スコア
+     * @param {string} label - 加算理由の表示名
      */
-    onScoreAdd(points, totalScore) {
+    onScoreAdd(points, totalScore, label = '') {
         if (points > 0) {
             this.updateScore(totalScore, true);
             
             if (points >= 100) {
-                this.showNotification(`+${points}点`, 'info', 1500);
+                this.showNotification(`${label ? label + ' ' : ''}+${points.toLocaleString()}点`, 'info', 1500);
             }
         }
     }
@@ -0,0 +1,122 @@
+/**
+ * エンドレスモードのウェーブ生成クラス
+ * ウェーブ番号に応じて編隊・速度・敵構成・射撃設定を段階的に強化したレベル設定を生成する
+ */
+class WaveGenerator {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+
+        // 編隊サイズの範囲
+        this.minRows = 3;
+        this.maxRows = 6;
+        this.minCols = 8;
+        this.maxCols = 11;
+
+        // 上の行ほど強い敵を置くための並び順
+        this.enemyTypeRank = ['strong', 'shooter', 'fast', 'basic'];
+
+        console.log('WaveGenerator初期化完了');
+    }
+
+    /**
+     * ウェーブのレベル設定を生成
+     * 生成結果は levels/ のJSONを読み込んだ後と同じ形式になる
+     * @param {number} wave - ウェーブ番号（1から）
+     * @returns {Object} レベル設定
+     */
+    generateWave(wave) {
+        const rows = Math.min(this.maxRows, this.minRows + Math.floor((wave - 1) / 2));
+        const cols = Math.min(this.maxCols, this.minCols + Math.floor((wave - 1) / 3));
+
+        const config = {
+            name: `ウェーブ${wave}`,
+            description: `エンドレスモード ${rows}x${cols}編隊`,
+            enemyFormation: {
+                layout: this.createLayout(wave, rows, cols),
+                rows: rows,
+                cols: cols,
+                spacing: { x: cols > 9 ? 35 : 40, y: 32 },
+                startY: 70,
+                baseSpeed: Math.min(110, 50 + (wave - 1) * 5)
+            },
+            shootingConfig: {
+                shootRate: Math.min(2.0, 0.8 + (wave - 1) * 0.1),
+                maxBullets: Math.min(20, 8 + (wave - 1)),
+                aggressiveness: Math.min(1.5, 0.5 + (wave - 1) * 0.1)
+            },
+            bunkers: {
+                count: 4,
+                shape: 'classic',
+                resetEachLevel: (wave - 1) % 5 === 0 // 5ウェーブごとに作り直す
+            },
+            ufo: {
+                spawnInterval: Math.max(12000, 25000 - (wave - 1) * 1000),
+                spawnVariance: 4000,
+                speed: Math.min(180, 100 + wave * 5),
+                minEnemies: 8,
+                scoring: 'shotCount'
+            },
+            boss: null,
+            clearCondition: 'destroyAllEnemies',
+            timeLimit: null,
+            bonusPoints: 500 * wave
+        };
+
+        console.log(`ウェーブ${wave}を生成: ${rows}x${cols}, 速度: ${config.enemyFormation.baseSpeed}`);
+        return config;
+    }
+
+    /**
+     * 編隊レイアウトを生成（行ごとに敵タイプを決め、強い敵ほど上の行に置く）
+     * @param {number} wave - ウェーブ番号
+     * @param {number} rows - 行数
+     * @param {number} cols - 列数
+     * @returns {Array<Array<string>>} 敵タイプの2次元配列
+     */
+    createLayout(wave, rows, cols) {
+        const weights = this.getEnemyWeights(wave);
+        const rowTypes = [];
+
+        for (let row = 0; row < rows; row++) {
+            rowTypes.push(this.pickEnemyType(weights));
+        }
+
+        rowTypes.sort((a, b) => this.enemyTypeRank.indexOf(a) - this.enemyTypeRank.indexOf(b));
+        return rowTypes.map(enemyType => new Array(cols).fill(enemyType));
+    }
+
+    /**
+     * ウェーブに応じた敵タイプの出現比率
+     * 序盤は基本敵が中心で、ウェーブが進むほど射撃型・強化型が増える
+     * @param {number} wave - ウェーブ番号
+     * @returns {Object} 敵タイプごとの重み
+     */
+    getEnemyWeights(wave) {
+        return {
+            basic: Math.max(1, 6 - wave * 0.5),
+            fast: 2 + wave * 0.3,
+            shooter: wave >= 2 ? (wave - 1) * 0.5 : 0,
+            strong: wave >= 3 ? (wave - 2) * 0.4 : 0
+        };
+    }
+
+    /**
+     * 重みに従って敵タイプを選択
+     * @param {Object} weights - 敵タイプごとの重み
+     * @returns {string} 敵タイプ
+     */
+    pickEnemyType(weights) {
+        const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+        let random = this.gameEngine.random.next() * total;
+        for (const [enemyType, weight] of entries) {
+            random -= weight;
+            if (random < 0) {
+                return enemyType;
+            }
+        }
+
+        return entries[entries.length - 1][0];
+    }
+}
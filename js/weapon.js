@@ -332,4 +332,33 @@ class WeaponManager {
         this.updateUI();
         console.log('武器システムリセット');
     }
+    
+    /**
+     * 保存用の武器情報を取得
+     * @returns {Object} {type, level}
+     */
+    getSaveData() {
+        return { type: this.currentWeapon.weaponType, level: this.weaponLevel };
+    }
+    
+    /**
+     * 保存した武器を復元
+     * レベルアップは前のレベルの性能に掛け合わせるため、1段ずつ上げ直して同じ性能にする
+     * @param {string} weaponType - 武器タイプ（進化パスにない場合は basic）
+     * @param {number} weaponLevel - 武器レベル
+     */
+    restore(weaponType, weaponLevel) {
+        this.currentWeaponIndex = Math.max(0, this.weaponProgression.indexOf(weaponType));
+        this.currentWeapon = new Weapon(this.weaponProgression[this.currentWeaponIndex]);
+        this.weaponLevel = 1;
+        
+        const targetLevel = Math.max(1, Math.min(this.maxLevel, weaponLevel));
+        while (this.weaponLevel < targetLevel) {
+            this.weaponLevel++;
+            this.currentWeapon.upgrade(this.weaponLevel);
+        }
+        
+        this.updateUI();
+        console.log(`武器を復元: ${this.currentWeapon.weaponType} レベル${this.weaponLevel}`);
+    }
 }
\ No newline at end of file
@@ -3,9 +3,17 @@
  * 敵を倒した時にドロップされる武器アイテム
  */
 class WeaponPickup extends GameObject {
-    constructor(x, y, weaponType = null) {
+    /**
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {string} weaponType - 武器タイプ（nullの場合はランダム）
+     * @param {SeededRandom} random - 乱数生成器（省略時は独自のシード）
+     */
+    constructor(x, y, weaponType = null, random = null) {
         super(x, y);
         
+        this.random = random || new SeededRandom();
+        
         // 武器タイプの決定（nullの場合はランダム）
         this.weaponType = weaponType || this.selectRandomWeaponType();
         
@@ -15,7 +23,7 @@ class WeaponPickup extends GameObject {
         this.setupWeaponAppearance();
         
         // 物理効果
-        this.vx = (Math.random() - 0.5) * 50; // 少し横に散らばる
+        this.vx = this.random.range(-25, 25); // 少し横に散らばる
         this.vy = -30; // 少し上に跳ねる
         this.gravity = 100; // 重力
         this.bounce = 0.3; // バウンス係数
@@ -45,7 +53,7 @@ class WeaponPickup extends GameObject {
         const weaponTypes = ['rapid', 'spread', 'laser'];
         const weights = [0.5, 0.3, 0.2]; // rapid: 50%, spread: 30%, laser: 20%
         
-        const random = Math.random();
+        const random = this.random.next();
         let cumulative = 0;
         
         for (let i = 0; i < weaponTypes.length; i++) {
@@ -163,7 +171,9 @@ class WeaponPickup extends GameObject {
      */
     createExpireEffect() {
         console.log('武器アイテムが期限切れで消失');
-        // パーティクルエフェクトなどを後で追加可能
+        if (this.gameEngine) {
+            this.gameEngine.particleSystem.emit('pickupExpire', this.x, this.y);
+        }
     }
     
     /**
@@ -229,11 +239,8 @@ class WeaponPickup extends GameObject {
         if (other instanceof Player && this.active) {
             console.log(`武器アイテム取得: ${this.weaponType}`);
             
-            // プレイヤーの武器をアップグレード
-            other.upgradeWeapon();
-            
-            // アイテムを削除
-            this.destroy();
+            // プレイヤーの武器をアップグレードしてアイテムを削除
+            other.collectPickup(this);
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,146 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame, createStorageStub } = require('./support/gameContext.js');
+
+describe('AchievementManager', () => {
+    let game;
+    let engine;
+    let achievements;
+
+    const getPlayer = () => engine.gameObjects.find(obj => obj instanceof game.get('Player') && obj.active);
+    const getEnemies = () => engine.gameObjects.filter(obj => obj instanceof game.get('Enemy') && obj.active);
+
+    // 撃った弾がすべて命中した扱いでレベルをクリアする
+    const clearLevelAccurately = () => {
+        getEnemies().forEach(enemy => {
+            const bullet = {};
+            engine.events.emit('bulletFired', { player: getPlayer(), bullets: [bullet], weaponType: 'basic' });
+            engine.events.emit('bulletHit', { bullet: bullet, target: enemy });
+            enemy.takeDamage(999);
+        });
+        engine.levelManager.update(16);
+    };
+
+    beforeEach(() => {
+        game = createGame();
+        engine = game.engine;
+        achievements = engine.achievementManager;
+        engine.resetGame(1, 1);
+    });
+
+    it('条件を満たすと解除して通知し、保存する', () => {
+        getEnemies()[0].takeDamage(999);
+
+        assert.equal(achievements.isUnlocked('firstKill'), true);
+        assert.ok(engine.uiSystem.notificationQueue.some(notification => notification.message.includes('ファーストショット')));
+
+        const saved = JSON.parse(game.storage.items.invaderGame_achievements);
+        assert.equal(saved.version, 1);
+        assert.equal(typeof saved.unlocked.firstKill, 'string');
+    });
+
+    it('被弾せず命中率90%以上でレベルをクリアすると、ノーダメージとスナイパーを解除する', () => {
+        clearLevelAccurately();
+
+        assert.equal(achievements.isUnlocked('noDamageClear'), true);
+        assert.equal(achievements.isUnlocked('sharpshooter'), true);
+    });
+
+    it('被弾したレベルのクリアではノーダメージを解除しない', () => {
+        getPlayer().takeDamage(1);
+        clearLevelAccurately();
+
+        assert.equal(achievements.isUnlocked('noDamageClear'), false);
+    });
+
+    it('1発のレーザーが貫通して4体倒すと解除する', () => {
+        const Weapon = game.get('Weapon');
+        const [laser] = new Weapon('laser').fire(0, 0, null, null, true);
+        const enemies = getEnemies().slice(0, 4);
+
+        enemies.forEach((enemy, index) => {
+            assert.equal(achievements.isUnlocked('laserPierce'), false);
+            laser.onCollision(enemy);
+            enemy.onCollision(laser);
+            assert.equal(laser.active, index < 3, '3体目までは貫通する');
+        });
+
+        assert.equal(achievements.isUnlocked('laserPierce'), true);
+    });
+
+    it('貫通して何体倒しても1発の命中として数え、命中率は100%を超えない', () => {
+        const Weapon = game.get('Weapon');
+        const levelStats = engine.levelManager.levelStats;
+        const bullets = new Weapon('laser').fire(0, 0, null, null, true);
+        engine.addGameObject(bullets[0]);
+        engine.events.emit('bulletFired', { player: getPlayer(), bullets: bullets, weaponType: 'laser' });
+        getEnemies().slice(0, 4).forEach(enemy => bullets[0].onCollision(enemy));
+
+        assert.equal(levelStats.enemiesDestroyed, 4);
+        assert.equal(levelStats.bulletsHit, 1);
+        assert.equal(levelStats.accuracy, 1);
+        assert.equal(engine.gameStateManager.gameStats.totalAccuracy, 1);
+
+        // 外れた弾が多ければ、残りを倒してクリアしてもスナイパーにはならない
+        for (let i = 0; i < 19; i++) {
+            engine.events.emit('bulletFired', { player: getPlayer(), bullets: [{}], weaponType: 'basic' });
+        }
+        getEnemies().forEach(enemy => enemy.takeDamage(999));
+        engine.levelManager.update(16);
+
+        assert.equal(levelStats.accuracy, 0.05);
+        assert.equal(achievements.isUnlocked('sharpshooter'), false);
+    });
+
+    it('武器を最大レベルまで強化すると解除する', () => {
+        const WeaponPickup = game.get('WeaponPickup');
+        const player = getPlayer();
+
+        while (player.weaponManager.weaponLevel < player.weaponManager.maxLevel) {
+            assert.equal(achievements.isUnlocked('maxWeapon'), false);
+            player.collectPickup(new WeaponPickup(player.x, player.y, 'rapid', engine.random));
+        }
+
+        assert.equal(achievements.isUnlocked('maxWeapon'), true);
+    });
+
+    it('リプレイ再生中は解除しない', () => {
+        engine.sceneManager.currentScene = engine.sceneManager.scenes.REPLAY;
+        getEnemies()[0].takeDamage(999);
+
+        assert.equal(achievements.isUnlocked('firstKill'), false);
+        assert.equal(game.storage.items.invaderGame_achievements, undefined);
+    });
+
+    it('保存した解除状況を読み込み、一覧にない実績は読み飛ばす', () => {
+        const storage = createStorageStub({
+            invaderGame_achievements: JSON.stringify({
+                version: 1,
+                unlocked: { bossSlayer: '2026-01-02T03:04:05.000Z', unknown: '2026-01-02T03:04:05.000Z', firstKill: 1 }
+            })
+        });
+        const loaded = createGame({ storage }).engine.achievementManager;
+
+        assert.equal(loaded.isUnlocked('bossSlayer'), true);
+        assert.equal(loaded.isUnlocked('firstKill'), false);
+        assert.equal(loaded.getUnlockedCount(), 1);
+        assert.equal(loaded.getAchievements().find(achievement => achievement.id === 'bossSlayer').unlockedAt,
+            '2026-01-02T03:04:05.000Z');
+    });
+
+    it('スタート画面のメニューから実績画面を開き、ESCで戻る', () => {
+        const sceneManager = engine.sceneManager;
+        sceneManager.currentScene = sceneManager.scenes.START;
+        sceneManager.isTransitioning = false;
+
+        sceneManager.selectMenuItem('achievements');
+        assert.equal(sceneManager.currentScene, sceneManager.scenes.ACHIEVEMENTS);
+
+        sceneManager.update(sceneManager.transitionDuration);
+        engine.inputManager.setActionDown('escape', true);
+        sceneManager.handleSceneInput();
+        assert.equal(sceneManager.currentScene, sceneManager.scenes.START);
+    });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame, createStorageStub } = require('./support/gameContext.js');
+
+describe('AudioManager の音量設定', () => {
+    /**
+     * 設定画面で指定した行を選び、キーを押す
+     * @param {GameEngine} engine - ゲームエンジン
+     * @param {string} rowId - 追加項目の行ID
+     * @param {string} key - 押すキー
+     */
+    const pressOnSettingsRow = (engine, rowId, key) => {
+        const sceneManager = engine.sceneManager;
+        const input = engine.inputManager;
+        const actions = Object.keys(input.keyBindings.actionLabels);
+
+        sceneManager.isTransitioning = false;
+        sceneManager.currentScene = sceneManager.scenes.SETTINGS;
+        sceneManager.settingsState.selectedRow = actions.length +
+            sceneManager.sceneData.settings.extraRows.findIndex(row => row.id === rowId);
+        input.keysPressed[key] = true;
+        sceneManager.handleSceneInput();
+        input.keysPressed[key] = false;
+    };
+
+    it('設定画面の音量の行で←→を押すと音量が変わり、保存される', () => {
+        const storage = createStorageStub();
+        const { engine } = createGame({ storage });
+        const audioManager = engine.audioManager;
+        const master = audioManager.getSettings().masterVolume;
+        const slot = engine.sceneManager.settingsState.selectedSlot;
+
+        pressOnSettingsRow(engine, 'masterVolume', 'ArrowLeft');
+        assert.equal(audioManager.getSettings().masterVolume, Math.round((master - 0.1) * 10) / 10);
+        assert.equal(engine.sceneManager.settingsState.selectedSlot, slot, '音量の行では枠を動かさない');
+
+        pressOnSettingsRow(engine, 'musicVolume', 'ArrowRight');
+        pressOnSettingsRow(engine, 'sfxVolume', 'ArrowLeft');
+
+        const saved = JSON.parse(storage.items.invaderGame_audioSettings);
+        assert.equal(saved.masterVolume, audioManager.getSettings().masterVolume);
+        assert.equal(saved.musicVolume, 0.6);
+        assert.equal(saved.sfxVolume, 0.7);
+        assert.equal(createGame({ storage }).engine.audioManager.getSettings().musicVolume, 0.6);
+    });
+
+    it('音量は0〜1の範囲に収まる', () => {
+        const { engine } = createGame();
+
+        for (let i = 0; i < 15; i++) {
+            pressOnSettingsRow(engine, 'sfxVolume', 'ArrowRight');
+        }
+        assert.equal(engine.audioManager.getSettings().sfxVolume, 1);
+
+        for (let i = 0; i < 15; i++) {
+            pressOnSettingsRow(engine, 'sfxVolume', 'ArrowLeft');
+        }
+        assert.equal(engine.audioManager.getSettings().sfxVolume, 0);
+    });
+
+    it('保存された設定は型と範囲を確かめてから読み込む', () => {
+        // 別の vm で作られたオブジェクトなので、比べる前にこちら側のオブジェクトへ写す
+        const load = saved => ({
+            ...createGame({ storage: createStorageStub({ invaderGame_audioSettings: saved }) })
+                .engine.audioManager.getSettings()
+        });
+        const defaults = load(null);
+
+        assert.deepEqual(load('null'), defaults);
+        assert.deepEqual(load('"loud"'), defaults);
+        assert.deepEqual(load(JSON.stringify({ masterVolume: '0.5', musicVolume: null, sfxVolume: 'x', muted: 'yes' })),
+            defaults);
+        assert.deepEqual(load(JSON.stringify({ masterVolume: 3, musicVolume: -1, sfxVolume: 0.25, muted: true })),
+            { masterVolume: 1, musicVolume: 0, sfxVolume: 0.25, muted: true });
+    });
+});
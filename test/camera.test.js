@@ -0,0 +1,113 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame, createStorageStub } = require('./support/gameContext.js');
+
+describe('Camera', () => {
+    let game;
+    let engine;
+    let camera;
+
+    const addBullet = () => {
+        const Bullet = game.get('Bullet');
+        const bullet = new Bullet(100, 300, 0, -400, true);
+        engine.addGameObject(bullet);
+        return bullet;
+    };
+
+    beforeEach(() => {
+        game = createGame();
+        engine = game.engine;
+        camera = engine.camera;
+        engine.sceneManager.startGame('campaign', 1);
+        engine.sceneManager.update(engine.sceneManager.transitionDuration);
+    });
+
+    it('トラウマは0〜1に収まり、時間とともに減衰して揺れが止まる', () => {
+        camera.addTrauma(0.8);
+        camera.addTrauma(0.8);
+        assert.equal(camera.trauma, 1);
+
+        camera.update(100);
+        assert.ok(camera.trauma < 1);
+        assert.ok(Math.abs(camera.offsetX) <= camera.maxOffset && Math.abs(camera.offsetY) <= camera.maxOffset);
+
+        camera.update(1000);
+        assert.equal(camera.trauma, 0);
+        assert.equal(camera.offsetX, 0);
+        assert.equal(camera.offsetY, 0);
+    });
+
+    it('自機の撃墜で画面が揺れ、ヒットストップの間はゲームが止まる', () => {
+        const player = engine.gameObjects.find(obj => obj instanceof game.get('Player'));
+        const bullet = addBullet();
+        player.takeDamage(1);
+
+        assert.ok(camera.trauma > 0);
+        assert.equal(camera.isHitStopped(), true);
+
+        engine.update(16);
+        assert.equal(bullet.y, 300);
+
+        for (let i = 0; i < 8; i++) {
+            engine.update(16);
+        }
+        assert.equal(camera.isHitStopped(), false);
+        assert.ok(bullet.y < 300);
+    });
+
+    it('ヒットストップをまたぐフレームは止まった残りの時間だけ進める', () => {
+        camera.hitStop(10);
+        assert.equal(camera.consumeHitStop(16), 6);
+        assert.equal(camera.consumeHitStop(16), 16);
+
+        camera.hitStop(1000);
+        assert.equal(camera.hitStopTimer, camera.maxHitStop);
+    });
+
+    it('リプレイ再生でも同じようにヒットストップを消費する', () => {
+        const bullet = addBullet();
+        camera.hitStop(32);
+
+        engine.stepReplayFrame(16);
+        engine.stepReplayFrame(16);
+        assert.equal(bullet.y, 300);
+
+        engine.stepReplayFrame(16);
+        assert.ok(bullet.y < 300);
+    });
+
+    it('ゲームをやり直すと揺れとヒットストップを止める', () => {
+        camera.addTrauma(1);
+        camera.hitStop(100);
+        engine.resetGame(1, 1);
+
+        assert.equal(camera.trauma, 0);
+        assert.equal(camera.isHitStopped(), false);
+    });
+
+    it('画面の揺れを無効にすると描画位置をずらさず、設定は保存される', () => {
+        const storage = createStorageStub();
+        const { engine: settingsEngine } = createGame({ storage });
+        const sceneManager = settingsEngine.sceneManager;
+        const input = settingsEngine.inputManager;
+        const actions = Object.keys(input.keyBindings.actionLabels);
+
+        sceneManager.isTransitioning = false;
+        sceneManager.currentScene = sceneManager.scenes.SETTINGS;
+        sceneManager.settingsState.selectedRow = actions.length +
+            sceneManager.sceneData.settings.extraRows.findIndex(row => row.id === 'shake');
+        input.setActionDown('enter', true);
+        sceneManager.handleSceneInput();
+
+        const shakeCamera = settingsEngine.camera;
+        assert.equal(shakeCamera.isShakeEnabled(), false);
+        shakeCamera.addTrauma(1);
+        shakeCamera.update(16);
+        assert.equal(shakeCamera.offsetX, 0);
+        assert.equal(shakeCamera.offsetY, 0);
+
+        assert.equal(createGame({ storage }).engine.camera.isShakeEnabled(), false);
+    });
+});
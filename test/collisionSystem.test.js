@@ -0,0 +1,156 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('./support/gameContext.js');
+
+describe('SpatialGrid', () => {
+    let game;
+    let SpatialGrid;
+    let GameObject;
+
+    const createObject = (x, y, width = 20, height = 20) => {
+        const obj = new GameObject(x, y);
+        obj.width = width;
+        obj.height = height;
+        return obj;
+    };
+
+    beforeEach(() => {
+        game = createGame();
+        SpatialGrid = game.get('SpatialGrid');
+        GameObject = game.get('GameObject');
+    });
+
+    it('同じセルにあるオブジェクトを近くのオブジェクトとして返す', () => {
+        const grid = new SpatialGrid(200, 200, 50);
+        const a = createObject(20, 20);
+        const b = createObject(30, 30);
+        grid.insert(a);
+        grid.insert(b);
+
+        assert.deepEqual([...grid.getNearbyObjects(a, [a, b])], [b]);
+    });
+
+    it('離れたセルのオブジェクトと検索対象外のオブジェクトは返さない', () => {
+        const grid = new SpatialGrid(200, 200, 50);
+        const a = createObject(20, 20);
+        const far = createObject(180, 180);
+        const untargeted = createObject(25, 25);
+        [a, far, untargeted].forEach(obj => grid.insert(obj));
+
+        assert.equal(grid.getNearbyObjects(a, [far]).length, 0);
+        assert.equal(grid.getNearbyObjects(a, [far, a]).length, 0);
+    });
+
+    it('セルの境界をまたぐオブジェクトは両方のセルから見つかる', () => {
+        const grid = new SpatialGrid(200, 200, 50);
+        const wide = createObject(50, 20, 40, 10);
+        const left = createObject(10, 20);
+        const right = createObject(90, 20);
+        [wide, left, right].forEach(obj => grid.insert(obj));
+
+        assert.deepEqual([...grid.getNearbyObjects(left, [wide, right])], [wide]);
+        assert.deepEqual([...grid.getNearbyObjects(right, [wide, left])], [wide]);
+    });
+
+    it('画面端から一部はみ出したオブジェクトも端のセルに登録される', () => {
+        const grid = new SpatialGrid(200, 200, 50);
+        const outside = createObject(-5, 205);
+        const corner = createObject(5, 195);
+        grid.insert(outside);
+        grid.insert(corner);
+
+        assert.deepEqual([...grid.getNearbyObjects(corner, [outside])], [outside]);
+    });
+
+    it('clear() で登録を消す', () => {
+        const grid = new SpatialGrid(200, 200, 50);
+        const a = createObject(20, 20);
+        const b = createObject(30, 30);
+        grid.insert(b);
+        grid.clear();
+
+        assert.equal(grid.getNearbyObjects(a, [b]).length, 0);
+    });
+});
+
+describe('CollisionSystem', () => {
+    let game;
+    let engine;
+
+    beforeEach(() => {
+        game = createGame();
+        engine = game.engine;
+        engine.resetGame(1, 1);
+
+        // 編隊とバンカーを取り除き、テストで置いたオブジェクトだけにする
+        const GameObject = game.get('GameObject');
+        const Player = game.get('Player');
+        engine.gameObjects = engine.gameObjects.filter(obj => !(obj instanceof GameObject) || obj instanceof Player);
+        engine.bunkerManager.clearBunkers();
+    });
+
+    it('境界が接しているオブジェクトは衝突とみなす', () => {
+        const GameObject = game.get('GameObject');
+        const a = new GameObject(0, 0);
+        const b = new GameObject(20, 0);
+        const c = new GameObject(21, 0);
+
+        assert.equal(engine.collisionSystem.checkAABBCollision(a, b), true);
+        assert.equal(engine.collisionSystem.checkAABBCollision(a, c), false);
+    });
+
+    it('非アクティブなオブジェクトとは衝突しない', () => {
+        const GameObject = game.get('GameObject');
+        const a = new GameObject(0, 0);
+        const b = new GameObject(5, 0);
+        b.active = false;
+
+        assert.equal(engine.collisionSystem.checkCollision(a, b), false);
+    });
+
+    it('プレイヤー弾が当たった敵を倒し、弾を消す', () => {
+        const Enemy = game.get('Enemy');
+        const Bullet = game.get('Bullet');
+        const enemy = new Enemy(200, 100, 'basic', engine.random);
+        const bullet = new Bullet(200, 105, 0, -400, true);
+        engine.addGameObject(enemy);
+        engine.addGameObject(bullet);
+
+        engine.collisionSystem.update(16);
+
+        assert.equal(enemy.active, false);
+        assert.equal(bullet.active, false);
+        assert.ok(engine.collisionSystem.getStats().collisionsPerFrame >= 1);
+    });
+
+    it('離れた弾と敵は衝突しない', () => {
+        const Enemy = game.get('Enemy');
+        const Bullet = game.get('Bullet');
+        const enemy = new Enemy(200, 100, 'basic', engine.random);
+        const bullet = new Bullet(400, 300, 0, -400, true);
+        engine.addGameObject(enemy);
+        engine.addGameObject(bullet);
+
+        engine.collisionSystem.update(16);
+
+        assert.equal(enemy.active, true);
+        assert.equal(bullet.active, true);
+    });
+
+    it('敵弾が当たると残機が減り、自機が撃墜される', () => {
+        const Player = game.get('Player');
+        const Bullet = game.get('Bullet');
+        const player = engine.gameObjects.find(obj => obj instanceof Player);
+        const lives = engine.gameStateManager.getGameState().lives;
+        const bullet = new Bullet(player.x, player.y, 0, 200, false);
+        engine.addGameObject(bullet);
+
+        engine.collisionSystem.update(16);
+
+        assert.equal(engine.gameStateManager.getGameState().lives, lives - 1);
+        assert.equal(player.active, false);
+        assert.equal(bullet.active, false);
+    });
+});
@@ -0,0 +1,229 @@
+'use strict';
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGameContext, createGame } = require('./support/gameContext.js');
+
+describe('DamageSystem.calculateDamage', () => {
+    let DamageSystem;
+
+    before(() => {
+        DamageSystem = createGameContext().get('DamageSystem');
+    });
+
+    /**
+     * クリティカル判定を固定した DamageSystem を作成
+     * @param {boolean} isCritical - クリティカルにするかどうか
+     */
+    const createDamageSystem = (isCritical = false) =>
+        new DamageSystem({ random: { chance: () => isCritical } });
+
+    it('通常ダメージは基本ダメージのまま', () => {
+        const result = createDamageSystem().calculateDamage(null, {}, 3, 'normal');
+
+        assert.equal(result.finalDamage, 3);
+        assert.equal(result.baseDamage, 3);
+        assert.equal(result.isCritical, false);
+        assert.equal(result.damageType, 'normal');
+    });
+
+    it('クリティカルは criticalMultiplier 倍', () => {
+        const damageSystem = createDamageSystem(true);
+        const result = damageSystem.calculateDamage(null, {}, 3, 'normal');
+
+        assert.equal(result.isCritical, true);
+        assert.equal(result.finalDamage, 3 * damageSystem.criticalMultiplier);
+    });
+
+    it('クリティカル判定には criticalChance を使う', () => {
+        let probability = null;
+        const damageSystem = new DamageSystem({ random: { chance: value => { probability = value; return false; } } });
+        damageSystem.calculateDamage(null, {}, 1, 'normal');
+
+        assert.equal(probability, damageSystem.criticalChance);
+    });
+
+    it('レーザーは1.5倍、爆発は2倍（端数は切り捨て）', () => {
+        const damageSystem = createDamageSystem();
+
+        assert.equal(damageSystem.calculateDamage(null, {}, 3, 'laser').finalDamage, 4);
+        assert.equal(damageSystem.calculateDamage(null, {}, 3, 'explosion').finalDamage, 6);
+        assert.equal(damageSystem.calculateDamage(null, {}, 3, 'piercing').finalDamage, 3);
+    });
+
+    it('防御力の分だけ減り、最低1ダメージは通る', () => {
+        const damageSystem = createDamageSystem();
+
+        assert.equal(damageSystem.calculateDamage(null, { defense: 2 }, 5, 'normal').finalDamage, 3);
+        assert.equal(damageSystem.calculateDamage(null, { defense: 10 }, 5, 'normal').finalDamage, 1);
+    });
+
+    it('貫通ダメージは防御力を無視する', () => {
+        const damageSystem = createDamageSystem();
+
+        assert.equal(damageSystem.calculateDamage(null, { defense: 2 }, 5, 'piercing').finalDamage, 5);
+        assert.equal(damageSystem.calculateDamage(null, { defense: 2 }, 5, 'laser').finalDamage, 5);
+    });
+
+    it('damageMultiplier を掛けても最低1ダメージ', () => {
+        const damageSystem = createDamageSystem();
+        damageSystem.damageMultiplier = 0.1;
+
+        assert.equal(damageSystem.calculateDamage(null, {}, 1, 'normal').finalDamage, 1);
+
+        damageSystem.damageMultiplier = 2;
+        assert.equal(damageSystem.calculateDamage(null, {}, 3, 'normal').finalDamage, 6);
+    });
+});
+
+describe('DamageSystem.applyDamage（戦闘のダメージ処理）', () => {
+    let game;
+    let engine;
+    let damageSystem;
+
+    const getPlayer = () => engine.gameObjects.find(obj => obj instanceof game.get('Player') && obj.active);
+
+    /**
+     * 敵を追加（弾の当たり判定は衝突システムと同じく両方の onCollision を呼ぶ）
+     * @param {string} enemyType - 敵タイプ
+     */
+    const addEnemy = (enemyType = 'basic') => {
+        const Enemy = game.get('Enemy');
+        const enemy = new Enemy(400, 200, enemyType, engine.random);
+        engine.addGameObject(enemy);
+        return enemy;
+    };
+    const hit = (obj1, obj2) => {
+        obj1.onCollision(obj2);
+        obj2.onCollision(obj1);
+    };
+
+    beforeEach(() => {
+        game = createGame();
+        engine = game.engine;
+        damageSystem = engine.damageSystem;
+        engine.resetGame(1, 1);
+        damageSystem.setCriticalChance(0);
+    });
+
+    it('自機の弾の命中はダメージタイプ付きで1回だけ計算し、ダメージ数値とヒットエフェクトを出す', () => {
+        const enemy = addEnemy('strong');
+        const Bullet = game.get('Bullet');
+        const bullet = new Bullet(enemy.x, enemy.y + 10, 0, -400, true);
+        engine.addGameObject(bullet);
+
+        hit(bullet, enemy);
+
+        assert.equal(enemy.health, 1);
+        assert.equal(bullet.active, false);
+        assert.ok(damageSystem.damageEffects.some(effect => effect instanceof game.get('DamageTextEffect') && effect.damage === 1));
+        assert.ok(damageSystem.damageEffects.some(effect => effect instanceof game.get('HitEffect') && effect.damageType === 'normal'));
+    });
+
+    it('レーザーの弾はレーザーの倍率、ほかの武器の弾は通常のダメージで計算する', () => {
+        const Weapon = game.get('Weapon');
+        const target = addEnemy('strong');
+        target.health = 10;
+
+        const [laser] = new Weapon('laser').fire(target.x, target.y + 10, null, null, true);
+        assert.equal(laser.damageType, 'laser');
+        engine.addGameObject(laser);
+        hit(laser, target);
+        assert.equal(target.health, 7, 'レーザー2ダメージ x 1.5');
+
+        const [bullet] = new Weapon('spread').fire(target.x, target.y + 10, null, null, true);
+        assert.equal(bullet.damageType, 'normal');
+        engine.addGameObject(bullet);
+        hit(bullet, target);
+        assert.equal(target.health, 6);
+    });
+
+    it('撃破した弾を敵の撃破イベントに渡す', () => {
+        const enemy = addEnemy();
+        const Bullet = game.get('Bullet');
+        const bullet = new Bullet(enemy.x, enemy.y, 0, -400, true);
+        engine.addGameObject(bullet);
+        let source = null;
+        engine.events.on('enemyKilled', data => { source = data.source; });
+
+        hit(bullet, enemy);
+
+        assert.equal(source, bullet);
+    });
+
+    it('敵の弾は自機に1回だけ当たり、無敵中は防がれても弾は消える', () => {
+        const Bullet = game.get('Bullet');
+        const livesBefore = engine.gameStateManager.getGameState().lives;
+        const player = getPlayer();
+
+        player.setInvulnerable(1000);
+        const blocked = new Bullet(player.x, player.y, 0, 200, false);
+        engine.addGameObject(blocked);
+        hit(blocked, player);
+        assert.equal(blocked.active, false);
+        assert.equal(engine.gameStateManager.getGameState().lives, livesBefore);
+
+        player.invulnerable = false;
+        const bullet = new Bullet(player.x, player.y, 0, 200, false);
+        engine.addGameObject(bullet);
+        hit(bullet, player);
+        assert.equal(bullet.active, false);
+        assert.equal(engine.gameStateManager.getGameState().lives, livesBefore - 1);
+    });
+
+    it('敵との体当たりでは自機と敵の両方がダメージを受ける', () => {
+        const player = getPlayer();
+        const enemy = addEnemy('strong');
+        const livesBefore = engine.gameStateManager.getGameState().lives;
+
+        hit(player, enemy);
+
+        assert.equal(enemy.active, false);
+        assert.equal(engine.gameStateManager.getGameState().lives, livesBefore - 1);
+    });
+
+    it('体当たりした敵はダメージ倍率に関係なく必ず破壊される', () => {
+        const enemy = addEnemy('strong');
+        enemy.health = 3;
+        damageSystem.setDamageMultiplier(0.5);
+
+        enemy.onCollision(getPlayer());
+
+        assert.equal(enemy.active, false);
+        assert.ok(damageSystem.damageEffects.some(effect => effect instanceof game.get('DamageTextEffect') && effect.damage === 3));
+    });
+
+    it('登場中のボスにはダメージを与えない', () => {
+        const Boss = game.get('Boss');
+        const boss = new Boss(400, 120, {}, engine.random);
+        engine.addGameObject(boss);
+
+        const result = damageSystem.applyDamage(getPlayer(), boss, 5, 'normal');
+
+        assert.equal(result.blocked, true);
+        assert.equal(boss.health, boss.maxHealth);
+        assert.equal(damageSystem.damageEffects.length, 0);
+    });
+
+    it('ノックバックはゲーム内の時間で押し戻した後、元の位置に戻る', () => {
+        const enemy = addEnemy('strong');
+        const attacker = { x: enemy.x, y: enemy.y + 50 };
+        const startY = enemy.y;
+
+        damageSystem.applyDamage(attacker, enemy, 1, 'normal');
+        damageSystem.update(damageSystem.knockbackDuration);
+        assert.equal(enemy.y, startY - damageSystem.knockbackForce * damageSystem.knockbackDuration / 1000);
+
+        damageSystem.update(damageSystem.knockbackDuration);
+        assert.equal(enemy.y, startY);
+        assert.equal(damageSystem.knockbacks.length, 0);
+    });
+
+    it('ゲームをやり直すとダメージエフェクトとノックバックを消す', () => {
+        damageSystem.applyDamage({ x: 400, y: 250 }, addEnemy('strong'), 1, 'normal');
+        engine.resetGame(1, 1);
+
+        assert.equal(damageSystem.damageEffects.length, 0);
+        assert.equal(damageSystem.knockbacks.length, 0);
+    });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('./support/gameContext.js');
+
+describe('EnemyFormation の端での折り返し', () => {
+    let engine;
+    let formation;
+
+    /**
+     * 編隊をステップ単位で進める（敵の移動と編隊の制御を両方行う）
+     * @param {number} deltaTime - 経過時間（ミリ秒）
+     */
+    const step = (deltaTime = 1000 / 60) => {
+        formation.enemies.forEach(enemy => enemy.update(deltaTime));
+        formation.update(deltaTime);
+    };
+
+    const getEdges = () => ({
+        left: Math.min(...formation.enemies.map(enemy => enemy.x - enemy.width / 2)),
+        right: Math.max(...formation.enemies.map(enemy => enemy.x + enemy.width / 2)),
+        top: Math.min(...formation.enemies.map(enemy => enemy.y))
+    });
+
+    beforeEach(() => {
+        const game = createGame();
+        engine = game.engine;
+        formation = game.get('enemyFormation');
+        engine.resetGame(1, 1);
+    });
+
+    it('右端に着くと向きを反転して下に降りる', () => {
+        const { right, top } = getEdges();
+        const shift = engine.width - formation.edgeMargin - right;
+        formation.enemies.forEach(enemy => { enemy.x += shift; });
+
+        formation.update(16);
+
+        assert.equal(formation.direction, -1);
+        assert.equal(formation.isMovingDown, true);
+        formation.enemies.forEach(enemy => {
+            assert.equal(enemy.vx, 0);
+            assert.ok(enemy.vy > 0);
+        });
+
+        // 降下時間が過ぎると dropDistance だけ下がって左へ動き始める
+        for (let elapsed = 0; elapsed < formation.moveDownDuration; elapsed += 1000 / 60) {
+            step();
+        }
+        assert.equal(formation.isMovingDown, false);
+        assert.ok(Math.abs(getEdges().top - (top + formation.dropDistance)) <= 1);
+        formation.enemies.forEach(enemy => assert.ok(enemy.vx < 0));
+    });
+
+    it('左端に着くと右向きに戻る', () => {
+        formation.direction = -1;
+        const { left } = getEdges();
+        const shift = formation.edgeMargin - left;
+        formation.enemies.forEach(enemy => { enemy.x += shift; });
+
+        formation.update(16);
+
+        assert.equal(formation.direction, 1);
+        assert.equal(formation.isMovingDown, true);
+    });
+
+    it('端に着くまでは横に進み続ける', () => {
+        const before = getEdges();
+        for (let i = 0; i < 30; i++) {
+            step();
+        }
+
+        assert.equal(formation.direction, 1);
+        assert.equal(formation.isMovingDown, false);
+        assert.ok(getEdges().left > before.left);
+        assert.equal(getEdges().top, before.top);
+    });
+
+    it('編隊の幅が画面の端を越えることはない', () => {
+        for (let i = 0; i < 60 * 30; i++) {
+            step();
+            const { left, right } = getEdges();
+            assert.ok(left >= formation.edgeMargin - 1, `left: ${left}`);
+            assert.ok(right <= engine.width - formation.edgeMargin + 1, `right: ${right}`);
+        }
+    });
+
+    it('新しい編隊は右向き・水平移動から始まる', () => {
+        formation.direction = -1;
+        formation.isMovingDown = true;
+        engine.resetGame(1, 1);
+
+        assert.equal(formation.direction, 1);
+        assert.equal(formation.isMovingDown, false);
+    });
+});
+
+describe('EnemyFormation の全滅通知', () => {
+    let engine;
+    let formation;
+    let destroyedCount;
+
+    beforeEach(() => {
+        const game = createGame();
+        engine = game.engine;
+        formation = game.get('enemyFormation');
+        destroyedCount = 0;
+        formation.onFormationDestroyed = () => { destroyedCount++; };
+    });
+
+    it('全滅は編隊ごとに一度だけ通知する', () => {
+        engine.resetGame(1, 1);
+        formation.enemies.forEach(enemy => enemy.destroy());
+
+        for (let i = 0; i < 10; i++) {
+            formation.update(16);
+        }
+        assert.equal(destroyedCount, 1);
+
+        engine.resetGame(1, 1);
+        formation.enemies.forEach(enemy => enemy.destroy());
+        formation.update(16);
+        assert.equal(destroyedCount, 2);
+    });
+
+    it('最初から敵のいないボス戦の編隊は全滅を通知しない', () => {
+        engine.resetGame(1, 3);
+        assert.equal(formation.initialEnemyCount, 0);
+        assert.ok(formation.boss);
+
+        for (let i = 0; i < 10; i++) {
+            formation.update(16);
+        }
+        assert.equal(destroyedCount, 0);
+    });
+});
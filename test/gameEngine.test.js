@@ -0,0 +1,38 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('./support/gameContext.js');
+
+describe('GameEngine の描画補間', () => {
+    let game;
+    let engine;
+
+    beforeEach(() => {
+        game = createGame();
+        engine = game.engine;
+        engine.resetGame(1, 1);
+    });
+
+    it('生成後に移動してから追加したオブジェクトは追加した位置から補間する', () => {
+        // 右から左へ横切るUFOは画面右端の外で出現する
+        engine.ufoSpawner.spawnCount = 1;
+        engine.ufoSpawner.spawnUFO();
+        const ufo = engine.ufoSpawner.currentUFO;
+
+        assert.ok(ufo.x > engine.width);
+        assert.equal(ufo.previousX, ufo.x);
+        assert.equal(ufo.previousY, ufo.y);
+    });
+
+    it('リセットで初期位置に戻したプレイヤーは元の位置から補間しない', () => {
+        const player = engine.gameObjects.find(obj => obj instanceof game.get('Player'));
+        player.x = 40;
+        player.savePreviousPosition();
+
+        player.reset();
+
+        assert.equal(player.previousX, player.x);
+        assert.equal(player.previousY, player.y);
+    });
+});
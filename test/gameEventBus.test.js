@@ -0,0 +1,133 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('./support/gameContext.js');
+
+describe('GameEventBus', () => {
+    let game;
+    let engine;
+    let received;
+
+    const record = (...names) => {
+        names.forEach(name => {
+            engine.events.on(name, payload => received.push([name, payload]));
+        });
+    };
+
+    const getPlayer = () => engine.gameObjects.find(obj => obj instanceof game.get('Player') && obj.active);
+
+    beforeEach(() => {
+        game = createGame();
+        engine = game.engine;
+        engine.resetGame(1, 1);
+        received = [];
+    });
+
+    it('購読したリスナーに発行順でペイロードを渡し、解除後は呼ばない', () => {
+        const unsubscribe = engine.events.on('levelCleared', payload => received.push(payload));
+
+        engine.events.emit('levelCleared', { level: 1, bonusScore: 100 });
+        unsubscribe();
+        engine.events.emit('levelCleared', { level: 2, bonusScore: 200 });
+
+        assert.deepEqual(received.map(payload => payload.level), [1]);
+    });
+
+    it('リスナーのエラーは他のリスナーに影響しない', () => {
+        engine.events.on('levelFailed', () => {
+            throw new Error('テスト用のエラー');
+        });
+        record('levelFailed');
+
+        engine.events.emit('levelFailed', { level: 3 });
+
+        assert.equal(received.length, 1);
+        assert.equal(received[0][1].level, 3);
+    });
+
+    it('不明なイベント名は購読も発行もしない', () => {
+        const unsubscribe = engine.events.on('enemyKiled', () => received.push('called'));
+        engine.events.emit('enemyKiled', {});
+
+        assert.equal(typeof unsubscribe, 'function');
+        assert.equal(received.length, 0);
+    });
+
+    it('敵を倒すと enemyKilled を発行し、レベル・通算の撃破数に反映される', () => {
+        record('enemyKilled');
+        const enemy = engine.gameObjects.find(obj => obj instanceof game.get('Enemy') && obj.active);
+        enemy.takeDamage(999);
+
+        assert.equal(received.length, 1);
+        assert.equal(received[0][1].enemy, enemy);
+        assert.equal(received[0][1].points, enemy.points);
+        assert.equal(engine.levelManager.levelStats.enemiesDestroyed, 1);
+        assert.equal(engine.gameStateManager.gameStats.totalEnemiesDestroyed, 1);
+    });
+
+    it('射撃すると bulletFired を発行し、発射数に反映される', () => {
+        record('bulletFired');
+        getPlayer().shoot();
+
+        assert.equal(received.length, 1);
+        assert.equal(received[0][1].weaponType, 'basic');
+        assert.ok(received[0][1].bullets.length > 0);
+        assert.equal(engine.levelManager.levelStats.bulletsShot, 1);
+        assert.equal(engine.levelManager.levelStats.bulletsFired, received[0][1].bullets.length);
+        assert.equal(engine.gameStateManager.gameStats.totalBulletsShot, received[0][1].bullets.length);
+    });
+
+    it('被弾すると playerHit を発行し、HUDの残機を更新する', () => {
+        record('playerHit');
+        const lives = engine.gameStateManager.getGameState().lives;
+        getPlayer().takeDamage(1);
+
+        assert.equal(received.length, 1);
+        assert.equal(received[0][1].lives, lives - 1);
+        assert.match(game.elements.lives.textContent, new RegExp(String(lives - 1)));
+    });
+
+    it('武器アイテムの取得は衝突の順序に関係なく1回だけ pickupCollected を発行する', () => {
+        record('pickupCollected');
+        const WeaponPickup = game.get('WeaponPickup');
+        const player = getPlayer();
+        const pickup = new WeaponPickup(player.x, player.y, 'rapid', engine.random);
+        engine.addGameObject(pickup);
+
+        pickup.onCollision(player);
+        player.onCollision(pickup);
+
+        assert.equal(received.length, 1);
+        assert.equal(received[0][1].pickup, pickup);
+        assert.equal(engine.gameStateManager.gameStats.weaponsCollected, 1);
+        assert.equal(pickup.active, false);
+    });
+
+    it('レベルの開始・クリアを levelStarted / levelCleared で通知する', () => {
+        record('levelStarted', 'levelCleared');
+        engine.gameObjects
+            .filter(obj => obj instanceof game.get('Enemy'))
+            .forEach(enemy => enemy.destroy());
+        engine.levelManager.update(16);
+        engine.levelManager.proceedToNextLevel();
+
+        assert.deepEqual(received.map(([name, payload]) => [name, payload.level]), [
+            ['levelCleared', 1],
+            ['levelStarted', 2]
+        ]);
+        assert.ok(received[0][1].bonusScore > 0);
+        assert.ok(engine.gameObjects.some(obj => obj instanceof game.get('Enemy') && obj.active));
+    });
+
+    it('シーン変更を sceneChanged で通知し、ゲーム画面の間だけHUDを表示する', () => {
+        record('sceneChanged');
+        const sceneManager = engine.sceneManager;
+        sceneManager.isTransitioning = false;
+        sceneManager.changeScene(sceneManager.scenes.GAME_OVER);
+
+        assert.equal(received.length, 1);
+        assert.equal(received[0][1].to, sceneManager.scenes.GAME_OVER);
+        assert.equal(engine.uiSystem.uiState.visible, false);
+    });
+});
@@ -0,0 +1,249 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame, createStorageStub } = require('./support/gameContext.js');
+
+describe('GameStateManager の保存', () => {
+    it('ハイスコアを更新すると localStorage に保存する', () => {
+        const { engine, storage } = createGame();
+        engine.gameStateManager.addScore(1200);
+
+        assert.equal(storage.items.invaderGame_highScore, '1200');
+        assert.equal(engine.gameStateManager.getHighScore(), 1200);
+    });
+
+    it('ハイスコアより低いスコアでは上書きしない', () => {
+        const storage = createStorageStub({ invaderGame_highScore: '5000' });
+        const { engine } = createGame({ storage });
+        engine.gameStateManager.addScore(300);
+
+        assert.equal(storage.items.invaderGame_highScore, '5000');
+        assert.equal(engine.gameStateManager.getHighScore(), 5000);
+    });
+
+    it('保存したハイスコアを次回起動時に読み込む', () => {
+        const storage = createStorageStub();
+        createGame({ storage }).engine.gameStateManager.addScore(800);
+
+        const { engine } = createGame({ storage });
+        assert.equal(engine.gameStateManager.getGameStats().highScore, 800);
+    });
+
+    it('エンドレスモードのハイスコアと到達ウェーブは別のキーに保存する', () => {
+        const { engine, storage } = createGame();
+        engine.levelManager.setGameMode('endless');
+        engine.gameStateManager.addScore(450);
+        engine.gameStateManager.setLevel(4);
+
+        assert.equal(storage.items.invaderGame_endlessHighScore, '450');
+        assert.equal(storage.items.invaderGame_endlessBestWave, '4');
+        assert.equal(storage.items.invaderGame_highScore, '0');
+    });
+
+    it('saveGameState() と loadGameState() で状態を復元する', () => {
+        const storage = createStorageStub();
+        const saved = createGame({ storage }).engine.gameStateManager;
+        saved.addScore(640);
+        saved.loseLife();
+        saved.setLevel(2);
+        saved.saveGameState();
+
+        const loaded = createGame({ storage }).engine.gameStateManager;
+        assert.equal(loaded.loadGameState(), true);
+        assert.equal(loaded.getGameState().score, 640);
+        assert.equal(loaded.getGameState().lives, 2);
+        assert.equal(loaded.getGameState().level, 2);
+    });
+
+    it('保存データがない・壊れている場合は読み込まない', () => {
+        assert.equal(createGame().engine.gameStateManager.loadGameState(), false);
+
+        const storage = createStorageStub({ invaderGame_saveData: '{broken' });
+        const gameStateManager = createGame({ storage }).engine.gameStateManager;
+        assert.equal(gameStateManager.loadGameState(), false);
+        assert.equal(gameStateManager.getGameState().score, 0);
+    });
+
+    it('ゲームオーバー時に統計を保存する', () => {
+        const { engine, storage } = createGame();
+        engine.gameStateManager.onEnemyDestroyed();
+        engine.gameStateManager.setGameStatus('gameOver');
+
+        const stats = JSON.parse(storage.items.invaderGame_stats);
+        assert.equal(stats.totalEnemiesDestroyed, 1);
+    });
+});
+
+describe('続きから（セーブデータ）', () => {
+    const getPlayer = (game) => game.engine.gameObjects.find(obj => obj instanceof game.get('Player') && obj.active);
+
+    const playUntilSaved = (storage) => {
+        const game = createGame({ storage });
+        const engine = game.engine;
+        engine.levelManager.setGameMode('endless');
+        engine.resetGame(1, 3);
+        engine.scoreService.award(12000, 'ufo');
+        engine.gameStateManager.loseLife();
+        getPlayer(game).upgradeWeapon('laser');
+        getPlayer(game).upgradeWeapon();
+        engine.gameStateManager.saveGameState();
+        return game;
+    };
+
+    it('レベル・スコア・残機・武器・モードを保存し、続きから再開すると編隊を作り直す', () => {
+        const storage = createStorageStub();
+        const saved = playUntilSaved(storage);
+        const savedWeapon = getPlayer(saved).weaponManager.currentWeapon;
+
+        const game = createGame({ storage });
+        const engine = game.engine;
+        assert.equal(engine.continueGame(), true);
+
+        const state = engine.gameStateManager.getGameState();
+        assert.equal(engine.levelManager.gameMode, 'endless');
+        assert.equal(engine.levelManager.currentLevel, 3);
+        assert.equal(state.level, 3);
+        assert.equal(state.score, 12000);
+        assert.equal(state.lives, saved.engine.gameStateManager.getGameState().lives);
+        assert.ok(engine.gameObjects.some(obj => obj instanceof game.get('Enemy') && obj.active));
+
+        const weaponManager = getPlayer(game).weaponManager;
+        assert.equal(weaponManager.currentWeapon.weaponType, 'laser');
+        assert.equal(weaponManager.weaponLevel, 2);
+        assert.equal(weaponManager.currentWeapon.damage, savedWeapon.damage);
+        assert.equal(weaponManager.currentWeapon.fireRate, savedWeapon.fireRate);
+    });
+
+    it('再開したスコアまでのエクステンドは済んだものとして扱う', () => {
+        const storage = createStorageStub();
+        playUntilSaved(storage);
+
+        const { engine } = createGame({ storage });
+        engine.continueGame();
+        const lives = engine.gameStateManager.getGameState().lives;
+        engine.scoreService.award(100, 'ufo');
+
+        assert.equal(engine.gameStateManager.getGameState().lives, lives);
+        assert.equal(engine.lifeManager.nextExtraLifeScore, 30000);
+    });
+
+    it('番号のない古いセーブデータはキャンペーン・初期武器として移行する', () => {
+        const storage = createStorageStub({
+            invaderGame_saveData: JSON.stringify({
+                gameState: { score: 900, lives: 2, level: 2, weaponLevel: 3, gameStatus: 'playing' },
+                gameStats: { totalEnemiesDestroyed: 12, highScore: 99999 },
+                timestamp: 0
+            })
+        });
+        const game = createGame({ storage });
+        const engine = game.engine;
+
+        const data = engine.gameStateManager.readSaveData();
+        assert.equal(data.version, 2);
+        assert.equal(data.mode, 'campaign');
+
+        assert.equal(engine.continueGame(), true);
+        assert.equal(engine.gameStateManager.getGameState().score, 900);
+        assert.equal(engine.gameStateManager.getGameStats().totalEnemiesDestroyed, 12);
+        assert.notEqual(engine.gameStateManager.getGameStats().highScore, 99999);
+        assert.equal(getPlayer(game).weaponManager.currentWeapon.weaponType, 'basic');
+    });
+
+    it('対応していないバージョンや不正なセーブデータは破棄する', () => {
+        const invalidSaves = [
+            { version: 99, mode: 'campaign', gameState: { score: 0, lives: 3, level: 1 }, weapon: { type: 'basic', level: 1 } },
+            { version: 2, mode: 'campaign', gameState: { score: 0, lives: 0, level: 1 }, weapon: { type: 'basic', level: 1 } },
+            { version: 2, mode: 'campaign', gameState: { score: 0, lives: 3, level: 999 }, weapon: { type: 'basic', level: 1 } },
+            { version: 2, mode: 'versus', gameState: { score: 0, lives: 3, level: 1 }, weapon: { type: 'basic', level: 1 } }
+        ];
+
+        invalidSaves.forEach(saveData => {
+            const storage = createStorageStub({ invaderGame_saveData: JSON.stringify(saveData) });
+            const { engine } = createGame({ storage });
+
+            assert.equal(engine.gameStateManager.hasSavedGame(), false);
+            assert.equal(engine.continueGame(), false);
+            assert.equal(storage.items.invaderGame_saveData, undefined);
+        });
+    });
+
+    it('ゲームオーバーになるとセーブデータを削除する', () => {
+        const storage = createStorageStub();
+        const { engine } = playUntilSaved(storage);
+        assert.ok(storage.items.invaderGame_saveData);
+
+        engine.gameStateManager.setGameStatus('gameOver');
+        assert.equal(storage.items.invaderGame_saveData, undefined);
+    });
+
+    it('プレイを中断してタイトルに戻ると保存する', () => {
+        const storage = createStorageStub();
+        const { engine } = createGame({ storage });
+        const sceneManager = engine.sceneManager;
+        sceneManager.startGame('campaign', 7);
+        sceneManager.update(sceneManager.transitionDuration);
+        engine.scoreService.award(300, 'ufo');
+
+        sceneManager.pauseGame();
+        sceneManager.update(sceneManager.transitionDuration);
+        sceneManager.goToStartScreen();
+
+        assert.equal(JSON.parse(storage.items.invaderGame_saveData).gameState.score, 300);
+        assert.equal(sceneManager.getStartMenuItems()[0].id, 'continue');
+    });
+
+    it('セーブデータがある時だけスタート画面に「つづきから」を出し、選ぶと保存したレベルから始まる', () => {
+        const storage = createStorageStub();
+        const { engine } = createGame({ storage });
+        const sceneManager = engine.sceneManager;
+        assert.equal(sceneManager.getStartMenuItems()[0].id, 'campaign');
+
+        playUntilSaved(storage);
+        sceneManager.refreshSavedGame();
+        assert.equal(sceneManager.getStartMenuItems()[0].id, 'continue');
+        assert.match(sceneManager.getSavedGameLabel(), /ウェーブ3/);
+
+        sceneManager.selectMenuItem('continue');
+        sceneManager.update(sceneManager.transitionDuration);
+
+        assert.equal(sceneManager.currentScene, sceneManager.scenes.GAME);
+        assert.equal(engine.levelManager.currentLevel, 3);
+        assert.equal(engine.gameStateManager.getGameState().score, 12000);
+        assert.equal(engine.gameStateManager.getGameState().gameStatus, 'playing');
+        assert.equal(engine.inputManager.isRecording(), false);
+    });
+});
+
+describe('一時停止と再開', () => {
+    it('一時停止から再開すると、スコア・編隊・入力の記録をそのまま続ける', () => {
+        const game = createGame();
+        const engine = game.engine;
+        const sceneManager = engine.sceneManager;
+        const getEnemies = () => engine.gameObjects.filter(obj => obj instanceof game.get('Enemy') && obj.active);
+        sceneManager.startGame('campaign', 7);
+        sceneManager.update(sceneManager.transitionDuration);
+
+        engine.scoreService.award(300, 'ufo');
+        getEnemies()[0].takeDamage(999);
+        for (let i = 0; i < 10; i++) {
+            engine.update(16);
+        }
+        const enemyCount = getEnemies().length;
+        const recording = engine.inputManager.recording;
+        const frameCount = recording.getFrameCount();
+
+        sceneManager.pauseGame();
+        sceneManager.update(sceneManager.transitionDuration);
+        assert.equal(engine.gameStateManager.getGameState().gameStatus, 'paused');
+        sceneManager.resumeGame();
+        sceneManager.update(sceneManager.transitionDuration);
+
+        assert.equal(sceneManager.currentScene, sceneManager.scenes.GAME);
+        assert.equal(engine.gameStateManager.getGameState().gameStatus, 'playing');
+        assert.ok(engine.gameStateManager.getGameState().score >= 300);
+        assert.equal(getEnemies().length, enemyCount);
+        assert.equal(engine.inputManager.recording, recording);
+        assert.equal(recording.getFrameCount(), frameCount);
+    });
+});
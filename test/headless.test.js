@@ -0,0 +1,47 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHeadlessGame, simulateLevel } = require('../tools/headless.js');
+
+describe('ヘッドレスモード', () => {
+    it('Canvas・DOMなしでゲームエンジンを作成できる', () => {
+        const { engine } = createHeadlessGame();
+
+        assert.equal(engine.headless, true);
+        assert.equal(engine.canvas, null);
+        assert.equal(engine.renderer, null);
+        assert.equal(engine.getElement('score'), null);
+        assert.equal(engine.levelManager.maxLevel > 0, true);
+    });
+
+    it('レベルを最後までシミュレートできる', () => {
+        const result = simulateLevel(createHeadlessGame(), { level: 1, seed: 1 });
+
+        assert.ok(['clear', 'fail'].includes(result.result));
+        assert.ok(result.steps > 0);
+    });
+
+    it('同じシードなら同じ結果になる', () => {
+        const first = simulateLevel(createHeadlessGame(), { level: 1, seed: 42 });
+        const second = simulateLevel(createHeadlessGame(), { level: 1, seed: 42 });
+
+        assert.deepEqual(second, first);
+    });
+
+    it('同じエンジンで続けてシミュレートしても前回の結果を引き継がない', () => {
+        const game = createHeadlessGame();
+        simulateLevel(game, { level: 1, seed: 7 });
+        const repeated = simulateLevel(game, { level: 1, seed: 42 });
+
+        assert.deepEqual(repeated, simulateLevel(createHeadlessGame(), { level: 1, seed: 42 }));
+    });
+
+    it('設定や記録はメモリ上にだけ保存する', () => {
+        const { engine } = createHeadlessGame();
+        engine.gameStateManager.addScore(100);
+
+        assert.equal(engine.storage.getItem('invaderGame_highScore'), '100');
+        assert.equal(typeof localStorage, 'undefined');
+    });
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGameContext, createStorageStub } = require('./support/gameContext.js');
+
+describe('KeyBindings のリプレイ操作キー', () => {
+    const KeyBindings = createGameContext().get('KeyBindings');
+
+    it('リプレイ操作のキーは他の操作に割り当てられない', () => {
+        const keyBindings = new KeyBindings(createStorageStub());
+
+        ['r', 's', 'f', 'n', 'S'].forEach(key => {
+            const result = keyBindings.setBinding('shoot', 1, key);
+            assert.equal(result.success, false, key);
+            assert.match(result.conflict, /^replay/);
+        });
+        assert.deepEqual([...keyBindings.getKeys('shoot')], [' ', 'w']);
+        assert.equal(keyBindings.getActionLabel('replaySave'), 'リプレイ保存');
+    });
+
+    it('保存された割り当てにリプレイ操作のキーがあれば使わない', () => {
+        const storage = createStorageStub({
+            invaderGame_keyBindings: JSON.stringify({ shoot: ['s', 'j'], pause: ['n'] })
+        });
+        const keyBindings = new KeyBindings(storage);
+
+        assert.deepEqual([...keyBindings.getKeys('shoot')], ['j']);
+        assert.deepEqual([...keyBindings.getKeys('pause')], ['p']);
+        assert.deepEqual([...keyBindings.getKeys('replaySave')], ['s']);
+    });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame, createStorageStub } = require('./support/gameContext.js');
+
+describe('Leaderboard', () => {
+    let game;
+    let Leaderboard;
+    let storage;
+    let leaderboard;
+
+    const addScores = (scores, mode = 'campaign') => {
+        scores.forEach((score, index) => {
+            leaderboard.addEntry({ name: `P${index}`, score: score, level: 1, accuracy: 0.5, mode: mode });
+        });
+    };
+
+    beforeEach(() => {
+        game = createGame();
+        Leaderboard = game.get('Leaderboard');
+        storage = createStorageStub();
+        leaderboard = new Leaderboard(storage);
+    });
+
+    it('スコア順に並べ、モードごとに上位10件だけ残す', () => {
+        addScores([500, 1500, 1000, 200, 300, 400, 600, 700, 800, 900, 100]);
+
+        const scores = [...leaderboard.getEntries('campaign').map(entry => entry.score)];
+        assert.deepEqual(scores, [1500, 1000, 900, 800, 700, 600, 500, 400, 300, 200]);
+        assert.equal(leaderboard.getEntries('endless').length, 0);
+    });
+
+    it('同点の場合は先に登録したエントリが上になる', () => {
+        leaderboard.addEntry({ name: 'AAA', score: 1000, mode: 'campaign' });
+        const rank = leaderboard.addEntry({ name: 'BBB', score: 1000, mode: 'campaign' });
+
+        assert.equal(rank, 2);
+        assert.deepEqual([...leaderboard.getEntries('campaign').map(entry => entry.name)], ['AAA', 'BBB']);
+    });
+
+    it('ランク外・0点のスコアは登録しない', () => {
+        addScores([1000, 1000, 1000, 1000, 1000, 1000, 1000, 1000, 1000, 1000]);
+
+        assert.equal(leaderboard.isRankIn(1000, 'campaign'), false);
+        assert.equal(leaderboard.addEntry({ name: 'ZZZ', score: 999, mode: 'campaign' }), 0);
+        assert.equal(leaderboard.isRankIn(0, 'endless'), false);
+        assert.equal(leaderboard.getRank(1001, 'campaign'), 1);
+    });
+
+    it('名前は3文字の英数字に正規化する', () => {
+        assert.equal(leaderboard.normalizeName('ab'), 'AB.');
+        assert.equal(leaderboard.normalizeName('x-y-z-w'), 'XYZ');
+        assert.equal(leaderboard.normalizeName(''), '...');
+    });
+
+    it('保存したランキングを読み込み、不正なエントリは読み飛ばす', () => {
+        leaderboard.addEntry({ name: 'ACE', score: 1234, level: 3, accuracy: 0.75, mode: 'endless', date: '2026-01-02T03:04:05.000Z' });
+        const saved = JSON.parse(storage.items.invaderGame_leaderboard);
+        saved.endless.push({ name: 'BAD', score: 'NaN' }, null);
+        storage.setItem('invaderGame_leaderboard', JSON.stringify(saved));
+
+        const loaded = new Leaderboard(storage).getEntries('endless');
+        assert.equal(loaded.length, 1);
+        assert.deepEqual({ ...loaded[0] }, {
+            name: 'ACE', score: 1234, level: 3, accuracy: 0.75, date: '2026-01-02T03:04:05.000Z', mode: 'endless'
+        });
+    });
+
+    it('壊れた保存データでは空のランキングで始める', () => {
+        const broken = createStorageStub({ invaderGame_leaderboard: '{broken' });
+        assert.equal(new Leaderboard(broken).getEntries('campaign').length, 0);
+    });
+});
+
+describe('ネーム入力とランキング画面', () => {
+    let game;
+    let engine;
+    let sceneManager;
+    let input;
+
+    const press = action => {
+        input.setActionDown(action, true);
+        sceneManager.handleSceneInput();
+        input.update();
+        input.setActionDown(action, false);
+    };
+
+    const finishTransition = () => sceneManager.update(sceneManager.transitionDuration);
+
+    beforeEach(() => {
+        game = createGame();
+        engine = game.engine;
+        sceneManager = engine.sceneManager;
+        input = engine.inputManager;
+        engine.resetGame(1, 1);
+        sceneManager.currentScene = sceneManager.scenes.GAME;
+        sceneManager.isTransitioning = false;
+    });
+
+    it('ランキングに入るスコアでゲームオーバーになるとネーム入力の後に結果画面に進む', () => {
+        engine.scoreService.award(2500, 'ufo');
+        sceneManager.showGameOver();
+        assert.equal(sceneManager.currentScene, sceneManager.scenes.NAME_ENTRY);
+        assert.equal(sceneManager.nameEntryState.rank, 1);
+        finishTransition();
+        assert.equal(engine.gameStateManager.getGameState().gameStatus, 'gameOver');
+
+        // 1桁目は A → B、2桁目は A から逆向きに回して最後の文字 "."
+        press('up');
+        press('enter');
+        press('down');
+        press('enter');
+        press('enter');
+
+        assert.equal(sceneManager.currentScene, sceneManager.scenes.GAME_OVER);
+        assert.equal(sceneManager.resultRank, 1);
+
+        const entries = engine.gameStateManager.leaderboard.getEntries('campaign');
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].name, 'B.A');
+        assert.equal(entries[0].score, 2500);
+        assert.equal(entries[0].level, 1);
+        assert.ok(game.storage.items.invaderGame_leaderboard.includes('B.A'));
+    });
+
+    it('ESCでネーム入力をやめると登録せずに結果画面に進む', () => {
+        engine.scoreService.award(100, 'ufo');
+        sceneManager.showGameOver();
+        finishTransition();
+        press('escape');
+
+        assert.equal(sceneManager.currentScene, sceneManager.scenes.GAME_OVER);
+        assert.equal(engine.gameStateManager.leaderboard.getEntries('campaign').length, 0);
+    });
+
+    it('ランキングに入らないスコアはそのまま結果画面に進む', () => {
+        sceneManager.showGameOver();
+
+        assert.equal(sceneManager.currentScene, sceneManager.scenes.GAME_OVER);
+    });
+
+    it('スタート画面のメニューからランキングを開き、左右でモードを切り替える', () => {
+        sceneManager.currentScene = sceneManager.scenes.START;
+        sceneManager.selectedMenuIndex = sceneManager.getStartMenuItems().findIndex(item => item.id === 'leaderboard');
+        press('enter');
+        assert.equal(sceneManager.currentScene, sceneManager.scenes.LEADERBOARD);
+
+        finishTransition();
+        press('right');
+        assert.equal(sceneManager.leaderboardState.mode, 'endless');
+        press('right');
+        assert.equal(sceneManager.leaderboardState.mode, 'campaign');
+
+        press('escape');
+        assert.equal(sceneManager.currentScene, sceneManager.scenes.START);
+    });
+});
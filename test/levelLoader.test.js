@@ -0,0 +1,71 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createGame } = require('./support/gameContext.js');
+
+describe('LevelLoader', () => {
+    let game;
+    let loader;
+
+    /**
+     * levels/ のレベル定義を読み込み、射撃設定を上書きする
+     * @param {Object} shootingConfig - 上書きする射撃設定
+     */
+    const createLevelData = (shootingConfig = {}) => {
+        const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'levels', 'level1.json'), 'utf8'));
+        data.shootingConfig = { ...data.shootingConfig, ...shootingConfig };
+        return data;
+    };
+
+    beforeEach(() => {
+        game = createGame();
+        loader = game.engine.levelManager.levelLoader;
+    });
+
+    it('同梱のレベル定義を検証して読み込める', () => {
+        const levels = loader.parseLevels([createLevelData()], ['level1.json']);
+
+        assert.equal(levels[1].shootingConfig.aggressiveness, 0.5);
+    });
+
+    it('攻撃性は自動生成のウェーブと同じ1.5まで指定できる', () => {
+        const levels = loader.parseLevels([createLevelData({ aggressiveness: 1.5 })], ['level1.json']);
+        assert.equal(levels[1].shootingConfig.aggressiveness, 1.5);
+
+        assert.throws(
+            () => loader.parseLevels([createLevelData({ aggressiveness: 1.6 })], ['level1.json']),
+            error => error.name === 'LevelValidationError' && error.errors.some(message => message.includes('aggressiveness'))
+        );
+    });
+
+    it('敵のいない編隊はボス戦でのみ指定できる', () => {
+        const isEmptyFormationError = error => error.name === 'LevelValidationError' &&
+            error.errors.some(message => message.startsWith('enemyFormation: 敵が1体もいない'));
+        const emptyFormations = [
+            { ...createLevelData().enemyFormation, rows: 0 },
+            { ...createLevelData().enemyFormation, cols: 0 },
+            { ...createLevelData().enemyFormation, layout: ['.....', '  .  '] },
+            { ...createLevelData().enemyFormation, layout: [[null, ''], [null]] }
+        ];
+        const boss = { health: 10 };
+
+        emptyFormations.forEach(enemyFormation => {
+            const data = { ...createLevelData(), enemyFormation };
+            assert.throws(() => loader.parseLevels([data], ['level1.json']), isEmptyFormationError);
+            assert.throws(() => loader.parseLevels([{ ...data, boss }], ['level1.json']), isEmptyFormationError);
+
+            const levels = loader.parseLevels([{ ...data, boss, clearCondition: 'defeatBoss' }], ['level1.json']);
+            assert.equal(levels[1].clearCondition, 'defeatBoss');
+        });
+    });
+
+    it('同梱のボス戦のレベル定義は敵のいない編隊のまま読み込める', () => {
+        const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'levels', 'level3.json'), 'utf8'));
+        const levels = loader.parseLevels([data], ['level3.json']);
+
+        assert.equal(loader.countFormationEnemies(levels[1].enemyFormation), 0);
+    });
+});
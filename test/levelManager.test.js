@@ -0,0 +1,101 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('./support/gameContext.js');
+
+describe('LevelManager の状態遷移', () => {
+    let game;
+    let engine;
+    let levelManager;
+
+    const getActive = className => engine.gameObjects.filter(obj => obj instanceof game.get(className) && obj.active);
+    const destroyAllEnemies = () => getActive('Enemy').forEach(enemy => enemy.destroy());
+
+    beforeEach(() => {
+        game = createGame();
+        engine = game.engine;
+        levelManager = engine.levelManager;
+        engine.resetGame(1, 1);
+    });
+
+    it('敵が残っている間は playing のまま', () => {
+        levelManager.update(16);
+
+        assert.equal(levelManager.levelState, 'playing');
+        assert.ok(getActive('Enemy').length > 0);
+    });
+
+    it('敵を全滅させるとクリアになり、遷移時間の後に次のレベルを始める', () => {
+        destroyAllEnemies();
+        levelManager.update(16);
+        assert.equal(levelManager.levelState, 'cleared');
+
+        levelManager.update(levelManager.transitionDelay - 100);
+        assert.equal(levelManager.currentLevel, 1);
+
+        levelManager.update(100);
+        assert.equal(levelManager.levelState, 'playing');
+        assert.equal(levelManager.currentLevel, 2);
+        assert.ok(getActive('Enemy').length > 0);
+    });
+
+    it('最後の残機を失うと失敗になり、遷移時間の後に同じレベルをやり直す', () => {
+        engine.gameStateManager.gameState.lives = 1;
+        getActive('Player')[0].takeDamage(1);
+        levelManager.update(16);
+        assert.equal(levelManager.levelState, 'failed');
+
+        levelManager.update(levelManager.transitionDelay);
+        assert.equal(levelManager.levelState, 'playing');
+        assert.equal(levelManager.currentLevel, 1);
+    });
+
+    it('敵が画面下部に到達すると失敗になる', () => {
+        getActive('Enemy')[0].y = engine.height - 100;
+        levelManager.update(16);
+
+        assert.equal(levelManager.levelState, 'failed');
+    });
+
+    it('クリア・失敗の判定は一度だけ行う', () => {
+        let clearCount = 0;
+        engine.onLevelClear = () => clearCount++;
+        destroyAllEnemies();
+        engine.gameStateManager.gameState.lives = 0;
+
+        levelManager.update(16);
+        levelManager.update(16);
+
+        assert.equal(levelManager.levelState, 'cleared');
+        assert.equal(clearCount, 1);
+    });
+
+    it('キャンペーンの最終レベルをクリアすると（ネーム入力を経て）勝利画面に進む', () => {
+        const sceneManager = engine.sceneManager;
+        engine.resetGame(1, levelManager.maxLevel);
+        destroyAllEnemies();
+        levelManager.update(16);
+        levelManager.update(levelManager.transitionDelay);
+
+        // クリアボーナスでランキングに入るため、先にネーム入力
+        assert.equal(sceneManager.currentScene, sceneManager.scenes.NAME_ENTRY);
+        assert.equal(sceneManager.nameEntryState.resultScene, sceneManager.scenes.VICTORY);
+
+        sceneManager.isTransitioning = false;
+        sceneManager.submitNameEntry();
+        assert.equal(sceneManager.currentScene, sceneManager.scenes.VICTORY);
+    });
+
+    it('エンドレスモードは最終レベルの後もウェーブが続く', () => {
+        levelManager.setGameMode('endless');
+        engine.resetGame(1, levelManager.maxLevel);
+        destroyAllEnemies();
+        levelManager.update(16);
+        levelManager.update(levelManager.transitionDelay);
+
+        assert.equal(levelManager.currentLevel, levelManager.maxLevel + 1);
+        assert.equal(levelManager.levelState, 'playing');
+        assert.notEqual(engine.sceneManager.currentScene, engine.sceneManager.scenes.VICTORY);
+    });
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('./support/gameContext.js');
+
+describe('LifeManager', () => {
+    let game;
+    let engine;
+    let lifeManager;
+
+    const getLives = () => engine.gameStateManager.getGameState().lives;
+    const getPlayers = () => engine.gameObjects.filter(obj => obj instanceof game.get('Player') && obj.active);
+
+    beforeEach(() => {
+        game = createGame();
+        engine = game.engine;
+        lifeManager = engine.lifeManager;
+        engine.resetGame(1, 1);
+    });
+
+    it('ゲーム開始時の残機は startingLives', () => {
+        assert.equal(getLives(), lifeManager.startingLives);
+        assert.equal(game.elements.lives.textContent, `ライフ: ${lifeManager.startingLives}`);
+    });
+
+    it('被弾すると残機が1つ減り、自機が爆発して消える', () => {
+        const [player] = getPlayers();
+        const effectCount = engine.damageSystem.damageEffects.length;
+        player.takeDamage(3);
+
+        assert.equal(getLives(), lifeManager.startingLives - 1);
+        assert.equal(player.active, false);
+        assert.equal(getPlayers().length, 0);
+        assert.equal(engine.damageSystem.damageEffects.length, effectCount + 1);
+        assert.equal(lifeManager.isRespawning, true);
+        assert.equal(game.elements.lives.textContent, `ライフ: ${lifeManager.startingLives - 1}`);
+    });
+
+    it('復活待ちの後、無敵状態の新しい自機が出る', () => {
+        const [player] = getPlayers();
+        player.upgradeWeapon('laser');
+        player.takeDamage(1);
+
+        lifeManager.update(lifeManager.respawnDelay - 1);
+        assert.equal(getPlayers().length, 0);
+
+        lifeManager.update(1);
+        const [respawned] = getPlayers();
+        assert.ok(respawned);
+        assert.notEqual(respawned, player);
+        assert.equal(respawned.invulnerable, true);
+        assert.equal(respawned.x, engine.width / 2);
+        assert.equal(respawned.weaponManager.currentWeapon.weaponType, 'basic');
+    });
+
+    it('無敵時間中は被弾しない', () => {
+        const [player] = getPlayers();
+        player.setInvulnerable(1000);
+        player.takeDamage(1);
+
+        assert.equal(getLives(), lifeManager.startingLives);
+        assert.equal(player.active, true);
+
+        player.update(1000);
+        player.takeDamage(1);
+        assert.equal(getLives(), lifeManager.startingLives - 1);
+    });
+
+    it('最後の残機を失うと復活せず、ゲームオーバーになる', () => {
+        engine.gameStateManager.gameState.lives = 1;
+        getPlayers()[0].takeDamage(1);
+
+        assert.equal(getLives(), 0);
+        assert.equal(lifeManager.isRespawning, false);
+
+        engine.levelManager.update(16);
+        assert.equal(engine.levelManager.levelState, 'failed');
+    });
+
+    it('復活待ちの間も残機が残っていればゲームは続く', () => {
+        getPlayers()[0].takeDamage(1);
+        engine.levelManager.update(16);
+
+        assert.equal(engine.levelManager.levelState, 'playing');
+    });
+
+    it('設定したスコアに達するとエクステンドする', () => {
+        lifeManager.setExtraLifeScores([1000, 3000], 5000);
+
+        engine.scoreService.award(999, 'ufo');
+        assert.equal(getLives(), lifeManager.startingLives);
+
+        engine.scoreService.award(1, 'ufo');
+        assert.equal(getLives(), lifeManager.startingLives + 1);
+
+        // 一度に複数のしきい値を超えた場合はまとめて増える（3000, 8000）
+        engine.scoreService.award(7000, 'levelBonus');
+        assert.equal(getLives(), lifeManager.startingLives + 3);
+        assert.equal(lifeManager.nextExtraLifeScore, 13000);
+    });
+
+    it('残機は maxLives を超えない', () => {
+        lifeManager.setExtraLifeScores([100, 200, 300]);
+        engine.gameStateManager.gameState.lives = lifeManager.maxLives - 1;
+        engine.scoreService.award(300, 'ufo');
+
+        assert.equal(getLives(), lifeManager.maxLives);
+    });
+
+    it('新しいゲームではエクステンドの進み具合もリセットする', () => {
+        lifeManager.setExtraLifeScores([100], 0);
+        engine.scoreService.award(100, 'ufo');
+        assert.equal(lifeManager.nextExtraLifeScore, Infinity);
+
+        engine.resetGame(2, 1);
+        assert.equal(lifeManager.nextExtraLifeScore, 100);
+        assert.equal(getLives(), lifeManager.startingLives);
+    });
+});
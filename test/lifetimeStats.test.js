@@ -0,0 +1,205 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame, createStorageStub } = require('./support/gameContext.js');
+
+describe('LifetimeStats', () => {
+    const getPlayer = (game) => game.engine.gameObjects.find(obj => obj instanceof game.get('Player') && obj.active);
+
+    const startGame = (game, mode = 'campaign') => {
+        const sceneManager = game.engine.sceneManager;
+        sceneManager.startGame(mode, 1);
+        sceneManager.update(sceneManager.transitionDuration);
+    };
+
+    const quitToStart = (game) => {
+        const sceneManager = game.engine.sceneManager;
+        sceneManager.goToStartScreen();
+        sceneManager.update(sceneManager.transitionDuration);
+    };
+
+    const endGame = (game) => {
+        const sceneManager = game.engine.sceneManager;
+        sceneManager.showGameOver();
+        sceneManager.update(sceneManager.transitionDuration);
+    };
+
+    const killEnemy = (game, enemyType) => {
+        const enemy = game.engine.gameObjects.find(obj => obj instanceof game.get('Enemy') && obj.active &&
+            obj.enemyType === enemyType);
+        enemy.takeDamage(999);
+    };
+
+    it('ゲームオーバーまでの撃破数・発射数・プレイ時間を通算に加えて保存する', () => {
+        const game = createGame();
+        const engine = game.engine;
+        startGame(game);
+
+        killEnemy(game, 'basic');
+        getPlayer(game).shoot();
+        engine.scoreService.award(100, 'ufo');
+        engine.gameStateManager.update(65000);
+        endGame(game);
+
+        const stats = engine.lifetimeStats.getStats();
+        assert.equal(stats.gamesPlayed, 1);
+        assert.equal(stats.enemiesKilled.basic, 1);
+        assert.equal(stats.enemiesKilled.ufo, 1);
+        assert.equal(stats.shotsFired.basic, 1);
+        assert.equal(stats.totalKills, 2);
+        assert.equal(stats.totalPlayTime, 65000);
+        assert.equal(stats.longestRun, 65000);
+
+        const saved = JSON.parse(game.storage.items.invaderGame_lifetimeStats);
+        assert.equal(saved.version, 1);
+        assert.equal(saved.enemiesKilled.basic, 1);
+    });
+
+    it('ゲームをまたいで加算し、ゲーム状態のリセットでは消えない', () => {
+        const storage = createStorageStub();
+        const first = createGame({ storage });
+        startGame(first);
+        killEnemy(first, 'basic');
+        endGame(first);
+
+        const game = createGame({ storage });
+        startGame(game, 'endless');
+        killEnemy(game, 'basic');
+        game.engine.gameStateManager.update(1000);
+        endGame(game);
+        game.engine.gameStateManager.resetGameState();
+
+        const stats = game.engine.lifetimeStats.getStats();
+        assert.equal(stats.gamesPlayed, 2);
+        assert.equal(stats.enemiesKilled.basic, 2);
+        assert.equal(stats.totalPlayTime, 1000);
+    });
+
+    it('中断して続きから遊んでもプレイ回数とプレイ時間を二重に数えない', () => {
+        const game = createGame();
+        const engine = game.engine;
+        startGame(game);
+        engine.gameStateManager.update(30000);
+        quitToStart(game);
+
+        assert.equal(engine.lifetimeStats.getStats().totalPlayTime, 30000);
+
+        engine.sceneManager.selectMenuItem('continue');
+        engine.sceneManager.update(engine.sceneManager.transitionDuration);
+        engine.gameStateManager.update(20000);
+        endGame(game);
+
+        const stats = engine.lifetimeStats.getStats();
+        assert.equal(stats.gamesPlayed, 1);
+        assert.equal(stats.totalPlayTime, 50000);
+        assert.equal(stats.longestRun, 50000);
+    });
+
+    it('一時停止から再開しても新しいゲームとして数えない', () => {
+        const game = createGame();
+        const engine = game.engine;
+        const sceneManager = engine.sceneManager;
+        let started = 0;
+        engine.events.on('gameStarted', () => started++);
+        startGame(game);
+        killEnemy(game, 'basic');
+        engine.gameStateManager.update(10000);
+
+        sceneManager.pauseGame();
+        sceneManager.update(sceneManager.transitionDuration);
+        sceneManager.resumeGame();
+        sceneManager.update(sceneManager.transitionDuration);
+
+        assert.equal(started, 1);
+        assert.equal(engine.lifetimeStats.getStats().gamesPlayed, 1);
+        assert.equal(engine.lifetimeStats.getStats().totalPlayTime, 0);
+        assert.equal(engine.lifetimeStats.currentRun.enemiesKilled.basic, 1);
+
+        engine.gameStateManager.update(5000);
+        endGame(game);
+
+        const stats = engine.lifetimeStats.getStats();
+        assert.equal(stats.gamesPlayed, 1);
+        assert.equal(stats.enemiesKilled.basic, 1);
+        assert.equal(stats.totalPlayTime, 15000);
+    });
+
+    it('最高命中率は発射数が少ないゲームでは記録しない', () => {
+        const game = createGame();
+        const engine = game.engine;
+        startGame(game);
+        getPlayer(game).shoot();
+        killEnemy(game, 'basic');
+        endGame(game);
+        assert.equal(engine.lifetimeStats.getStats().bestAccuracy, 0);
+
+        startGame(game);
+        for (let i = 0; i < 20; i++) {
+            engine.events.emit('bulletFired', { player: null, bullets: [{}], weaponType: 'rapid' });
+        }
+        engine.events.emit('bulletHit', { bullet: {}, target: null });
+        killEnemy(game, 'basic');
+        endGame(game);
+
+        const stats = engine.lifetimeStats.getStats();
+        assert.equal(stats.bestAccuracy, 0.05);
+        assert.equal(stats.shotsFired.rapid, 20);
+    });
+
+    it('リプレイ再生中の撃破は数えない', () => {
+        const game = createGame();
+        const engine = game.engine;
+        engine.resetGame(1, 1);
+        engine.sceneManager.currentScene = engine.sceneManager.scenes.REPLAY;
+        engine.events.emit('gameStarted', { mode: 'campaign', level: 1, continued: false });
+        killEnemy(game, 'basic');
+        engine.gameStateManager.setGameStatus('gameOver');
+
+        const stats = engine.lifetimeStats.getStats();
+        assert.equal(stats.gamesPlayed, 0);
+        assert.equal(stats.totalKills, 0);
+    });
+
+    it('壊れた保存データや不正な値は読み飛ばす', () => {
+        const storage = createStorageStub({
+            invaderGame_lifetimeStats: JSON.stringify({
+                version: 1,
+                gamesPlayed: 4,
+                totalPlayTime: -5,
+                bestAccuracy: 3,
+                enemiesKilled: { basic: 10, fast: 'many' },
+                shotsFired: null
+            })
+        });
+        const stats = createGame({ storage }).engine.lifetimeStats.getStats();
+        assert.equal(stats.gamesPlayed, 4);
+        assert.equal(stats.totalPlayTime, 0);
+        assert.equal(stats.bestAccuracy, 1);
+        assert.deepEqual({ ...stats.enemiesKilled }, { basic: 10 });
+
+        const broken = createStorageStub({ invaderGame_lifetimeStats: '{broken' });
+        assert.equal(createGame({ storage: broken }).engine.lifetimeStats.getStats().gamesPlayed, 0);
+    });
+
+    it('スタート画面のメニューから統計画面を開き、ESCで戻る', () => {
+        const game = createGame();
+        const sceneManager = game.engine.sceneManager;
+        const input = game.engine.inputManager;
+        sceneManager.isTransitioning = false;
+        sceneManager.selectedMenuIndex = sceneManager.getStartMenuItems().findIndex(item => item.id === 'stats');
+
+        input.setActionDown('enter', true);
+        sceneManager.handleSceneInput();
+        input.update();
+        input.setActionDown('enter', false);
+        assert.equal(sceneManager.currentScene, sceneManager.scenes.STATS);
+
+        sceneManager.update(sceneManager.transitionDuration);
+        input.setActionDown('escape', true);
+        sceneManager.handleSceneInput();
+        assert.equal(sceneManager.currentScene, sceneManager.scenes.START);
+        assert.equal(sceneManager.formatPlayTime(3723000), '1:02:03');
+        assert.equal(sceneManager.formatPlayTime(65000), '1:05');
+    });
+});
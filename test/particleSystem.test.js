@@ -0,0 +1,88 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('./support/gameContext.js');
+const { createHeadlessGame } = require('../tools/headless.js');
+
+describe('ParticleSystem', () => {
+    let game;
+    let engine;
+    let particles;
+
+    const getActive = () => particles.pool.filter(particle => particle.active);
+
+    beforeEach(() => {
+        game = createGame();
+        engine = game.engine;
+        particles = engine.particleSystem;
+        engine.resetGame(1, 1);
+    });
+
+    it('敵を倒すと敵の色のパーティクルが飛び散る', () => {
+        const enemy = engine.gameObjects.find(obj => obj instanceof game.get('Enemy') && obj.active);
+        const color = enemy.color;
+        enemy.takeDamage(999);
+
+        assert.equal(particles.getActiveCount(), particles.emitters.enemyDeath.count);
+        assert.ok(getActive().every(particle => particle.color === color));
+    });
+
+    it('武器アイテムの取得・期限切れでパーティクルを出す', () => {
+        const WeaponPickup = game.get('WeaponPickup');
+        const player = engine.gameObjects.find(obj => obj instanceof game.get('Player'));
+        const collected = new WeaponPickup(player.x, player.y, 'rapid', engine.random);
+        engine.addGameObject(collected);
+        player.collectPickup(collected);
+        assert.equal(particles.getActiveCount(), particles.emitters.pickupCollect.count);
+
+        const expiring = new WeaponPickup(100, 100, 'rapid', engine.random);
+        engine.addGameObject(expiring);
+        expiring.update(expiring.lifetime);
+        assert.equal(particles.getActiveCount(),
+            particles.emitters.pickupCollect.count + particles.emitters.pickupExpire.count);
+    });
+
+    it('寿命が来たパーティクルは消え、重力で下に落ちる', () => {
+        particles.emitters.test = {
+            count: 5, speed: [0, 0], lifetime: [100, 100], size: [2, 2], gravity: 100, drag: 1, fade: true, colors: ['#fff']
+        };
+        particles.emit('test', 50, 50);
+
+        particles.update(50);
+        assert.equal(particles.getActiveCount(), 5);
+        assert.ok(getActive().every(particle => particle.y > 50 && particle.x === 50));
+
+        particles.update(50);
+        assert.equal(particles.getActiveCount(), 0);
+    });
+
+    it('上限を超える分は発生させず、プールのパーティクルを使い回す', () => {
+        const pool = [...particles.pool];
+        let emitted = 0;
+        for (let i = 0; i < 100; i++) {
+            emitted += particles.emit('playerDeath', 100, 100);
+        }
+
+        assert.equal(emitted, particles.maxParticles);
+        assert.equal(particles.getActiveCount(), particles.maxParticles);
+        assert.equal(particles.emit('enemyDeath', 0, 0), 0);
+
+        particles.update(2000);
+        assert.equal(particles.getActiveCount(), 0);
+        assert.equal(particles.emit('enemyDeath', 0, 0), particles.emitters.enemyDeath.count);
+        assert.ok(particles.pool.every((particle, index) => particle === pool[index]));
+    });
+
+    it('ゲームをやり直すとパーティクルを消す', () => {
+        particles.emit('playerDeath', 100, 100);
+        engine.resetGame(1, 1);
+
+        assert.equal(particles.getActiveCount(), 0);
+    });
+
+    it('不明なエミッターやヘッドレスモードでは発生させない', () => {
+        assert.equal(particles.emit('unknown', 0, 0), 0);
+        assert.equal(createHeadlessGame().engine.particleSystem.emit('enemyDeath', 0, 0), 0);
+    });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGameContext } = require('./support/gameContext.js');
+const { createHeadlessGame, simulateLevel } = require('../tools/headless.js');
+
+describe('Replay', () => {
+    const Replay = createGameContext().get('Replay');
+
+    /**
+     * 保存用データを作成
+     * @param {Object} overrides - 上書きする項目
+     */
+    const createData = (overrides = {}) => ({
+        format: 'invader-replay',
+        version: 1,
+        seed: 1,
+        mode: 'campaign',
+        level: 1,
+        frameCount: 3,
+        deltas: [16, 3],
+        inputs: [0, 2, 5, 1],
+        ...overrides
+    });
+
+    it('保存して読み込むと同じフレームに戻る', () => {
+        const replay = new Replay({ seed: 99, mode: 'endless', level: 2 });
+        replay.addFrame(16, 0);
+        replay.addFrame(16, 0);
+        replay.addFrame(17, 5);
+
+        const loaded = Replay.parse(replay.serialize());
+
+        assert.equal(loaded.seed, 99);
+        assert.equal(loaded.mode, 'endless');
+        assert.deepEqual([...loaded.deltas], [16, 16, 17]);
+        assert.deepEqual([...loaded.inputs], [0, 0, 5]);
+    });
+
+    it('回数の合計がフレーム数と合わないデータは展開する前に読み込みを止める', () => {
+        assert.throws(() => Replay.fromJSON(createData({ inputs: [0, 1e9] })), /フレーム数が一致しません/);
+        assert.throws(() => Replay.fromJSON(createData({ frameCount: 1e9, deltas: [16, 1e9], inputs: [0, 1e9] })),
+            /フレーム数が不正です/);
+        assert.throws(() => Replay.fromJSON(createData({ frameCount: -1 })), /フレーム数が不正です/);
+    });
+
+    it('経過時間が正の有限値でない、入力がビット列でないデータは読み込まない', () => {
+        [0, -16, null, Infinity, NaN, '16'].forEach(deltaTime => {
+            assert.throws(() => Replay.fromJSON(createData({ deltas: [deltaTime, 3] })), /フレームデータが不正です/);
+        });
+        [-1, 1.5].forEach(inputBits => {
+            assert.throws(() => Replay.fromJSON(createData({ inputs: [inputBits, 3] })), /フレームデータが不正です/);
+        });
+        assert.throws(() => Replay.fromJSON(createData({ deltas: [16, 0, 16, 3] })), /フレームデータが不正です/);
+    });
+
+    it('記録した入力を再生すると記録時と同じ展開になる', () => {
+        const game = createHeadlessGame();
+        const { engine, classes } = game;
+        const sceneManager = engine.sceneManager;
+        const snapshot = () => ({
+            score: engine.gameStateManager.getGameState().score,
+            lives: engine.gameStateManager.getGameState().lives,
+            randomState: engine.random.state,
+            positions: engine.gameObjects
+                .filter(obj => (obj instanceof classes.Enemy || obj instanceof classes.Player) && obj.active)
+                .map(obj => `${obj.x.toFixed(3)},${obj.y.toFixed(3)}`)
+        });
+
+        simulateLevel(game, { level: 1, seed: 5, maxSteps: 900 });
+        const recorded = snapshot();
+        const recording = engine.inputManager.stopRecording();
+        const replay = recording.constructor.parse(recording.serialize());
+        assert.ok(recorded.score > 0);
+
+        sceneManager.startReplay(replay);
+        while (sceneManager.isTransitioning) {
+            engine.advance();
+        }
+        while (!sceneManager.replayState.isFinished) {
+            engine.advance();
+        }
+
+        assert.deepEqual(snapshot(), recorded);
+    });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('./support/gameContext.js');
+
+describe('ScoreService', () => {
+    let game;
+    let engine;
+    let events;
+
+    beforeEach(() => {
+        game = createGame();
+        engine = game.engine;
+        engine.resetGame(1, 1);
+        events = [];
+        engine.events.on('scoreAwarded', event => events.push(event));
+    });
+
+    it('加算したスコアをゲーム状態・ハイスコア・HUDに反映する', () => {
+        engine.scoreService.award(1500, 'ufo');
+
+        assert.equal(engine.gameStateManager.getGameState().score, 1500);
+        assert.equal(engine.gameStateManager.getHighScore(), 1500);
+        assert.equal(game.storage.items.invaderGame_highScore, '1500');
+        assert.equal(game.elements.score.textContent, `スコア: ${(1500).toLocaleString()}`);
+    });
+
+    it('理由・加算後のスコア付きの scoreAwarded イベントを発行する', () => {
+        engine.scoreService.award(100, 'ufo');
+        engine.scoreService.award(30, 'enemyKill');
+
+        assert.deepEqual(events.map(event => [event.points, event.reason, event.score]), [
+            [100, 'ufo', 100],
+            [30, 'enemyKill', 130]
+        ]);
+    });
+
+    it('不明な理由や0以下のスコアは加算しない', () => {
+        assert.equal(engine.scoreService.award(100, 'cheat'), null);
+        assert.equal(engine.scoreService.award(0, 'ufo'), null);
+        assert.equal(engine.scoreService.award(-50, 'ufo'), null);
+
+        assert.equal(engine.gameStateManager.getGameState().score, 0);
+        assert.equal(events.length, 0);
+    });
+
+    it('敵を倒すと敵撃破のスコアが入る', () => {
+        const enemy = engine.gameObjects.find(obj => obj instanceof game.get('Enemy') && obj.active);
+        enemy.takeDamage(999);
+
+        assert.equal(events.length, 1);
+        assert.equal(events[0].reason, 'enemyKill');
+        assert.equal(events[0].points, enemy.points);
+        assert.equal(events[0].source, enemy);
+        assert.equal(engine.gameStateManager.getGameState().score, enemy.points);
+    });
+
+    it('UFOを倒すとUFOのスコアが入る', () => {
+        const UFO = game.get('UFO');
+        const ufo = new UFO(100, 50, 1, 100, 300);
+        engine.addGameObject(ufo);
+        ufo.takeDamage(1);
+
+        assert.equal(events.length, 1);
+        assert.equal(events[0].reason, 'ufo');
+        assert.equal(engine.gameStateManager.getGameState().score, 300);
+    });
+
+    it('レベルクリアのボーナスがゲーム状態のスコアに加算される', () => {
+        engine.gameObjects
+            .filter(obj => obj instanceof game.get('Enemy'))
+            .forEach(enemy => enemy.destroy());
+        engine.levelManager.update(16);
+
+        const bonus = events.find(event => event.reason === 'levelBonus');
+        assert.ok(bonus && bonus.points > 0);
+        assert.equal(engine.gameStateManager.getGameState().score, bonus.points);
+        assert.equal(engine.gameStateManager.getHighScore(), bonus.points);
+    });
+
+    it('全レベルクリアのボーナスも加算される', () => {
+        engine.levelManager.onGameComplete();
+
+        assert.equal(events.length, 1);
+        assert.equal(events[0].reason, 'completionBonus');
+        assert.equal(engine.gameStateManager.getGameState().score, events[0].points);
+    });
+
+    it('理由ごとの合計を集計し、新しいゲームでリセットする', () => {
+        engine.scoreService.award(100, 'ufo');
+        engine.scoreService.award(200, 'ufo');
+        engine.scoreService.award(10, 'enemyKill');
+
+        assert.equal(engine.scoreService.getTotals().ufo, 300);
+        assert.equal(engine.scoreService.getTotals().enemyKill, 10);
+
+        engine.resetGame(2, 1);
+        assert.equal(engine.scoreService.getTotals().ufo, 0);
+        assert.equal(engine.gameStateManager.getGameState().score, 0);
+    });
+});
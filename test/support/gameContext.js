@@ -0,0 +1,123 @@
+/**
+ * テスト用のゲーム読み込み
+ * index.html と同じ順でゲームのスクリプトを vm に読み込み、
+ * DOM・Canvas・localStorage は必要最小限のスタブで置き換える
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadLevels } = require('../../tools/headless.js');
+
+const rootDir = path.join(__dirname, '..', '..');
+
+/**
+ * DOM要素のスタブ
+ * @returns {Object} 要素
+ */
+function createElementStub() {
+    return {
+        style: {},
+        textContent: '',
+        parentNode: null,
+        appendChild(child) { child.parentNode = this; },
+        removeChild(child) { child.parentNode = null; },
+        addEventListener() {},
+        getBoundingClientRect() { return { left: 0, top: 0, width: 800, height: 600 }; }
+    };
+}
+
+/**
+ * Canvas のスタブ（2Dコンテキストのメソッドはすべて何もしない）
+ * @param {number} width - 幅
+ * @param {number} height - 高さ
+ * @returns {Object} Canvas
+ */
+function createCanvasStub(width = 800, height = 600) {
+    const context = new Proxy({}, {
+        get: (target, key) => key in target ? target[key] : () => ({ width: 0 }),
+        set: (target, key, value) => {
+            target[key] = value;
+            return true;
+        }
+    });
+    return Object.assign(createElementStub(), { width, height, getContext: () => context });
+}
+
+/**
+ * localStorage のスタブ
+ * @param {Object} initialItems - 初期値（キーと文字列の値）
+ * @returns {Object} ストレージ（items で中身を確認できる）
+ */
+function createStorageStub(initialItems = {}) {
+    const items = { ...initialItems };
+    return {
+        items,
+        getItem: key => key in items ? items[key] : null,
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: key => { delete items[key]; },
+        clear: () => Object.keys(items).forEach(key => delete items[key])
+    };
+}
+
+/**
+ * ゲームのスクリプトを読み込んだ vm コンテキストを作成
+ * @param {Object} options - {storage} storage: localStorage として使うストレージ
+ * @returns {Object} {context, storage, elements, get, run}
+ */
+function createGameContext(options = {}) {
+    const storage = options.storage || createStorageStub();
+    const canvas = createCanvasStub();
+    const elements = {};
+
+    const context = {
+        console: { log() {}, info() {}, warn() {}, error() {} },
+        document: {
+            body: createElementStub(),
+            getElementById: id => {
+                if (id === 'gameCanvas') return canvas;
+                return elements[id] || (elements[id] = createElementStub());
+            },
+            createElement: () => createElementStub(),
+            addEventListener() {}
+        },
+        localStorage: storage,
+        navigator: {},
+        performance: { now: () => Date.now() },
+        requestAnimationFrame: () => 0,
+        setTimeout,
+        clearTimeout,
+        addEventListener() {}
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    const html = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8');
+    for (const match of html.matchAll(/<script src="([^"]+)"><\/script>/g)) {
+        const file = match[1];
+        vm.runInContext(fs.readFileSync(path.join(rootDir, file), 'utf8'), context, { filename: file });
+    }
+
+    // class 宣言はグローバルオブジェクトのプロパティにならないため、式として評価して取り出す
+    const run = code => vm.runInContext(code, context);
+    return { context, storage, elements, get: name => run(name), run };
+}
+
+/**
+ * ゲームエンジンを作成してレベル定義まで読み込む
+ * @param {Object} options - createGameContext() と同じ
+ * @returns {Object} createGameContext() の戻り値に engine を加えたもの
+ */
+function createGame(options = {}) {
+    const game = createGameContext(options);
+    const engine = game.run(`
+        gameEngine = new GameEngine('gameCanvas');
+        initGame();
+        gameEngine;
+    `);
+    loadLevels(engine);
+    return { ...game, engine };
+}
+
+module.exports = { createGameContext, createGame, createStorageStub };
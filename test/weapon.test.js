@@ -0,0 +1,128 @@
+'use strict';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGameContext } = require('./support/gameContext.js');
+
+describe('Weapon', () => {
+    let Weapon;
+    let WeaponManager;
+
+    before(() => {
+        const game = createGameContext();
+        Weapon = game.get('Weapon');
+        WeaponManager = game.get('WeaponManager');
+    });
+
+    it('単発の武器は真上に弾を撃つ', () => {
+        const weapon = new Weapon('basic');
+        const bullets = weapon.fire(100, 500);
+
+        assert.equal(bullets.length, 1);
+        assert.equal(bullets[0].vx, 0);
+        assert.equal(bullets[0].vy, -weapon.bulletSpeed);
+        assert.equal(bullets[0].isPlayerBullet, true);
+    });
+
+    it('拡散武器は -spread から +spread まで等間隔に撃ち分ける', () => {
+        const weapon = new Weapon('spread');
+        const angles = [0, 1, 2].map(index => weapon.calculateSpreadAngle(index));
+
+        assert.equal(weapon.bulletCount, 3);
+        assert.deepEqual(angles, [-Math.PI / 8, 0, Math.PI / 8]);
+    });
+
+    it('弾数を増やしても両端の角度は変わらない', () => {
+        const weapon = new Weapon('spread');
+        weapon.bulletCount = 5;
+        const angles = [0, 1, 2, 3, 4].map(index => weapon.calculateSpreadAngle(index));
+
+        assert.equal(angles[0], -weapon.spread);
+        assert.equal(angles[4], weapon.spread);
+        for (let i = 1; i < angles.length; i++) {
+            assert.ok(Math.abs((angles[i] - angles[i - 1]) - weapon.spread / 2) < 1e-12);
+        }
+    });
+
+    it('拡散弾は左右対称で、どの弾も弾速が同じ', () => {
+        const weapon = new Weapon('spread');
+        const bullets = weapon.fire(100, 500);
+
+        assert.equal(bullets.length, 3);
+        assert.ok(Math.abs(bullets[0].vx + bullets[2].vx) < 1e-9);
+        assert.ok(bullets[0].vx < 0 && bullets[2].vx > 0);
+        bullets.forEach(bullet => {
+            const speed = Math.sqrt(bullet.vx * bullet.vx + bullet.vy * bullet.vy);
+            assert.ok(Math.abs(speed - weapon.bulletSpeed) < 1e-9);
+            assert.ok(bullet.vy < 0);
+        });
+    });
+
+    it('レーザーは貫通弾を撃つ', () => {
+        const [bullet] = new Weapon('laser').fire(100, 500);
+
+        assert.equal(bullet.piercing, true);
+        assert.equal(bullet.maxPierceCount, 3);
+    });
+
+    it('upgrade() を繰り返しても発射間隔は80ms、弾速は800が限度', () => {
+        const weapon = new Weapon('rapid');
+        for (let level = 2; level <= 20; level++) {
+            weapon.upgrade(level);
+        }
+
+        assert.equal(weapon.fireRate, 80);
+        assert.equal(weapon.bulletSpeed, 800);
+        assert.ok(weapon.damage >= 1);
+    });
+
+    it('upgrade() で性能が下がることはない', () => {
+        const weapon = new Weapon('laser');
+        const before = { damage: weapon.damage, fireRate: weapon.fireRate, bulletSpeed: weapon.bulletSpeed };
+        weapon.upgrade(2);
+
+        assert.ok(weapon.damage >= before.damage);
+        assert.ok(weapon.fireRate <= before.fireRate);
+        assert.ok(weapon.bulletSpeed >= before.bulletSpeed);
+    });
+});
+
+describe('WeaponManager', () => {
+    let WeaponManager;
+
+    before(() => {
+        WeaponManager = createGameContext().get('WeaponManager');
+    });
+
+    it('basic → rapid → spread → laser の順に進化する', () => {
+        const manager = new WeaponManager(null);
+        const types = [manager.currentWeapon.weaponType];
+        for (let i = 0; i < 3; i++) {
+            manager.upgradeWeapon();
+            types.push(manager.currentWeapon.weaponType);
+        }
+
+        assert.deepEqual(types, ['basic', 'rapid', 'spread', 'laser']);
+        assert.equal(manager.weaponLevel, 1);
+    });
+
+    it('最高武器になった後はレベルが上がり、maxLevel で止まる', () => {
+        const manager = new WeaponManager(null);
+        for (let i = 0; i < 10; i++) {
+            manager.upgradeWeapon();
+        }
+
+        assert.equal(manager.currentWeapon.weaponType, 'laser');
+        assert.equal(manager.weaponLevel, manager.maxLevel);
+    });
+
+    it('reset() で基本武器に戻る', () => {
+        const manager = new WeaponManager(null);
+        manager.upgradeWeapon('laser');
+        manager.reset();
+
+        assert.equal(manager.currentWeapon.weaponType, 'basic');
+        assert.equal(manager.weaponLevel, 1);
+        assert.equal(manager.currentWeaponIndex, 0);
+    });
+});
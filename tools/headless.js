@@ -0,0 +1,219 @@
+/**
+ * ヘッドレス実行ツール
+ * ブラウザと同じスクリプトを Node の vm 上で読み込み、描画・DOM更新なしで
+ * 固定タイムステップのまま最高速でレベルをシミュレートする（自動テスト・バランス調整用）
+ *
+ * 使い方: node tools/headless.js [--level 1] [--seed 12345] [--mode campaign] [--runs 1] [--verbose]
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const rootDir = path.join(__dirname, '..');
+
+// 1レベルあたりのシミュレート上限（60fpsで10分）
+const defaultMaxSteps = 60 * 60 * 10;
+
+/**
+ * index.html と同じ順でゲームのスクリプトを読み込み、ヘッドレスのゲームエンジンを作成
+ * @param {Object} options - {verbose} verbose: ゲーム内の console.log を表示する
+ * @returns {Object} {context, engine, classes}
+ */
+function createHeadlessGame(options = {}) {
+    const quietConsole = { log() {}, info() {}, warn() {}, error: console.error };
+    const context = {
+        console: options.verbose ? console : quietConsole,
+        setTimeout,
+        clearTimeout
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    const html = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8');
+    for (const match of html.matchAll(/<script src="([^"]+)"><\/script>/g)) {
+        const file = match[1];
+        vm.runInContext(fs.readFileSync(path.join(rootDir, file), 'utf8'), context, { filename: file });
+    }
+
+    const engine = vm.runInContext(`
+        gameEngine = new GameEngine(null, { headless: true });
+        initGame();
+        gameEngine;
+    `, context);
+
+    loadLevels(engine);
+
+    // class 宣言はグローバルオブジェクトのプロパティにならないため、判定用に取り出しておく
+    const classes = vm.runInContext('({ Player, Enemy })', context);
+
+    return { context, engine, classes };
+}
+
+/**
+ * levels/ のレベル定義をファイルから読み込む（ブラウザ版の fetch の代わり）
+ * @param {GameEngine} engine - ゲームエンジン
+ */
+function loadLevels(engine) {
+    const levelsDir = path.join(rootDir, 'levels');
+    const readJSON = file => JSON.parse(fs.readFileSync(path.join(levelsDir, file), 'utf8'));
+
+    const manifest = readJSON('index.json');
+    const levelDataList = manifest.levels.map(readJSON);
+    const levelManager = engine.levelManager;
+    levelManager.setLevelConfigs(levelManager.levelLoader.parseLevels(levelDataList, manifest.levels));
+}
+
+/**
+ * 簡単な自動操縦（バンカーの陰にいない一番近い敵の真下へ移動しながら撃ち続ける）
+ * @param {Object} game - createHeadlessGame() の戻り値
+ * @param {number} step - ステップ番号
+ */
+function simpleBot(game, step) {
+    const { engine, classes } = game;
+    const input = engine.inputManager;
+    const player = engine.gameObjects.find(obj => obj instanceof classes.Player && obj.active);
+    const bunkers = engine.bunkerManager.getActiveBunkers();
+    const isCovered = x => bunkers.some(bunker => Math.abs(bunker.x - x) < bunker.width / 2 + 4);
+
+    let targetX = null;
+    if (player) {
+        let nearestDistance = Infinity;
+        engine.gameObjects.forEach(obj => {
+            if (!(obj instanceof classes.Enemy) || !obj.active) return;
+            // バンカーの真下からは弾が届かないため、ほかに狙える敵がいれば後回しにする
+            const distance = Math.abs(obj.x - player.x) + (isCovered(obj.x) ? engine.width : 0);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                targetX = obj.x;
+            }
+        });
+    }
+
+    const offset = targetX === null ? 0 : targetX - player.x;
+    input.setActionDown('left', offset < -4);
+    input.setActionDown('right', offset > 4);
+
+    // 押し直さないと射撃にならないため、1ステップごとに押す・離すを繰り返す
+    input.setActionDown('shoot', step % 2 === 0);
+}
+
+/**
+ * レベルを1つシミュレート
+ * @param {Object} game - createHeadlessGame() の戻り値
+ * @param {Object} options - {level, seed, mode, maxSteps, bot}
+ * @returns {Object} {result, level, seed, steps, time, score, lives, enemiesRemaining}
+ */
+function simulateLevel(game, options = {}) {
+    const { engine, classes } = game;
+    const level = options.level || 1;
+    const seed = options.seed !== undefined ? options.seed >>> 0 : Math.floor(Math.random() * 0x100000000);
+    const maxSteps = options.maxSteps || defaultMaxSteps;
+    const bot = options.bot || simpleBot;
+
+    // 前回の自動操縦で押したままの操作を離す
+    engine.inputManager.recordedActions.forEach(action => engine.inputManager.setActionDown(action, false));
+
+    // 前回のシミュレートが残っていればタイトル画面に戻してから、新しいゲームを開始する
+    const sceneManager = engine.sceneManager;
+    const finishTransition = () => {
+        while (sceneManager.isTransitioning) {
+            engine.advance();
+        }
+    };
+    if (sceneManager.currentScene !== sceneManager.scenes.START) {
+        sceneManager.goToStartScreen();
+        finishTransition();
+    }
+    sceneManager.startGame(options.mode || 'campaign', seed);
+    finishTransition();
+
+    // 途中のレベルから始める場合は、そのレベルでゲームを作り直す
+    if (level > 1) {
+        engine.inputManager.stopRecording();
+        engine.resetGame(seed, level);
+    }
+
+    const levelManager = engine.levelManager;
+    let steps = 0;
+    while (levelManager.levelState === 'playing' && steps < maxSteps) {
+        bot(game, steps);
+        engine.advance();
+        steps++;
+    }
+
+    const results = { cleared: 'clear', failed: 'fail' };
+    const gameState = engine.gameStateManager.gameState;
+
+    return {
+        result: results[levelManager.levelState] || 'timeout',
+        level: level,
+        seed: seed,
+        steps: steps,
+        time: steps * engine.fixedTimeStep / 1000,
+        score: gameState.score,
+        lives: gameState.lives,
+        enemiesRemaining: engine.gameObjects.filter(obj => obj instanceof classes.Enemy && obj.active).length
+    };
+}
+
+/**
+ * コマンドライン引数を解析
+ * @param {Array<string>} args - 引数
+ * @returns {Object} オプション
+ */
+function parseArgs(args) {
+    const options = { level: 1, seed: undefined, mode: 'campaign', runs: 1, verbose: false };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--level': options.level = parseInt(args[++i], 10); break;
+            case '--seed': options.seed = parseInt(args[++i], 10); break;
+            case '--mode': options.mode = args[++i]; break;
+            case '--runs': options.runs = parseInt(args[++i], 10); break;
+            case '--verbose': options.verbose = true; break;
+            default:
+                throw new Error(`不明な引数です: ${args[i]}`);
+        }
+    }
+
+    if (!(options.level >= 1) || !(options.runs >= 1) || !['campaign', 'endless'].includes(options.mode)) {
+        throw new Error('--level と --runs は1以上、--mode は campaign または endless を指定してください');
+    }
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const game = createHeadlessGame({ verbose: options.verbose });
+    const runs = [];
+
+    for (let i = 0; i < options.runs; i++) {
+        const run = simulateLevel(game, {
+            level: options.level,
+            mode: options.mode,
+            seed: options.seed !== undefined ? options.seed + i : undefined
+        });
+        runs.push(run);
+        console.log(`[${i + 1}] シード ${run.seed}: ${run.result} ` +
+            `${run.time.toFixed(1)}秒 スコア ${run.score} ライフ ${run.lives} 残り敵 ${run.enemiesRemaining}`);
+    }
+
+    const clears = runs.filter(run => run.result === 'clear').length;
+    const average = key => runs.reduce((total, run) => total + run[key], 0) / runs.length;
+    console.log(`レベル${options.level} (${options.mode}) ${runs.length}回: ` +
+        `クリア率 ${(clears / runs.length * 100).toFixed(0)}% 平均スコア ${average('score').toFixed(0)} ` +
+        `平均時間 ${average('time').toFixed(1)}秒`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { createHeadlessGame, loadLevels, simulateLevel, simpleBot };